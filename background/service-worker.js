@@ -1,22 +1,37 @@
 // LocalScholar Service Worker (MV3)
 // - Creates context menu items
 // - Routes requests to content script or popup
+// - Serves IndexedDB requests forwarded by content scripts
+// - Hosts the task registry: AI tasks running in any tab (background/task-registry.js)
 // - Does NOT call built-in AI APIs (no DOM here)
 
+import { handleDatabaseMessage, isDatabaseMessage } from '../data/db.js';
+import { runMigrations } from '../data/migrations.js';
+// Registers the record updaters that forwarded db.update() calls run here
+import '../data/storage.js';
+import { handleTaskMessage, isTaskMessage, handleTabRemoved } from './task-registry.js';
+
 const MENUS = {
   SUMMARIZE: 'localscholar_summarize',
   FLASHCARDS: 'localscholar_flashcards',
   ADD_TO_QUEUE: 'localscholar_add_to_queue',
+  HIGHLIGHT: 'localscholar_highlight',
   TRANSLATE: 'localscholar_translate',
   PROOFREAD: 'localscholar_proofread',
   REWRITE: 'localscholar_rewrite',
 };
 
 chrome.runtime.onInstalled.addListener(() => {
+  // Bring stored data up to the current schema on install and update
+  runMigrations().catch(error => {
+    console.error('[LocalScholar] Storage migration failed:', error);
+  });
+
   chrome.contextMenus.removeAll(() => {
     chrome.contextMenus.create({ id: MENUS.SUMMARIZE, title: 'LocalScholar: Summarize', contexts: ['selection', 'page'] });
     chrome.contextMenus.create({ id: MENUS.FLASHCARDS, title: 'LocalScholar: Create Flashcards', contexts: ['selection', 'page'] });
     chrome.contextMenus.create({ id: MENUS.ADD_TO_QUEUE, title: 'LocalScholar: Add to Report Queue', contexts: ['selection', 'page'] });
+    chrome.contextMenus.create({ id: MENUS.HIGHLIGHT, title: 'LocalScholar: Save Highlight to Report Queue', contexts: ['selection'] });
     chrome.contextMenus.create({ id: MENUS.TRANSLATE, title: 'LocalScholar: Translate Selection', contexts: ['selection'] });
     chrome.contextMenus.create({ id: MENUS.PROOFREAD, title: 'LocalScholar: Proofread Selection', contexts: ['selection'] });
     chrome.contextMenus.create({ id: MENUS.REWRITE, title: 'LocalScholar: Rewrite Selection', contexts: ['selection'] });
@@ -31,8 +46,27 @@ chrome.contextMenus.onClicked.addListener(async (info, tab) => {
 });
 
 chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
+  // Content scripts cannot reach the extension's IndexedDB directly
+  if (isDatabaseMessage(msg)) {
+    handleDatabaseMessage(msg).then(sendResponse);
+    return true;
+  }
+
+  // Tasks from every tab register here, so duplicates are caught across tabs
+  if (isTaskMessage(msg)) {
+    handleTaskMessage(msg, sender).then(sendResponse);
+    return true;
+  }
+
   // Simple router placeholder for popup <-> content coordination if needed later
   if (msg?.type === 'PING') {
     sendResponse({ ok: true });
   }
 });
+
+// A closed tab takes its tasks with it
+chrome.tabs.onRemoved.addListener((tabId) => {
+  handleTabRemoved(tabId).catch(error => {
+    console.warn('[LocalScholar] Failed to drop tasks of closed tab:', error);
+  });
+});
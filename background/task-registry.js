@@ -0,0 +1,564 @@
+/**
+ * Task Registry
+ *
+ * The service worker keeps one list of the AI tasks running anywhere in the
+ * extension (summaries and flashcards in page tabs, report jobs in the report
+ * tab), so duplicate work is caught across tabs and the popup can show and
+ * cancel it. Tasks still run where they were started; the registry only tracks
+ * them and forwards cancel requests to their owner.
+ *
+ * The list is mirrored to chrome.storage.session so it survives the service
+ * worker being suspended, and extension pages can watch it (onTasksChange).
+ * A task whose owner was reloaded or navigated away without reporting it
+ * finished is dropped when its owner no longer claims it (see onStatusRequest).
+ *
+ * The registry also schedules the on-device model: a task asks for a slot of a
+ * model API before opening a session (acquireModelSlot) and waits in one
+ * browser-wide queue, ordered by priority, until a slot is free. Grants and
+ * queue positions are pushed to the task's owner as LOCALSCHOLAR_TASK_SLOT_UPDATE
+ * messages. A task that opens a second API while holding one must take the
+ * Prompt API (languageModel) first, so waits never form a cycle.
+ *
+ * Registry records: { id, type, title, url, contentHash, tabId, owner: 'page'|'extension',
+ *   status: 'pending'|'running', progress, message, createdAt, updatedAt }
+ * Finished tasks are removed.
+ */
+
+export const TASKS_KEY = 'localscholar.tasks';
+const SLOTS_KEY = 'localscholar.modelSlots';
+
+export const TASK_MESSAGES = {
+  REGISTER: 'LOCALSCHOLAR_TASK_REGISTER',
+  UPDATE: 'LOCALSCHOLAR_TASK_UPDATE',
+  FINISH: 'LOCALSCHOLAR_TASK_FINISH',
+  LIST: 'LOCALSCHOLAR_TASK_LIST',
+  CANCEL: 'LOCALSCHOLAR_TASK_CANCEL',
+  SLOT_REQUEST: 'LOCALSCHOLAR_TASK_SLOT_REQUEST',
+  SLOT_RELEASE: 'LOCALSCHOLAR_TASK_SLOT_RELEASE',
+  // Sent by the service worker to the task's owner
+  CANCEL_REQUEST: 'LOCALSCHOLAR_TASK_CANCEL_REQUEST',
+  STATUS_REQUEST: 'LOCALSCHOLAR_TASK_STATUS_REQUEST',
+  SLOT_UPDATE: 'LOCALSCHOLAR_TASK_SLOT_UPDATE',
+};
+
+// Model sessions that may run at once across all tabs, per API; more thrash
+// the on-device model on low-end machines
+export const MODEL_SLOTS = {
+  summarizer: 1,
+  languageModel: 1
+};
+
+// User-initiated tasks are scheduled ahead of auto-started ones
+export const TASK_PRIORITY = {
+  USER: 'user',
+  AUTO: 'auto'
+};
+const PRIORITY_RANK = { [TASK_PRIORITY.USER]: 0, [TASK_PRIORITY.AUTO]: 1 };
+
+// Fields a task's owner may change after registering
+const UPDATABLE_FIELDS = ['status', 'progress', 'message', 'title'];
+
+// ===== Service worker side =====
+
+const tasks = new Map();
+// Model slot requests: Map<'taskId:api', { taskId, api, rank, requestedAt, tabId, owner,
+//   state: 'holding'|'queued', position }>
+const slots = new Map();
+let loading = null;
+let saving = Promise.resolve();
+
+function ensureLoaded() {
+  if (!loading) {
+    loading = chrome.storage.session.get([TASKS_KEY, SLOTS_KEY]).then(data => {
+      (data[TASKS_KEY] || []).forEach(task => tasks.set(task.id, task));
+      (data[SLOTS_KEY] || []).forEach(slot => slots.set(slotKey(slot.taskId, slot.api), slot));
+    });
+  }
+  return loading;
+}
+
+function persist() {
+  const snapshot = [...tasks.values()];
+  const slotSnapshot = [...slots.values()];
+  saving = saving
+    .then(() => chrome.storage.session.set({ [TASKS_KEY]: snapshot, [SLOTS_KEY]: slotSnapshot }))
+    .catch(error => console.warn('[LocalScholar] Failed to save task registry:', error));
+  return saving;
+}
+
+function isActive(task) {
+  return task.status === 'pending' || task.status === 'running';
+}
+
+/**
+ * Checks whether a runtime message is meant for the task registry
+ */
+export function isTaskMessage(msg) {
+  return [TASK_MESSAGES.REGISTER, TASK_MESSAGES.UPDATE, TASK_MESSAGES.FINISH, TASK_MESSAGES.LIST, TASK_MESSAGES.CANCEL,
+    TASK_MESSAGES.SLOT_REQUEST, TASK_MESSAGES.SLOT_RELEASE].includes(msg?.type);
+}
+
+/**
+ * Handles a task registry message (service worker only)
+ * @param {Object} msg - Message from a content script or extension page
+ * @param {Object} sender - chrome.runtime.MessageSender
+ * @returns {Promise<Object>} - Response for the sender
+ */
+export async function handleTaskMessage(msg, sender) {
+  await ensureLoaded();
+
+  try {
+    switch (msg.type) {
+      case TASK_MESSAGES.REGISTER:
+        return await registerInRegistry(msg.task, sender);
+      case TASK_MESSAGES.UPDATE:
+        return await updateInRegistry(msg.taskId, msg.changes);
+      case TASK_MESSAGES.FINISH:
+        tasks.delete(msg.taskId);
+        await releaseSlots(slot => slot.taskId === msg.taskId);
+        return { ok: true };
+      case TASK_MESSAGES.LIST:
+        return { ok: true, tasks: await listLiveTasks() };
+      case TASK_MESSAGES.CANCEL:
+        return await cancelInRegistry(msg.taskId);
+      case TASK_MESSAGES.SLOT_REQUEST:
+        return await requestSlot(msg, sender);
+      case TASK_MESSAGES.SLOT_RELEASE:
+        await releaseSlots(slot => slot.taskId === msg.taskId && (!msg.api || slot.api === msg.api));
+        return { ok: true };
+      default:
+        return { ok: false, error: `Unknown task message: ${msg.type}` };
+    }
+  } catch (error) {
+    console.error('[LocalScholar] Task registry error:', error);
+    return { ok: false, error: error.message };
+  }
+}
+
+async function registerInRegistry(task, sender) {
+  if (!task?.id || !task.type) {
+    throw new Error('Invalid task: id and type required');
+  }
+
+  // The same content may only be processed once at a time, whichever tab started it
+  if (task.contentHash) {
+    const duplicate = [...tasks.values()].find(t =>
+      t.id !== task.id && t.type === task.type && t.contentHash === task.contentHash && isActive(t));
+    // A duplicate its owner no longer runs was left behind by a reload or navigation
+    if (duplicate && await isRunningOnOwner(duplicate)) {
+      return { ok: false, duplicate };
+    }
+    if (duplicate) {
+      console.warn('[LocalScholar] Dropping stale task left by its page:', duplicate.id);
+      tasks.delete(duplicate.id);
+      await releaseSlots(slot => slot.taskId === duplicate.id);
+    }
+  }
+
+  const now = Date.now();
+  const record = {
+    id: task.id,
+    type: task.type,
+    title: task.title || '',
+    url: task.url || sender.tab?.url || '',
+    contentHash: task.contentHash || null,
+    ...describeOwner(sender),
+    status: task.status || 'pending',
+    progress: task.progress || 0,
+    message: task.message || '',
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  tasks.set(record.id, record);
+  await persist();
+  return { ok: true, task: record };
+}
+
+async function updateInRegistry(taskId, changes = {}) {
+  const task = tasks.get(taskId);
+  if (!task) {
+    return { ok: false, error: `Unknown task: ${taskId}` };
+  }
+
+  const update = {};
+  UPDATABLE_FIELDS.forEach(field => {
+    if (changes[field] !== undefined) update[field] = changes[field];
+  });
+
+  tasks.set(taskId, { ...task, ...update, updatedAt: Date.now() });
+  await persist();
+  return { ok: true };
+}
+
+async function cancelInRegistry(taskId) {
+  const task = tasks.get(taskId);
+  if (!task) {
+    return { ok: false, error: 'This task has already finished' };
+  }
+
+  const response = await sendToOwner(task, { type: TASK_MESSAGES.CANCEL_REQUEST, taskId });
+
+  // Nobody owns it any more (its page was closed or reloaded), so the task is gone
+  if (!response?.ok) {
+    console.warn('[LocalScholar] Task owner unreachable, dropping task:', taskId);
+    tasks.delete(taskId);
+    await releaseSlots(slot => slot.taskId === taskId);
+  }
+
+  return { ok: true };
+}
+
+/**
+ * Records who sent a message: the tab, and whether it is a web page or an extension page
+ */
+function describeOwner(sender) {
+  const extensionOrigin = chrome.runtime.getURL('');
+  return {
+    tabId: sender.tab?.id ?? null,
+    owner: sender.url?.startsWith(extensionOrigin) ? 'extension' : 'page'
+  };
+}
+
+/**
+ * Sends a message to the page or extension page running a task
+ * @param {Object} record - Task or slot record ({ owner, tabId })
+ * @returns {Promise<Object|null>} - The owner's response, or null when nobody answered
+ */
+function sendToOwner(record, message) {
+  return (record.owner === 'page' && record.tabId !== null
+    ? chrome.tabs.sendMessage(record.tabId, message)
+    : chrome.runtime.sendMessage(message)
+  ).catch(() => null);
+}
+
+/**
+ * Asks a task's owner whether it is still running the task
+ */
+async function isRunningOnOwner(record, taskId = record.id) {
+  const response = await sendToOwner(record, { type: TASK_MESSAGES.STATUS_REQUEST, taskId });
+  return response?.running === true;
+}
+
+// ===== Model scheduler (service worker side) =====
+
+function slotKey(taskId, api) {
+  return `${taskId}:${api}`;
+}
+
+async function requestSlot({ taskId, api, priority }, sender) {
+  if (!taskId || !(api in MODEL_SLOTS)) {
+    throw new Error(`Invalid model API: ${api}`);
+  }
+
+  const key = slotKey(taskId, api);
+  if (!slots.has(key)) {
+    slots.set(key, {
+      taskId,
+      api,
+      rank: PRIORITY_RANK[priority] ?? 0,
+      requestedAt: Date.now(),
+      ...describeOwner(sender),
+      state: 'queued',
+      position: null
+    });
+  }
+
+  // A holder whose page was reloaded without releasing would block every tab
+  const holders = [...slots.values()].filter(slot => slot.api === api && slot.state === 'holding');
+  if (holders.length >= MODEL_SLOTS[api]) {
+    for (const holder of holders) {
+      if (!(await isRunningOnOwner(holder, holder.taskId))) {
+        console.warn('[LocalScholar] Releasing model slot of a task that is gone:', holder.taskId);
+        slots.delete(slotKey(holder.taskId, holder.api));
+      }
+    }
+  }
+
+  await schedule(key);
+  const slot = slots.get(key);
+  return { ok: true, granted: slot?.state === 'holding', position: slot?.position ?? null };
+}
+
+/**
+ * Removes slot requests (held or queued) and hands freed slots to the next tasks
+ * @param {Function} predicate - (slot) => boolean
+ */
+async function releaseSlots(predicate) {
+  [...slots.values()].filter(predicate).forEach(slot => slots.delete(slotKey(slot.taskId, slot.api)));
+  await schedule();
+}
+
+/**
+ * Grants free slots to queued requests (by priority, then first come) and tells
+ * owners about grants and new queue positions. Owners that no longer answer are
+ * dropped, and scheduling runs again.
+ * @param {string} [requesterKey] - Slot being requested right now; its owner gets the answer as the response
+ */
+async function schedule(requesterKey = null) {
+  const updates = [];
+
+  for (const api of Object.keys(MODEL_SLOTS)) {
+    const entries = [...slots.values()].filter(slot => slot.api === api);
+    let holding = entries.filter(slot => slot.state === 'holding').length;
+    const queued = entries
+      .filter(slot => slot.state === 'queued')
+      .sort((a, b) => a.rank - b.rank || a.requestedAt - b.requestedAt);
+
+    while (holding < MODEL_SLOTS[api] && queued.length > 0) {
+      const next = queued.shift();
+      next.state = 'holding';
+      next.position = null;
+      holding++;
+      updates.push(next);
+    }
+
+    queued.forEach((slot, idx) => {
+      if (slot.position === idx + 1) return;
+      slot.position = idx + 1;
+      updates.push(slot);
+    });
+  }
+
+  let dropped = false;
+  for (const slot of updates) {
+    if (slotKey(slot.taskId, slot.api) === requesterKey) continue;
+    const response = await sendToOwner(slot, {
+      type: TASK_MESSAGES.SLOT_UPDATE,
+      taskId: slot.taskId,
+      api: slot.api,
+      granted: slot.state === 'holding',
+      position: slot.position
+    });
+    if (!response?.ok) {
+      slots.delete(slotKey(slot.taskId, slot.api));
+      dropped = true;
+    }
+  }
+
+  if (dropped) {
+    await schedule(requesterKey);
+    return;
+  }
+  await persist();
+}
+
+/**
+ * Lists registered tasks, dropping any whose tab no longer exists
+ */
+async function listLiveTasks() {
+  let changed = false;
+  for (const task of [...tasks.values()]) {
+    if (task.tabId === null) continue;
+    try {
+      await chrome.tabs.get(task.tabId);
+    } catch {
+      tasks.delete(task.id);
+      changed = true;
+    }
+  }
+
+  if (changed) await persist();
+  return [...tasks.values()].sort((a, b) => a.createdAt - b.createdAt);
+}
+
+/**
+ * Drops the tasks and model slots of a closed tab (service worker only)
+ */
+export async function handleTabRemoved(tabId) {
+  await ensureLoaded();
+  const before = tasks.size + slots.size;
+  [...tasks.values()].filter(task => task.tabId === tabId).forEach(task => tasks.delete(task.id));
+  [...slots.values()].filter(slot => slot.tabId === tabId).forEach(slot => slots.delete(slotKey(slot.taskId, slot.api)));
+  if (tasks.size + slots.size !== before) await schedule();
+}
+
+// ===== Content script / extension page side =====
+
+/**
+ * Registers a task with the service worker
+ * @param {Object} task - { id, type, title, url, contentHash, status, progress, message }
+ * @returns {Promise<Object>} - { ok, duplicate? } where duplicate is the registry record already running
+ */
+export async function registerTask(task) {
+  return chrome.runtime.sendMessage({ type: TASK_MESSAGES.REGISTER, task });
+}
+
+/**
+ * Reports a task's progress; failures are only logged so tasks never break on them
+ * @param {string} taskId - Task ID
+ * @param {Object} changes - { status, progress, message, title }
+ */
+export function updateTask(taskId, changes) {
+  return chrome.runtime.sendMessage({ type: TASK_MESSAGES.UPDATE, taskId, changes })
+    .catch(error => console.warn('[LocalScholar] Task update not delivered:', error.message));
+}
+
+/**
+ * Removes a finished, failed or cancelled task from the registry
+ */
+export function finishTask(taskId) {
+  return chrome.runtime.sendMessage({ type: TASK_MESSAGES.FINISH, taskId })
+    .catch(error => console.warn('[LocalScholar] Task finish not delivered:', error.message));
+}
+
+/**
+ * Lists the tasks running across all tabs
+ * @returns {Promise<Array>}
+ */
+export async function listTasks() {
+  const response = await chrome.runtime.sendMessage({ type: TASK_MESSAGES.LIST });
+  return response?.tasks || [];
+}
+
+/**
+ * Asks a task's owner to cancel it
+ */
+export async function cancelTask(taskId) {
+  const response = await chrome.runtime.sendMessage({ type: TASK_MESSAGES.CANCEL, taskId });
+  if (!response?.ok) {
+    throw new Error(response?.error || 'Could not cancel the task');
+  }
+}
+
+/**
+ * Calls back when the service worker asks to cancel a task
+ * @param {Function} callback - (taskId) => boolean; return true if this context ran the task
+ */
+export function onCancelRequest(callback) {
+  chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
+    if (msg?.type !== TASK_MESSAGES.CANCEL_REQUEST) return;
+    // Extension pages all receive the request; only the owner answers
+    if (callback(msg.taskId)) {
+      sendResponse({ ok: true });
+    }
+  });
+}
+
+// Slot requests of this context waiting for a grant: Map<'taskId:api', { resolve, onPosition }>
+const waitingSlots = new Map();
+let listeningForSlots = false;
+
+function listenForSlotUpdates() {
+  if (listeningForSlots) return;
+  listeningForSlots = true;
+
+  chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
+    if (msg?.type !== TASK_MESSAGES.SLOT_UPDATE) return;
+    const key = slotKey(msg.taskId, msg.api);
+    const waiting = waitingSlots.get(key);
+    // Unanswered updates tell the service worker the request is gone
+    if (!waiting) return;
+
+    sendResponse({ ok: true });
+    if (msg.granted) {
+      waitingSlots.delete(key);
+      waiting.resolve();
+    } else if (msg.position) {
+      waiting.onPosition(msg.position);
+    }
+  });
+}
+
+/**
+ * Waits for a slot of a model API in the queue shared by all tabs. Call it
+ * before opening a session; release the slot when done (finishing the task
+ * releases all of its slots).
+ * @param {string} taskId - Task the session is for
+ * @param {string} api - 'summarizer' or 'languageModel'
+ * @param {Object} [options]
+ * @param {string} [options.priority] - TASK_PRIORITY value (user by default)
+ * @param {AbortSignal} [options.signal] - Leaves the queue when aborted
+ * @param {Function} [options.onPosition] - Called with the place in the queue while waiting
+ * @returns {Promise<Function>} - Resolves with a function that releases the slot;
+ *   rejects with the signal's reason if aborted while queued
+ */
+export async function acquireModelSlot(taskId, api, options = {}) {
+  const { priority = TASK_PRIORITY.USER, signal, onPosition = () => {} } = options;
+  if (!(api in MODEL_SLOTS)) {
+    throw new Error(`Invalid model API: ${api}`);
+  }
+  if (signal?.aborted) {
+    throw signal.reason;
+  }
+
+  const key = slotKey(taskId, api);
+  const release = () => releaseModelSlot(taskId, api);
+  listenForSlotUpdates();
+
+  // Registered before asking, since the grant may arrive before the response
+  const granted = new Promise(resolve => waitingSlots.set(key, { resolve, onPosition }));
+
+  let response;
+  try {
+    response = await chrome.runtime.sendMessage({ type: TASK_MESSAGES.SLOT_REQUEST, taskId, api, priority });
+  } catch (error) {
+    // Without the service worker the task runs unscheduled rather than not at all
+    waitingSlots.delete(key);
+    console.warn('[LocalScholar] Model scheduler unavailable:', error.message);
+    return release;
+  }
+
+  if (!response?.ok) {
+    waitingSlots.delete(key);
+    throw new Error(response?.error || 'Could not request a model slot');
+  }
+  if (response.granted || !waitingSlots.has(key)) {
+    waitingSlots.delete(key);
+    return release;
+  }
+  if (response.position) onPosition(response.position);
+
+  await new Promise((resolve, reject) => {
+    const onAbort = () => {
+      waitingSlots.delete(key);
+      release();
+      reject(signal.reason);
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+    granted.then(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    });
+  });
+  return release;
+}
+
+/**
+ * Gives up a model slot, or leaves its queue
+ * @param {string} taskId - Task ID
+ * @param {string} [api] - API of the slot; all of the task's slots when omitted
+ */
+export function releaseModelSlot(taskId, api) {
+  return chrome.runtime.sendMessage({ type: TASK_MESSAGES.SLOT_RELEASE, taskId, api })
+    .catch(error => console.warn('[LocalScholar] Model slot release not delivered:', error.message));
+}
+
+/**
+ * Answers the service worker asking whether this context still runs a task
+ * @param {Function} callback - (taskId) => boolean; return true if the task is pending or running here
+ */
+export function onStatusRequest(callback) {
+  chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
+    if (msg?.type !== TASK_MESSAGES.STATUS_REQUEST) return;
+    // Extension pages all receive the request; only the owner answers
+    if (callback(msg.taskId)) {
+      sendResponse({ running: true });
+    }
+  });
+}
+
+/**
+ * Calls back with the task list whenever it changes (extension pages only;
+ * content scripts cannot read session storage)
+ * @param {Function} callback - (tasks) => void
+ */
+export function onTasksChange(callback) {
+  const listener = (changes, areaName) => {
+    if (areaName === 'session' && changes[TASKS_KEY]) {
+      callback(changes[TASKS_KEY].newValue || []);
+    }
+  };
+  chrome.storage.onChanged.addListener(listener);
+  return () => chrome.storage.onChanged.removeListener(listener);
+}
@@ -2,15 +2,16 @@
  * LocalScholar Content Script
  *
  * Handles:
- * - Context menu actions (summarize, flashcards, add to queue)
+ * - Context menu actions (summarize, flashcards, add to queue, highlights)
  * - Task management with progress overlays
  * - Flashcard deck display
  * - Content extraction using utilities
  */
 
-import { extractContent, validateContent } from '../utils/content-extractor.js';
-import { processSummarization, processFlashcardGeneration } from '../utils/ai-pipeline.js';
-import { createTask, getTask } from './task-manager.js';
+import { extractContent } from '../utils/content-extractor.js';
+import { describeSelection, anchorTextQuote } from '../utils/text-anchor.js';
+import { processSummarization, processFlashcardGeneration, isAbortError } from '../utils/ai-pipeline.js';
+import { createTask, getTask, TASK_PRIORITY } from './task-manager.js';
 import { showProgressOverlay, getOverlay, showResultsOverlay } from './unified-overlay.js';
 import * as storage from '../data/storage.js';
 
@@ -30,6 +31,8 @@ async function handleContextAction(payload) {
       await handleFlashcards(source);
     } else if (menuId === 'localscholar_add_to_queue') {
       await handleAddToQueue(source);
+    } else if (menuId === 'localscholar_highlight') {
+      await handleSaveHighlight();
     } else if (menuId === 'localscholar_translate') {
       await handleTranslate();
     } else if (menuId === 'localscholar_proofread') {
@@ -44,32 +47,51 @@ async function handleContextAction(payload) {
 }
 
 /**
- * Handles summarization
- *
- * NOTE: Currently uses batch summarization. Streaming mode could be implemented
- * for real-time progressive results by using summarizeStreaming() and updating
- * the overlay incrementally. See ai-pipeline.js for streaming documentation.
+ * Extracts cleaned content for an action through the shared extraction pipeline
+ * Shows an error and returns null when the content is not usable.
+ * @param {string} source - 'selection' or 'page'
+ * @returns {Object|null} - extractContent() result
  */
-async function handleSummarize(source) {
-  // Extract text content - use innerText for whole page
-  let text;
-  if (source === 'page') {
-    text = document.body.innerText;
-  } else {
-    const selection = window.getSelection();
-    text = selection.toString();
+function extractForAction(source) {
+  const extraction = extractContent(source);
+
+  if (!extraction.validation.valid) {
+    showTemporaryMessage('Error: ' + extraction.validation.reason, true);
+    return null;
   }
 
-  if (!text || text.trim().length === 0) {
-    showTemporaryMessage('Error: No text content found', true);
-    return;
+  if (extraction.validation.warnings.length > 0) {
+    console.warn('[LocalScholar] Extraction warnings:', extraction.validation.warnings);
   }
 
+  return extraction;
+}
+
+/**
+ * Handles summarization
+ *
+ * Long content is split into chunks by extractContent() and summarized per chunk before the
+ * chunk summaries are combined. The final summary streams into the overlay as it
+ * is written; the complete text is cached and saved to history once generation finishes.
+ * Each chunk summary is checkpointed under the cache key, so a reload or a later visit
+ * resumes with the remaining chunks (see offerResume()).
+ * Cancelling aborts the model calls, and nothing is cached or saved.
+ * @param {string} requestedSource - 'selection' or 'page'
+ * @param {Object} [options] - { priority }: TASK_PRIORITY in the model queue (user by default)
+ */
+async function handleSummarize(requestedSource, options = {}) {
+  const extraction = extractForAction(requestedSource);
+  if (!extraction) return;
+
+  const { text, chunks } = extraction;
+  const source = extraction.metadata.source;
+
   // Check for duplicate task
-  const task = createTask('summarize', text, {
+  const task = await createTask('summarize', text, {
     source,
     url: document.location.href,
-    title: document.title
+    title: document.title,
+    priority: options.priority
   });
 
   if (!task) {
@@ -77,8 +99,19 @@ async function handleSummarize(source) {
     return;
   }
 
-  // Show progress overlay
+  // Show progress overlay (with any extraction warnings)
   const overlay = showProgressOverlay(task.id);
+  if (overlay) {
+    overlay.showWarnings(extraction.validation.warnings);
+  }
+
+  // Cache key of this content; checkpoints are saved under it too
+  const textHash = storage.hashContent(text);
+  const cacheKey = storage.generateCacheKey(
+    document.location.href,
+    textHash,
+    'summary'
+  );
 
   try {
     // Load settings
@@ -89,14 +122,18 @@ async function handleSummarize(source) {
       outputLanguage: 'en'
     });
 
-    // Check cache
-    const cacheKey = storage.generateCacheKey(
-      document.location.href,
-      storage.hashContent(text),
-      'summary'
-    );
+    const summarySettings = {
+      type: settings.summaryType,
+      length: settings.summaryLength,
+      format: settings.summaryFormat,
+      outputLanguage: settings.outputLanguage
+    };
+
+    const historyInfo = { textHash, cacheKey, settings: summarySettings };
 
+    // Check cache
     const cached = await storage.getCachedItem(cacheKey);
+    if (task.signal.aborted) return;
     if (cached) {
       console.log('[LocalScholar] Using cached summary');
       await task.complete(cached.content);
@@ -107,33 +144,63 @@ async function handleSummarize(source) {
       }
 
       // Save to history
-      await saveSummaryToHistory(cached.content, source);
+      await saveSummaryToHistory(cached.content, source, historyInfo);
       return;
     }
 
-    // Start task
-    await task.start(1);
+    // Long pages are summarized chunk by chunk, then combined (map-reduce).
+    // A checkpoint only applies to the same chunks in the same language.
+    const saved = await storage.getTaskCheckpoint(cacheKey);
+    const checkpoint = saved?.chunkCount === chunks.length && saved.outputLanguage === summarySettings.outputLanguage
+      ? saved
+      : null;
+    if (checkpoint) {
+      console.log('[LocalScholar] Resuming summary from checkpoint');
+    }
 
-    // Process summarization (batch mode)
+    // Wait for a Summarizer slot, shared by all tabs (shows "Queued (position N)" meanwhile), then start
+    await task.waitForModel('summarizer');
+    await task.start(chunks.length);
+
+    // Process summarization (streaming into the overlay)
     const result = await processSummarization({
       text,
-      type: settings.summaryType,
-      length: settings.summaryLength,
-      format: settings.summaryFormat,
-      outputLanguage: settings.outputLanguage,
+      chunks,
+      ...summarySettings,
       onProgress: (message, percent) => {
         task.updateProgress(percent, message);
-      }
+      },
+      onStreamChunk: (partial) => {
+        if (overlay) {
+          overlay.updateStreamingContent(partial, 'Summary');
+        }
+      },
+      signal: task.signal,
+      resumeFrom: checkpoint,
+      onCheckpoint: ({ partials }) => storage.saveTaskCheckpoint(cacheKey, {
+        type: 'summarize',
+        url: document.location.href,
+        title: document.title,
+        source,
+        chunkCount: chunks.length,
+        outputLanguage: summarySettings.outputLanguage,
+        partials
+      }).catch(error => console.warn('[LocalScholar] Failed to save checkpoint:', error)),
+      onAttempt: (attempt) => task.recordAttempt(attempt)
     });
 
+    // Cancelled while the model was finishing: drop the result
+    if (task.signal.aborted) return;
+
     // Complete task
     await task.complete(result.summary);
 
-    // Cache result
+    // Cache result; the checkpoint is no longer needed
     await storage.setCachedItem(cacheKey, result.summary);
+    await storage.deleteTaskCheckpoint(cacheKey);
 
     // Save to history
-    await saveSummaryToHistory(result.summary, source);
+    await saveSummaryToHistory(result.summary, source, historyInfo);
 
     // Show result in overlay
     if (overlay) {
@@ -141,6 +208,14 @@ async function handleSummarize(source) {
     }
 
   } catch (error) {
+    if (task.signal.aborted || isAbortError(error)) {
+      console.log('[LocalScholar] Summarization cancelled');
+      // Leaving the page keeps the checkpoint to resume from; a cancel discards it
+      if (task.cancelReason === 'user') {
+        await storage.deleteTaskCheckpoint(cacheKey);
+      }
+      return;
+    }
     task.setError(error);
     throw error;
   }
@@ -148,21 +223,16 @@ async function handleSummarize(source) {
 
 /**
  * Handles flashcard generation
+ * Cancelling aborts the model call, and nothing is cached or saved.
+ * @param {string} requestedSource - 'selection' or 'page'
+ * @param {Object} [options] - { priority }: TASK_PRIORITY in the model queue (user by default)
  */
-async function handleFlashcards(source) {
-  // Extract text content - use innerText for whole page
-  let text;
-  if (source === 'page') {
-    text = document.body.innerText;
-  } else {
-    const selection = window.getSelection();
-    text = selection.toString();
-  }
+async function handleFlashcards(requestedSource, options = {}) {
+  const extraction = extractForAction(requestedSource);
+  if (!extraction) return;
 
-  if (!text || text.trim().length === 0) {
-    showTemporaryMessage('Error: No text content found', true);
-    return;
-  }
+  const { text } = extraction;
+  const source = extraction.metadata.source;
 
   // Check for cached summary to optimize
   const summaryCacheKey = storage.generateCacheKey(
@@ -181,10 +251,11 @@ async function handleFlashcards(source) {
   }
 
   // Check for duplicate task
-  const task = createTask('flashcards', contentForFlashcards, {
+  const task = await createTask('flashcards', contentForFlashcards, {
     source,
     url: document.location.href,
-    title: document.title
+    title: document.title,
+    priority: options.priority
   });
 
   if (!task) {
@@ -192,8 +263,11 @@ async function handleFlashcards(source) {
     return;
   }
 
-  // Show progress overlay
-  showProgressOverlay(task.id);
+  // Show progress overlay (with any extraction warnings)
+  const progressOverlay = showProgressOverlay(task.id);
+  if (progressOverlay) {
+    progressOverlay.showWarnings(extraction.validation.warnings);
+  }
 
   try {
     // Load settings
@@ -211,6 +285,7 @@ async function handleFlashcards(source) {
     );
 
     const cached = await storage.getCachedItem(cacheKey);
+    if (task.signal.aborted) return;
     if (cached) {
       console.log('[LocalScholar] Using cached flashcards');
       await task.complete(cached.content);
@@ -219,12 +294,13 @@ async function handleFlashcards(source) {
       const deck = await saveDeckToHistory(cached.content, source);
       const overlay = getOverlay(task.id);
       if (overlay) {
-        overlay.showFlashcards(deck);
+        showDeck(overlay, deck);
       }
       return;
     }
 
-    // Start task
+    // Wait for a LanguageModel slot, then start
+    await task.waitForModel('languageModel');
     await task.start(1);
 
     // Process flashcard generation
@@ -235,9 +311,16 @@ async function handleFlashcards(source) {
       outputLanguage: settings.fcLanguage,
       onProgress: (message, percent) => {
         task.updateProgress(percent, message);
-      }
+      },
+      signal: task.signal,
+      onAttempt: (attempt) => task.recordAttempt(attempt),
+      // Condensing a text that is too long also needs a Summarizer slot
+      waitForModel: (api) => task.waitForModel(api)
     });
 
+    // Cancelled while the model was finishing: drop the result
+    if (task.signal.aborted) return;
+
     // Validate flashcards
     const validation = storage.validateFlashcards(result.flashcards);
     if (!validation.valid) {
@@ -254,10 +337,14 @@ async function handleFlashcards(source) {
     const deck = await saveDeckToHistory(validation.cards, source);
     const overlay = getOverlay(task.id);
     if (overlay) {
-      overlay.showFlashcards(deck);
+      showDeck(overlay, deck);
     }
 
   } catch (error) {
+    if (task.signal.aborted || isAbortError(error)) {
+      console.log('[LocalScholar] Flashcard generation cancelled');
+      return;
+    }
     task.setError(error);
     throw error;
   }
@@ -266,15 +353,12 @@ async function handleFlashcards(source) {
 /**
  * Handles adding to report queue
  */
-async function handleAddToQueue(source) {
+async function handleAddToQueue(requestedSource) {
   // Extract content
-  const extraction = extractContent(source);
-  const validation = validateContent(extraction);
+  const extraction = extractForAction(requestedSource);
+  if (!extraction) return;
 
-  if (!validation.valid) {
-    showTemporaryMessage('Error: ' + validation.reason, true);
-    return;
-  }
+  const source = extraction.metadata.source;
 
   try {
     // Check if we have a cached summary for optimization
@@ -293,6 +377,7 @@ async function handleAddToQueue(source) {
       sourceType: source,
       text: extraction.text,
       textExcerpt: extraction.text.substring(0, 200),
+      citation: extraction.metadata.citation,
       summary: cachedSummary?.content || null // Store summary if available
     });
 
@@ -307,6 +392,42 @@ async function handleAddToQueue(source) {
   }
 }
 
+/**
+ * Saves the selection as a highlight on this page's queue item, adding the
+ * page to the queue first if it is not there yet
+ */
+async function handleSaveHighlight() {
+  const quote = describeSelection(window.getSelection());
+  if (!quote) {
+    showTemporaryMessage('Please select text to highlight.', true);
+    return;
+  }
+
+  try {
+    let item = await storage.findCollectionItemByUrl(document.location.href);
+
+    if (!item) {
+      const extraction = extractForAction('page');
+      if (!extraction) return;
+
+      item = await storage.addToCollection({
+        url: document.location.href,
+        title: document.title,
+        sourceType: 'page',
+        text: extraction.text,
+        textExcerpt: extraction.text.substring(0, 200),
+        citation: extraction.metadata.citation
+      });
+    }
+
+    await storage.addCollectionHighlight(item.id, quote);
+    showTemporaryMessage(`Highlight saved to "${item.title || 'Untitled'}" in the report queue.`);
+  } catch (error) {
+    console.error('[LocalScholar] Save highlight error:', error);
+    showTemporaryMessage('Error: ' + error.message, true);
+  }
+}
+
 /**
  * Handles translation of selected text
  */
@@ -645,23 +766,19 @@ function escapeHtml(text) {
 
 /**
  * Saves summary to history
+ * @param {string} summary - Summary text
+ * @param {string} source - 'selection' | 'page'
+ * @param {Object} info - { textHash, cacheKey, settings }
  */
-async function saveSummaryToHistory(summary, source) {
-  const summaries = await chrome.storage.local.get('localscholar.summaries');
-  const list = summaries['localscholar.summaries'] || [];
-
-  list.unshift({
-    id: Date.now().toString(),
+async function saveSummaryToHistory(summary, source, info = {}) {
+  await storage.saveSummary({
     title: document.title || 'Untitled',
     url: document.location.href,
     sourceType: source,
     text: summary,
-    createdAt: new Date().toISOString()
-  });
-
-  // Keep last 100
-  await chrome.storage.local.set({
-    'localscholar.summaries': list.slice(0, 100)
+    textHash: info.textHash,
+    cacheKey: info.cacheKey,
+    settings: info.settings
   });
 }
 
@@ -683,7 +800,61 @@ async function saveDeckToHistory(cards, source) {
   return deck;
 }
 
-// Legacy showDeck function removed - now using unified overlay
+/**
+ * Shows a deck in the overlay; each answer is logged and schedules the card's next review
+ * @param {UnifiedOverlay} overlay - Overlay instance
+ * @param {Object} deck - Deck, or a review session whose cards carry deckId/cardIndex
+ * @param {string} [title] - Overlay title
+ */
+function showDeck(overlay, deck, title) {
+  overlay.showFlashcards(deck, {
+    title,
+    onAnswer: (card, index, answer) => storage.recordCardReview(
+      card.deckId || deck.id,
+      Number.isInteger(card.cardIndex) ? card.cardIndex : index,
+      answer
+    )
+  });
+}
+
+/**
+ * Shows a review session of cards due today across all decks
+ */
+async function showDueReview(overlay) {
+  const cards = await storage.listDueCards();
+  if (cards.length === 0) {
+    overlay.showResults('<div style="text-align: center; padding: 20px;">🎉 No cards due today.</div>', 'Due Today');
+    return;
+  }
+  showDeck(overlay, { id: 'review', title: 'Due Today', cards }, `Due Today (${cards.length})`);
+}
+
+/**
+ * Offers to resume a page summary that stopped before it finished (the page was
+ * reloaded or left). Its checkpoint only applies while the page text is unchanged.
+ */
+async function offerResume() {
+  const checkpoints = await storage.listTaskCheckpoints(document.location.href);
+  const checkpoint = checkpoints.find(c => c.type === 'summarize' && c.source === 'page');
+  if (!checkpoint) return;
+
+  const { text } = extractContent('page');
+  if (checkpoint.key !== storage.generateCacheKey(document.location.href, storage.hashContent(text), 'summary')) {
+    // The page changed since, so its chunks no longer line up
+    await storage.deleteTaskCheckpoint(checkpoint.key);
+    return;
+  }
+
+  const done = (checkpoint.partials || []).filter(Boolean).length;
+  showResultsOverlay().showChoice(
+    `A summary of this page stopped after ${done} of ${checkpoint.chunkCount} sections. Resume it?`,
+    [
+      { label: 'Discard', secondary: true, onChoose: () => storage.deleteTaskCheckpoint(checkpoint.key) },
+      { label: 'Resume', onChoose: () => handleContextAction({ menuId: 'localscholar_summarize' }) }
+    ],
+    'Resume Summary'
+  );
+}
 
 // Auto-start functionality (runs silently in background)
 async function checkAutoStart() {
@@ -701,10 +872,13 @@ async function checkAutoStart() {
       console.log('[LocalScholar] Auto-summarize enabled, starting...');
       // Run silently without showing progress overlay
       try {
-        await handleSummarize('page');
+        await handleSummarize('page', { priority: TASK_PRIORITY.AUTO });
       } catch (error) {
         console.error('[LocalScholar] Auto-summarize error:', error);
       }
+    } else {
+      // Auto-summarize resumes on its own; otherwise ask
+      await offerResume();
     }
 
     // Auto-flashcards if enabled
@@ -712,7 +886,7 @@ async function checkAutoStart() {
       console.log('[LocalScholar] Auto-flashcards enabled, starting...');
       // Run silently without showing progress overlay
       try {
-        await handleFlashcards('page');
+        await handleFlashcards('page', { priority: TASK_PRIORITY.AUTO });
       } catch (error) {
         console.error('[LocalScholar] Auto-flashcards error:', error);
       }
@@ -755,10 +929,22 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
     handleContextAction(msg.payload);
   }
 
+  if (msg?.type === 'LOCALSCHOLAR_FIND_HIGHLIGHT') {
+    const range = anchorTextQuote(document.body, msg.highlight);
+    if (range) {
+      const selection = window.getSelection();
+      selection.removeAllRanges();
+      selection.addRange(range);
+      range.startContainer.parentElement?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+    sendResponse({ found: Boolean(range) });
+    return true;
+  }
+
   if (msg?.type === 'LOCALSCHOLAR_SHOW_DECK') {
     try {
       const overlay = showResultsOverlay();
-      overlay.showFlashcards(msg.deck);
+      showDeck(overlay, msg.deck);
       sendResponse({ ok: true });
     } catch (e) {
       console.error('Failed to show deck:', e);
@@ -767,6 +953,18 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
     return true;
   }
 
+  if (msg?.type === 'LOCALSCHOLAR_SHOW_REVIEW') {
+    const overlay = showResultsOverlay();
+    showDueReview(overlay)
+      .then(() => sendResponse({ ok: true }))
+      .catch(e => {
+        console.error('Failed to show review session:', e);
+        overlay.showError(e);
+        sendResponse({ ok: false, error: e.message });
+      });
+    return true;
+  }
+
   if (msg?.type === 'LOCALSCHOLAR_SHOW_CONTENT') {
     try {
       const { item, contentType } = msg;
@@ -775,7 +973,7 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
       if (contentType === 'summary') {
         overlay.showSummary(item.text || '', 'Summary');
       } else if (contentType === 'deck') {
-        overlay.showFlashcards(item);
+        showDeck(overlay, item);
       } else if (contentType === 'report') {
         overlay.showSummary(item.content || '', 'Report');
       } else if (contentType === 'queue-item') {
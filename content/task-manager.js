@@ -4,16 +4,28 @@
  * Handles:
  * - Multiple concurrent tasks per tab
  * - Progress tracking and time estimation
- * - Duplicate task detection
+ * - Duplicate task detection (in this tab, and across tabs through the service worker's registry)
  * - Task cancellation and cleanup
+ * - Scheduling: tasks wait for a model slot in the service worker's queue, shared by all tabs
+ * - A history of failed AI attempts, for explaining retries
+ *
+ * Tasks run in this tab; every task is also registered with the service
+ * worker (background/task-registry.js) so the popup can list and cancel it.
  */
 
 import { estimateTime, TaskTimer } from '../utils/timing-estimator.js';
 import { hashContent } from '../data/storage.js';
+import * as registry from '../background/task-registry.js';
 
 // Active tasks: Map<taskId, TaskInfo>
 const activeTasks = new Map();
 
+// Progress is sent to the registry at most this often (status changes go right away)
+const REGISTRY_UPDATE_INTERVAL = 500;
+
+// User-initiated tasks are scheduled ahead of auto-started ones
+export { TASK_PRIORITY } from '../background/task-registry.js';
+
 /**
  * Generates unique task ID
  */
@@ -42,6 +54,77 @@ export class Task {
     this.timer = null;
     this.cancelCallbacks = [];
     this.aiSession = null; // Store AI session for cleanup
+    this.abortController = new AbortController(); // Aborts in-flight AI calls on cancel
+    this.cancelReason = null;
+    this.priority = metadata.priority || registry.TASK_PRIORITY.USER;
+    this.modelApis = new Set(); // APIs whose slot the task holds (see waitForModel)
+    this.queuePosition = null; // Place in the model queue while waiting
+    this.attempts = []; // Failed AI attempts the pipeline retried or gave up on
+    this.lastSyncedAt = 0;
+    this.unregistered = false;
+  }
+
+  /**
+   * Signal to pass to the AI pipeline; aborted when the task is cancelled
+   */
+  get signal() {
+    return this.abortController.signal;
+  }
+
+  /**
+   * Sends the task's status and progress to the service worker's registry
+   * @param {boolean} [force] - Send even if the last update was very recent
+   */
+  syncToRegistry(force = false) {
+    const now = Date.now();
+    if (this.unregistered || (!force && now - this.lastSyncedAt < REGISTRY_UPDATE_INTERVAL)) return;
+    this.lastSyncedAt = now;
+    registry.updateTask(this.id, {
+      status: this.status,
+      progress: Math.round(this.progress),
+      message: this.progressMessage
+    });
+  }
+
+  /**
+   * Waits until the task may open a model session, queued behind tasks of
+   * every tab using the same API. The slot is released when the task ends, or
+   * earlier through the returned function.
+   * @param {string} api - 'summarizer' or 'languageModel'
+   * @returns {Promise<Function>} - Resolves with a function releasing the slot;
+   *   rejects with an AbortError if the task is cancelled while queued
+   */
+  async waitForModel(api) {
+    try {
+      await registry.acquireModelSlot(this.id, api, {
+        priority: this.priority,
+        signal: this.signal,
+        onPosition: position => this.showQueuePosition(position)
+      });
+    } finally {
+      this.queuePosition = null;
+    }
+    this.modelApis.add(api);
+    return () => this.releaseModel(api);
+  }
+
+  /**
+   * Gives a model slot back before the task ends
+   */
+  releaseModel(api) {
+    if (this.modelApis.delete(api)) {
+      registry.releaseModelSlot(this.id, api);
+    }
+  }
+
+  /**
+   * Shows the task's place in the model queue (progress message and registry)
+   */
+  showQueuePosition(position) {
+    if (this.queuePosition === position) return;
+    this.queuePosition = position;
+    this.progressMessage = `Queued (position ${position})`;
+    this.syncToRegistry(true);
   }
 
   /**
@@ -49,8 +132,10 @@ export class Task {
    */
   start(chunkCount = 1) {
     this.status = 'running';
+    this.progressMessage = '';
     this.startedAt = Date.now();
     this.timer = new TaskTimer(this.type, chunkCount);
+    this.syncToRegistry(true);
     return estimateTime(this.type, chunkCount).then(estimate => {
       this.estimatedSeconds = estimate;
     });
@@ -62,6 +147,18 @@ export class Task {
   updateProgress(percent, message = '') {
     this.progress = Math.min(100, Math.max(0, percent));
     this.progressMessage = message;
+    this.syncToRegistry();
+  }
+
+  /**
+   * Records a failed AI attempt reported by the pipeline (its onAttempt option),
+   * so the overlay can explain retries and the final failure
+   * @param {Object} attempt - { label, attempt, kind, error, action, message, at }
+   */
+  recordAttempt(attempt) {
+    this.attempts.push(attempt);
+    this.progressMessage = attempt.message;
+    this.syncToRegistry(true);
   }
 
   /**
@@ -82,15 +179,20 @@ export class Task {
 
   /**
    * Cancels the task
+   * @param {string} [reason] - 'user', or 'pagehide' when the page is being left
    */
-  cancel() {
+  cancel(reason = 'user') {
     if (this.status === 'completed' || this.status === 'cancelled') {
       return;
     }
 
     this.status = 'cancelled';
+    this.cancelReason = reason;
     this.completedAt = Date.now();
 
+    // Stop the model mid-request rather than letting it finish in the background
+    this.abortController.abort();
+
     // Call all cancel callbacks
     this.cancelCallbacks.forEach(cb => {
       try {
@@ -124,6 +226,15 @@ export class Task {
    * Cleans up resources
    */
   cleanup() {
+    [...this.modelApis].forEach(api => this.releaseModel(api));
+
+    // Finished, failed or cancelled: the task no longer shows as running anywhere
+    // (the service worker also frees any model slot it still holds or waits for)
+    if (!this.unregistered) {
+      this.unregistered = true;
+      registry.finishTask(this.id);
+    }
+
     // Destroy AI session if exists
     if (this.aiSession && typeof this.aiSession.destroy === 'function') {
       try {
@@ -207,10 +318,11 @@ export function findDuplicateTask(type, contentHash) {
  * Creates and registers a new task
  * @param {string} type - Task type
  * @param {string} content - Content to process
- * @param {Object} metadata - Additional metadata
- * @returns {Task} - Created task
+ * @param {Object} metadata - Additional metadata ({ title, url } are shown in the popup;
+ *   priority is a TASK_PRIORITY value, user by default)
+ * @returns {Promise<Task|null>} - Created task, or null if the same work is already running in any tab
  */
-export function createTask(type, content, metadata = {}) {
+export async function createTask(type, content, metadata = {}) {
   const contentHash = hashContent(content);
 
   // Check for duplicate
@@ -223,6 +335,26 @@ export function createTask(type, content, metadata = {}) {
   const task = new Task(type, contentHash, metadata);
   activeTasks.set(task.id, task);
 
+  try {
+    const response = await registry.registerTask({
+      id: task.id,
+      type,
+      contentHash,
+      title: metadata.title,
+      url: metadata.url,
+      status: task.status
+    });
+
+    if (response?.duplicate) {
+      console.log('[TaskManager] Duplicate task running in another tab:', response.duplicate.id);
+      activeTasks.delete(task.id);
+      return null;
+    }
+  } catch (error) {
+    // Without the registry the task still runs; it is just not visible elsewhere
+    console.warn('[TaskManager] Task registry unavailable:', error.message);
+  }
+
   console.log('[TaskManager] Created task:', task.id, type);
 
   return task;
@@ -292,3 +424,22 @@ export function cleanupOldTasks() {
 
 // Run cleanup periodically
 setInterval(cleanupOldTasks, 60 * 1000); // Every minute
+
+// Cancel from the popup's Active tasks view (routed by the service worker)
+registry.onCancelRequest(taskId => {
+  if (!activeTasks.has(taskId)) return false;
+  cancelTask(taskId);
+  return true;
+});
+
+registry.onStatusRequest(taskId => {
+  const task = activeTasks.get(taskId);
+  return task?.status === 'pending' || task?.status === 'running';
+});
+
+// Leaving the page ends its tasks; tell the registry instead of leaving them listed.
+// Unlike a user cancel, this keeps the tasks' checkpoints so they can be resumed.
+window.addEventListener('pagehide', (event) => {
+  if (event.persisted) return;
+  getAllActiveTasks().forEach(task => task.cancel('pagehide'));
+});
@@ -10,6 +10,7 @@
  */
 
 import { getTask, cancelTask } from './task-manager.js';
+import { formatNextReview } from '../utils/spaced-repetition.js';
 
 // Track overlay instances: Map<taskId, OverlayInstance>
 const overlayInstances = new Map();
@@ -54,7 +55,9 @@ class UnifiedOverlay {
     this.dragOffset = { x: 0, y: 0 };
     this.position = this.loadPosition();
     this.updateInterval = null;
-    this.mode = taskId ? 'progress' : 'results'; // 'progress' or 'results'
+    this.mode = taskId ? 'progress' : 'results'; // 'progress', 'streaming' or 'results'
+    this.streamText = '';
+    this.streamFrame = null;
 
     this.create();
     if (this.taskId) {
@@ -132,6 +135,8 @@ class UnifiedOverlay {
             <span id="qz-progress-time">Estimating...</span>
           </div>
           <div id="qz-progress-message" class="qz-progress-message">Starting...</div>
+          <ul id="qz-warnings" class="qz-warnings" hidden></ul>
+          <ul id="qz-attempts" class="qz-warnings qz-attempts" hidden></ul>
         </div>
       </div>
     `;
@@ -223,7 +228,7 @@ class UnifiedOverlay {
    * Updates progress mode from task
    */
   update() {
-    if (this.mode !== 'progress' || !this.taskId) return;
+    if ((this.mode !== 'progress' && this.mode !== 'streaming') || !this.taskId) return;
 
     const task = getTask(this.taskId);
     if (!task) {
@@ -231,6 +236,16 @@ class UnifiedOverlay {
       return;
     }
 
+    // The streaming view renders its own content; only watch for failure
+    if (this.mode === 'streaming') {
+      if (task.status === 'error') {
+        this.showError(task.error);
+      } else if (task.status === 'cancelled') {
+        this.remove();
+      }
+      return;
+    }
+
     // Update title
     const titleEl = this.shadow.getElementById('qz-title');
     const typeLabels = {
@@ -257,6 +272,8 @@ class UnifiedOverlay {
     if (timeEl) {
       if (task.status === 'running' && task.progress > 0) {
         timeEl.textContent = task.getFormattedRemainingTime();
+      } else if (task.queuePosition) {
+        timeEl.textContent = 'Waiting...';
       } else {
         timeEl.textContent = 'Estimating...';
       }
@@ -268,6 +285,8 @@ class UnifiedOverlay {
       messageEl.textContent = task.progressMessage || 'Processing...';
     }
 
+    this.showAttempts(task.attempts);
+
     // Check if task is complete - DO NOT auto-close, wait for results
     if (task.status === 'completed') {
       this.stopUpdating();
@@ -280,6 +299,38 @@ class UnifiedOverlay {
     }
   }
 
+  /**
+   * Lists content warnings (e.g. from validateContent) below the progress message
+   * @param {string[]} warnings - Warning messages
+   */
+  showWarnings(warnings = []) {
+    const listEl = this.shadow.getElementById('qz-warnings');
+    if (!listEl) return;
+
+    listEl.innerHTML = warnings
+      .map(warning => `<li>⚠ ${this.escapeHtml(warning)}</li>`)
+      .join('');
+    listEl.hidden = warnings.length === 0;
+  }
+
+  /**
+   * Lists the task's failed AI attempts and what was done about each
+   * @param {Array} attempts - Task attempt records (see Task.recordAttempt)
+   */
+  showAttempts(attempts = []) {
+    const listEl = this.shadow.getElementById('qz-attempts');
+    if (!listEl || listEl.childElementCount === attempts.length) return;
+
+    listEl.innerHTML = this.renderAttempts(attempts);
+    listEl.hidden = attempts.length === 0;
+  }
+
+  renderAttempts(attempts) {
+    return attempts
+      .map(attempt => `<li>↻ ${this.escapeHtml(attempt.message)}</li>`)
+      .join('');
+  }
+
   /**
    * Shows error state
    */
@@ -296,7 +347,12 @@ class UnifiedOverlay {
         messageEl.classList.add('error');
       }
     } else {
-      this.showResults(`<div class="qz-error-text">Error: ${error?.message || 'Unknown error'}</div>`, 'Error');
+      // The streaming view has no attempt list, so the history goes with the error
+      const attempts = getTask(this.taskId)?.attempts || [];
+      const history = attempts.length > 0
+        ? `<ul class="qz-warnings qz-attempts">${this.renderAttempts(attempts)}</ul>`
+        : '';
+      this.showResults(`<div class="qz-error-text">Error: ${error?.message || 'Unknown error'}</div>${history}`, 'Error');
     }
   }
 
@@ -306,6 +362,7 @@ class UnifiedOverlay {
   showResults(content, title = 'Results') {
     this.mode = 'results';
     this.stopUpdating();
+    this.cancelStreamFrame();
 
     // Recreate content in results mode
     const wrapper = this.shadow.querySelector('.qz-container');
@@ -331,15 +388,81 @@ class UnifiedOverlay {
     this.setupDragging();
   }
 
+  /**
+   * Switches from progress mode to a live view that shows text as it streams in
+   */
+  createStreamingDisplay(title) {
+    const wrapper = this.shadow.querySelector('.qz-container');
+    if (!wrapper) return;
+
+    this.mode = 'streaming';
+
+    wrapper.innerHTML = `
+      <div class="qz-card" style="width: 420px;">
+        <div class="qz-header" style="cursor: move;">
+          <h2 class="qz-title">${this.escapeHtml(title)}</h2>
+          <button class="qz-close" id="qz-close" aria-label="Cancel">×</button>
+        </div>
+        <div class="qz-body" id="qz-content" aria-live="polite" aria-busy="true">
+          <div id="qz-stream-text" style="white-space: pre-wrap; line-height: 1.6;"></div>
+          <div class="qz-stream-status">Writing...</div>
+        </div>
+      </div>
+    `;
+
+    // Closing while streaming cancels the task
+    const closeBtn = this.shadow.getElementById('qz-close');
+    closeBtn.addEventListener('click', () => {
+      if (this.taskId) {
+        cancelTask(this.taskId);
+      }
+      this.remove();
+    });
+
+    this.setupDragging();
+  }
+
+  /**
+   * Renders partially generated text, batching updates to one per frame.
+   * Keeps the view pinned to the bottom unless the user has scrolled up.
+   * @param {string} text - Accumulated text so far
+   * @param {string} [title] - Title shown while streaming
+   */
+  updateStreamingContent(text, title = 'Summary') {
+    if (this.mode === 'results') return;
+    if (this.mode !== 'streaming') {
+      this.createStreamingDisplay(title);
+    }
+
+    this.streamText = text;
+    if (this.streamFrame) return;
+
+    this.streamFrame = requestAnimationFrame(() => {
+      this.streamFrame = null;
+      const body = this.shadow.getElementById('qz-content');
+      const textEl = this.shadow.getElementById('qz-stream-text');
+      if (!body || !textEl) return;
+
+      const pinnedToBottom = body.scrollHeight - body.scrollTop - body.clientHeight < 24;
+      textEl.textContent = this.streamText;
+      if (pinnedToBottom) {
+        body.scrollTop = body.scrollHeight;
+      }
+    });
+  }
+
+  /**
+   * Cancels a pending streaming render
+   */
+  cancelStreamFrame() {
+    if (this.streamFrame) {
+      cancelAnimationFrame(this.streamFrame);
+      this.streamFrame = null;
+    }
+  }
+
   /**
    * Shows summary text
-   *
-   * NOTE: Streaming mode could be implemented here for progressive display.
-   * This would involve:
-   * 1. Creating a streaming content element during progress mode
-   * 2. Updating it incrementally as chunks arrive from summarizeStreaming()
-   * 3. Auto-scrolling to show the latest content as it streams in
-   * See ai-pipeline.js for streaming API documentation.
    */
   showSummary(summaryText, title = 'Summary') {
     const content = `
@@ -350,12 +473,43 @@ class UnifiedOverlay {
     this.showResults(content, title);
   }
 
+  /**
+   * Shows a message with buttons; the overlay closes when one is chosen
+   * @param {string} message - Text to show
+   * @param {Array} choices - [{ label, secondary?, onChoose }]
+   * @param {string} [title] - Overlay title
+   */
+  showChoice(message, choices, title = 'LocalScholar') {
+    const buttons = choices.map((choice, idx) =>
+      `<button class="qz-btn${choice.secondary ? ' secondary' : ''}" data-choice="${idx}">${this.escapeHtml(choice.label)}</button>`
+    ).join('');
+
+    this.showResults(`
+      <div style="line-height: 1.6; margin-bottom: 16px;">${this.escapeHtml(message)}</div>
+      <div class="qz-actions" style="justify-content: flex-end;">${buttons}</div>
+    `, title);
+
+    this.shadow.querySelectorAll('[data-choice]').forEach(button => {
+      button.addEventListener('click', () => {
+        this.remove();
+        choices[Number(button.dataset.choice)].onChoose();
+      });
+    });
+  }
+
   /**
    * Shows flashcard deck
+   * @param {Object} deck - Deck with cards (review sessions attach deckTitle to each card)
+   * @param {Object} [options]
+   * @param {Function} [options.onAnswer] - (card, cardIndex, { chosenOption, correct, responseMs })
+   *   => Promise<reviewState|null>
+   * @param {string} [options.title] - Overlay title (defaults to 'Flashcards (N)')
    */
-  showFlashcards(deck) {
+  showFlashcards(deck, options = {}) {
+    const { onAnswer = null, title = null } = options;
+
     if (!deck || !Array.isArray(deck.cards) || deck.cards.length === 0) {
-      this.showResults('<em>No flashcards to display.</em>', 'Flashcards');
+      this.showResults('<em>No flashcards to display.</em>', title || 'Flashcards');
       return;
     }
 
@@ -370,7 +524,7 @@ class UnifiedOverlay {
         <div>
           <div style="margin-bottom: 16px;">
             <div style="font-size: 12px; opacity: 0.7; margin-bottom: 8px;">
-              Question ${currentIndex + 1} of ${deck.cards.length}
+              Question ${currentIndex + 1} of ${deck.cards.length}${card.deckTitle ? ` • ${this.escapeHtml(card.deckTitle)}` : ''}
             </div>
             <div style="font-weight: 600; margin-bottom: 12px; font-size: 15px;">
               ${this.escapeHtml(card.question)}
@@ -414,6 +568,7 @@ class UnifiedOverlay {
       const explanationDiv = this.shadow.getElementById('qz-explanation');
 
       let answered = false;
+      const shownAt = Date.now();
 
       optionButtons.forEach((btn, index) => {
         btn.addEventListener('click', () => {
@@ -449,6 +604,21 @@ class UnifiedOverlay {
           if (explanationDiv) {
             explanationDiv.style.display = 'block';
           }
+
+          // Update the card's review schedule
+          if (onAnswer) {
+            const answer = { chosenOption: selectedIndex, correct: isCorrect, responseMs: Date.now() - shownAt };
+            Promise.resolve(onAnswer(card, currentIndex, answer))
+              .then(review => {
+                if (review && feedbackDiv) {
+                  const next = document.createElement('div');
+                  next.className = 'qz-next-review';
+                  next.textContent = `Next review: ${formatNextReview(review)}`;
+                  feedbackDiv.appendChild(next);
+                }
+              })
+              .catch(error => console.warn('[LocalScholar] Failed to record review:', error));
+          }
         });
       });
 
@@ -501,7 +671,7 @@ class UnifiedOverlay {
       }
     };
 
-    this.showResults('', `Flashcards (${deck.cards.length})`);
+    this.showResults('', title || `Flashcards (${deck.cards.length})`);
     renderCard();
   }
 
@@ -538,6 +708,7 @@ class UnifiedOverlay {
    */
   remove() {
     this.stopUpdating();
+    this.cancelStreamFrame();
 
     if (this.element && this.element.parentNode) {
       this.element.parentNode.removeChild(this.element);
@@ -0,0 +1,414 @@
+/**
+ * IndexedDB Repository
+ *
+ * Stores large LocalScholar records (decks, collection items, reports, summaries,
+ * flashcard review log, report revisions, queue projects) in an IndexedDB database
+ * owned by the extension origin.
+ *
+ * Content scripts run in the page's origin, so their IndexedDB would belong to the
+ * website. Calls made outside an extension page are forwarded to the service worker,
+ * which runs the same operation against the extension database.
+ */
+
+const DB_NAME = 'localscholar';
+const DB_VERSION = 4;
+const MESSAGE_TYPE = 'LOCALSCHOLAR_DB';
+const CHANGE_CHANNEL = 'localscholar-db';
+
+export const STORES = {
+  DECKS: 'decks',
+  COLLECTION: 'collection',
+  REPORTS: 'reports',
+  SUMMARIES: 'summaries',
+  REVIEWS: 'reviews',
+  REVISIONS: 'revisions',
+  PROJECTS: 'projects',
+};
+
+/**
+ * Object store definitions: index name -> key path
+ * Every store is keyed by `id` and has a `createdAt` index used for ordering.
+ */
+const SCHEMA = {
+  [STORES.DECKS]: {
+    indexes: { url: 'sourceUrl', createdAt: 'createdAt' },
+  },
+  [STORES.COLLECTION]: {
+    indexes: { url: 'url', createdAt: 'addedAt', textHash: 'textHash' },
+  },
+  [STORES.REPORTS]: {
+    indexes: { createdAt: 'createdAt' },
+  },
+  [STORES.SUMMARIES]: {
+    indexes: { url: 'url', createdAt: 'createdAt', textHash: 'textHash' },
+  },
+  // Flashcard answer log (added in version 2)
+  [STORES.REVIEWS]: {
+    indexes: { deckId: 'deckId', createdAt: 'createdAt' },
+  },
+  // Earlier versions of reports (added in version 3)
+  [STORES.REVISIONS]: {
+    indexes: { reportId: 'reportId', createdAt: 'createdAt' },
+  },
+  // Named groups of collection items (added in version 4)
+  [STORES.PROJECTS]: {
+    indexes: { createdAt: 'createdAt' },
+  },
+};
+
+const IS_EXTENSION_PAGE = typeof location !== 'undefined' && location.protocol === 'chrome-extension:';
+
+let dbPromise = null;
+let changeChannel = null;
+
+// Named record transforms for `update`: name -> (record, ...args) => updated record | null
+const UPDATERS = {};
+
+/**
+ * Opens (and upgrades) the database
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDatabase() {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      const tx = request.transaction;
+
+      for (const [storeName, definition] of Object.entries(SCHEMA)) {
+        const store = db.objectStoreNames.contains(storeName)
+          ? tx.objectStore(storeName)
+          : db.createObjectStore(storeName, { keyPath: 'id' });
+
+        for (const [indexName, keyPath] of Object.entries(definition.indexes)) {
+          if (!store.indexNames.contains(indexName)) {
+            store.createIndex(indexName, keyPath, { unique: false });
+          }
+        }
+      }
+    };
+
+    request.onsuccess = () => {
+      const db = request.result;
+      // Let a newer version of the extension upgrade the schema
+      db.onversionchange = () => {
+        db.close();
+        dbPromise = null;
+      };
+      resolve(db);
+    };
+
+    request.onerror = () => {
+      dbPromise = null;
+      reject(request.error);
+    };
+  });
+
+  return dbPromise;
+}
+
+/**
+ * Wraps an IDBRequest in a promise
+ */
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Resolves once a transaction commits
+ */
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+  });
+}
+
+/**
+ * Notifies other extension pages (popup, service worker) that a store changed
+ */
+function notifyChange(storeName) {
+  if (typeof BroadcastChannel === 'undefined') return;
+  if (!changeChannel) {
+    changeChannel = new BroadcastChannel(CHANGE_CHANNEL);
+  }
+  changeChannel.postMessage({ store: storeName });
+}
+
+// ===== Local operations (extension origin only) =====
+
+const OPERATIONS = {
+  /**
+   * Reads all records, optionally through an index
+   * @param {string} storeName - Object store
+   * @param {Object} [options]
+   * @param {string} [options.index] - Index name (e.g. 'createdAt', 'url')
+   * @param {*} [options.query] - Exact key to match on the index
+   * @param {'next'|'prev'} [options.direction] - Cursor direction
+   * @param {number} [options.limit] - Maximum number of records
+   */
+  async getAll(storeName, options = {}) {
+    const { index, query, direction = 'next', limit = 0 } = options;
+    const db = await openDatabase();
+    const tx = db.transaction(storeName, 'readonly');
+    const store = tx.objectStore(storeName);
+    const source = index ? store.index(index) : store;
+
+    const results = [];
+    await new Promise((resolve, reject) => {
+      const request = source.openCursor(query ?? null, direction);
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor || (limit > 0 && results.length >= limit)) {
+          resolve();
+          return;
+        }
+        results.push(cursor.value);
+        cursor.continue();
+      };
+      request.onerror = () => reject(request.error);
+    });
+
+    return results;
+  },
+
+  async get(storeName, key) {
+    const db = await openDatabase();
+    const tx = db.transaction(storeName, 'readonly');
+    const result = await promisify(tx.objectStore(storeName).get(key));
+    return result ?? null;
+  },
+
+  async put(storeName, record) {
+    const db = await openDatabase();
+    const tx = db.transaction(storeName, 'readwrite');
+    tx.objectStore(storeName).put(record);
+    await transactionDone(tx);
+    notifyChange(storeName);
+    return record;
+  },
+
+  async putMany(storeName, records) {
+    const db = await openDatabase();
+    const tx = db.transaction(storeName, 'readwrite');
+    const store = tx.objectStore(storeName);
+    records.forEach(record => store.put(record));
+    await transactionDone(tx);
+    notifyChange(storeName);
+    return records.length;
+  },
+
+  /**
+   * Reads a record, transforms it and writes it back in one readwrite transaction,
+   * so concurrent updates of the same record cannot overwrite each other
+   * @param {string} storeName - Object store
+   * @param {string} key - Record key
+   * @param {string} updaterName - Updater registered with registerUpdater()
+   * @param {...*} args - Extra arguments for the updater
+   * @returns {Promise<Object|null>} Updated record, or null if missing or left unchanged
+   */
+  async update(storeName, key, updaterName, ...args) {
+    const updater = UPDATERS[updaterName];
+    if (!updater) {
+      throw new Error(`Unknown record updater: ${updaterName}`);
+    }
+
+    const db = await openDatabase();
+    const tx = db.transaction(storeName, 'readwrite');
+    const store = tx.objectStore(storeName);
+    const request = store.get(key);
+    let updated = null;
+    let updaterError = null;
+
+    request.onsuccess = () => {
+      if (!request.result) return;
+      try {
+        updated = updater(request.result, ...args) || null;
+      } catch (error) {
+        updaterError = error;
+        tx.abort();
+        return;
+      }
+      if (updated) store.put(updated);
+    };
+
+    try {
+      await transactionDone(tx);
+    } catch (error) {
+      throw updaterError || error;
+    }
+    if (updated) notifyChange(storeName);
+    return updated;
+  },
+
+  async remove(storeName, key) {
+    const db = await openDatabase();
+    const tx = db.transaction(storeName, 'readwrite');
+    tx.objectStore(storeName).delete(key);
+    await transactionDone(tx);
+    notifyChange(storeName);
+    return true;
+  },
+
+  /**
+   * Deletes every record matching a key on an index
+   * @returns {Promise<number>} Number of records deleted
+   */
+  async removeByIndex(storeName, index, query) {
+    const db = await openDatabase();
+    const tx = db.transaction(storeName, 'readwrite');
+    const request = tx.objectStore(storeName).index(index).openCursor(query);
+    let deleted = 0;
+
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) return;
+      cursor.delete();
+      deleted++;
+      cursor.continue();
+    };
+
+    await transactionDone(tx);
+    if (deleted > 0) notifyChange(storeName);
+    return deleted;
+  },
+
+  async clear(storeName) {
+    const db = await openDatabase();
+    const tx = db.transaction(storeName, 'readwrite');
+    tx.objectStore(storeName).clear();
+    await transactionDone(tx);
+    notifyChange(storeName);
+    return true;
+  },
+
+  async count(storeName) {
+    const db = await openDatabase();
+    const tx = db.transaction(storeName, 'readonly');
+    return promisify(tx.objectStore(storeName).count());
+  },
+
+  /**
+   * Deletes the oldest records (by createdAt index) beyond a cap
+   * @returns {Promise<number>} Number of records deleted
+   */
+  async prune(storeName, maxRecords) {
+    const db = await openDatabase();
+    const tx = db.transaction(storeName, 'readwrite');
+    const store = tx.objectStore(storeName);
+    const total = await promisify(store.count());
+    let excess = total - maxRecords;
+    const deleted = Math.max(0, excess);
+
+    if (excess > 0) {
+      const request = store.index('createdAt').openCursor(null, 'next');
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor || excess <= 0) return;
+        cursor.delete();
+        excess--;
+        cursor.continue();
+      };
+    }
+
+    await transactionDone(tx);
+    if (deleted > 0) notifyChange(storeName);
+    return deleted;
+  },
+};
+
+/**
+ * Runs an operation locally, or forwards it to the service worker from content scripts
+ */
+async function execute(op, storeName, ...args) {
+  if (!SCHEMA[storeName]) {
+    throw new Error(`Unknown store: ${storeName}`);
+  }
+
+  if (IS_EXTENSION_PAGE) {
+    return OPERATIONS[op](storeName, ...args);
+  }
+
+  const response = await chrome.runtime.sendMessage({ type: MESSAGE_TYPE, op, store: storeName, args });
+  if (!response?.ok) {
+    throw new Error(response?.error || 'Storage request failed');
+  }
+  return response.result;
+}
+
+export const getAll = (storeName, options) => execute('getAll', storeName, options);
+export const get = (storeName, key) => execute('get', storeName, key);
+export const put = (storeName, record) => execute('put', storeName, record);
+export const putMany = (storeName, records) => execute('putMany', storeName, records);
+export const update = (storeName, key, updaterName, ...args) => execute('update', storeName, key, updaterName, ...args);
+export const remove = (storeName, key) => execute('remove', storeName, key);
+export const removeByIndex = (storeName, index, query) => execute('removeByIndex', storeName, index, query);
+export const clear = (storeName) => execute('clear', storeName);
+export const count = (storeName) => execute('count', storeName);
+export const prune = (storeName, maxRecords) => execute('prune', storeName, maxRecords);
+
+/**
+ * Clears every object store
+ */
+export async function clearAllStores() {
+  for (const storeName of Object.values(STORES)) {
+    await clear(storeName);
+  }
+  return true;
+}
+
+/**
+ * Registers a named record transform for update(). It runs inside the transaction,
+ * so it must be synchronous. Content scripts forward update() to the service worker,
+ * which must import the module that registers the updater.
+ * @param {string} name - Updater name
+ * @param {Function} updater - (record, ...args) => updated record, or null to leave it unchanged
+ */
+export function registerUpdater(name, updater) {
+  UPDATERS[name] = updater;
+}
+
+/**
+ * Handles forwarded database messages (service worker side)
+ * @param {Object} msg - { type, op, store, args }
+ * @returns {Promise<Object>} - { ok, result?, error? }
+ */
+export async function handleDatabaseMessage(msg) {
+  try {
+    if (!OPERATIONS[msg.op]) {
+      throw new Error(`Unknown database operation: ${msg.op}`);
+    }
+    const result = await execute(msg.op, msg.store, ...(msg.args || []));
+    return { ok: true, result };
+  } catch (error) {
+    console.error('[LocalScholar] Database operation failed:', msg.op, msg.store, error);
+    return { ok: false, error: error.message };
+  }
+}
+
+/**
+ * Checks whether a runtime message is a forwarded database request
+ */
+export function isDatabaseMessage(msg) {
+  return msg?.type === MESSAGE_TYPE;
+}
+
+/**
+ * Subscribes to store changes made from any extension page or the service worker
+ * @param {Function} callback - Called with the changed store name
+ * @returns {Function} Unsubscribe function
+ */
+export function onStoreChange(callback) {
+  if (typeof BroadcastChannel === 'undefined') return () => {};
+
+  const channel = new BroadcastChannel(CHANGE_CHANNEL);
+  channel.onmessage = (event) => callback(event.data?.store);
+  return () => channel.close();
+}
@@ -0,0 +1,169 @@
+/**
+ * Storage Schema Migrations
+ *
+ * The current schema version is stored under 'localscholar.schemaVersion'.
+ * Data without a version (anything written before versioning) is version 0.
+ *
+ * To change the shape of stored data, append a migration to MIGRATIONS with the
+ * next version number. Migrations run in order at service-worker install/update
+ * and after importing an export, so older data is always brought up to date.
+ */
+
+import * as db from './db.js';
+import { createReviewState } from '../utils/spaced-repetition.js';
+
+export const SCHEMA_VERSION_KEY = 'localscholar.schemaVersion';
+
+// Legacy chrome.storage keys that were moved into IndexedDB stores
+export const LEGACY_STORE_KEYS = {
+  'localscholar.decks': db.STORES.DECKS,
+  'localscholar.collection': db.STORES.COLLECTION,
+  'localscholar.reports': db.STORES.REPORTS,
+  'localscholar.summaries': db.STORES.SUMMARIES,
+};
+
+/**
+ * Applies a transform to every record in a store.
+ * Return the updated record, or null to leave it unchanged.
+ * @param {string} storeName - Object store
+ * @param {Function} transform - (record) => record|null
+ * @returns {Promise<number>} Number of records updated
+ */
+export async function updateRecords(storeName, transform) {
+  const records = await db.getAll(storeName);
+  const updated = records.map(transform).filter(Boolean);
+  if (updated.length > 0) {
+    await db.putMany(storeName, updated);
+  }
+  return updated.length;
+}
+
+/**
+ * Ordered list of migrations: { version, description, migrate }
+ */
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Move decks, collection, reports and summaries from chrome.storage.local to IndexedDB',
+    async migrate() {
+      const legacyKeys = Object.keys(LEGACY_STORE_KEYS);
+      const data = await chrome.storage.local.get(legacyKeys);
+
+      for (const [key, storeName] of Object.entries(LEGACY_STORE_KEYS)) {
+        const records = Array.isArray(data[key]) ? data[key].filter(r => r && r.id) : [];
+        if (records.length > 0) {
+          await db.putMany(storeName, records);
+        }
+      }
+
+      const presentKeys = legacyKeys.filter(key => key in data);
+      if (presentKeys.length > 0) {
+        await chrome.storage.local.remove(presentKeys);
+      }
+    },
+  },
+  {
+    version: 2,
+    description: 'Add generation settings, text hash and cache key fields to summaries',
+    async migrate() {
+      await updateRecords(db.STORES.SUMMARIES, (summary) => {
+        if (summary.settings !== undefined) return null;
+        return {
+          ...summary,
+          sourceType: summary.sourceType || 'page',
+          textHash: summary.textHash || null,
+          cacheKey: summary.cacheKey || null,
+          // Settings were not recorded before, and users may have changed them: unknown
+          settings: null,
+          updatedAt: summary.updatedAt || summary.createdAt,
+        };
+      });
+    },
+  },
+  {
+    version: 3,
+    description: 'Add spaced-repetition review state to flashcards',
+    async migrate() {
+      await updateRecords(db.STORES.DECKS, (deck) => {
+        if (!Array.isArray(deck.cards) || deck.cards.every(card => card.review)) return null;
+        return {
+          ...deck,
+          cards: deck.cards.map(card => card.review ? card : { ...card, review: createReviewState(deck.createdAt) }),
+        };
+      });
+    },
+  },
+  {
+    version: 4,
+    description: 'Add queue position, project and report selection to collection items',
+    async migrate() {
+      // Keep the order the queue was shown in (newest first)
+      const items = await db.getAll(db.STORES.COLLECTION, { index: 'createdAt', direction: 'prev' });
+      const updated = items
+        .map((item, idx) => item.position === undefined
+          ? { ...item, position: idx, projectId: item.projectId ?? null, selected: item.selected ?? true }
+          : null)
+        .filter(Boolean);
+      if (updated.length > 0) {
+        await db.putMany(db.STORES.COLLECTION, updated);
+      }
+    },
+  },
+  {
+    version: 5,
+    description: 'Add notes and highlights to collection items',
+    async migrate() {
+      await updateRecords(db.STORES.COLLECTION, item => (
+        item.notes === undefined || !Array.isArray(item.highlights)
+          ? { ...item, notes: item.notes ?? '', highlights: Array.isArray(item.highlights) ? item.highlights : [] }
+          : null
+      ));
+    },
+  },
+];
+
+/**
+ * Latest schema version known to this build
+ */
+export const SCHEMA_VERSION = MIGRATIONS.length > 0
+  ? MIGRATIONS[MIGRATIONS.length - 1].version
+  : 0;
+
+/**
+ * Gets the schema version of the stored data
+ * @returns {Promise<number>}
+ */
+export async function getSchemaVersion() {
+  const data = await chrome.storage.local.get({ [SCHEMA_VERSION_KEY]: 0 });
+  const version = Number(data[SCHEMA_VERSION_KEY]);
+  return Number.isInteger(version) && version >= 0 ? version : 0;
+}
+
+async function setSchemaVersion(version) {
+  await chrome.storage.local.set({ [SCHEMA_VERSION_KEY]: version });
+}
+
+/**
+ * Runs every migration newer than the stored schema version.
+ * The version is saved after each step, so a failed run resumes where it stopped.
+ * @returns {Promise<Object>} - { from: number, to: number, applied: number[] }
+ */
+export async function runMigrations() {
+  const from = await getSchemaVersion();
+
+  if (from > SCHEMA_VERSION) {
+    throw new Error(`Stored data uses schema version ${from}, but this build only supports up to ${SCHEMA_VERSION}`);
+  }
+
+  const applied = [];
+  for (const migration of MIGRATIONS) {
+    if (migration.version <= from) continue;
+
+    console.log(`[LocalScholar] Running migration ${migration.version}: ${migration.description}`);
+    await migration.migrate();
+    await setSchemaVersion(migration.version);
+    applied.push(migration.version);
+  }
+
+  return { from, to: await getSchemaVersion(), applied };
+}
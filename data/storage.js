@@ -1,13 +1,40 @@
-// Simple storage wrapper for LocalScholar decks using chrome.storage.local
-// All keys are namespaced under 'localscholar.'
+// Storage wrapper for LocalScholar
+// Decks, collection items, reports and summaries live in IndexedDB (see db.js);
+// settings and the cache stay in chrome.storage.local.
+// All chrome.storage keys are namespaced under 'localscholar.'
+
+import * as db from './db.js';
+import { LEGACY_STORE_KEYS, SCHEMA_VERSION, SCHEMA_VERSION_KEY, getSchemaVersion, runMigrations } from './migrations.js';
+import { createReviewState, scheduleReview, gradeAnswer, isDueToday } from '../utils/spaced-repetition.js';
+import { computeDeckStats } from '../utils/study-stats.js';
 
 const NAMESPACE = 'localscholar.';
 const KEYS = {
-  DECKS: `${NAMESPACE}decks`,
-  COLLECTION: `${NAMESPACE}collection`,
-  REPORTS: `${NAMESPACE}reports`,
   CACHE: `${NAMESPACE}cache`,
   SETTINGS: `${NAMESPACE}settings`,
+  REPORT_JOB: `${NAMESPACE}reportJob`,
+  CHECKPOINTS: `${NAMESPACE}checkpoints`,
+};
+
+const MAX_COLLECTION_ITEMS = 200;
+const MAX_REPORTS = 100;
+const MAX_REPORT_REVISIONS = 20;
+const MAX_PROJECTS = 50;
+const MAX_PROJECT_NAME_LENGTH = 60;
+const MAX_NOTES_LENGTH = 4000;
+const MAX_HIGHLIGHTS_PER_ITEM = 50;
+const MAX_HIGHLIGHT_LENGTH = 2000;
+const MAX_HIGHLIGHT_CONTEXT_LENGTH = 100;
+const MAX_SUMMARIES = 100;
+const MAX_CHECKPOINTS = 20;
+const CHECKPOINT_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Stores included in exports, under their chrome.storage-style keys
+const EXPORT_STORE_KEYS = {
+  ...LEGACY_STORE_KEYS,
+  [`${NAMESPACE}reviews`]: db.STORES.REVIEWS,
+  [`${NAMESPACE}revisions`]: db.STORES.REVISIONS,
+  [`${NAMESPACE}projects`]: db.STORES.PROJECTS,
 };
 
 function nowIso() {
@@ -23,14 +50,19 @@ async function setRaw(key, value) {
   await chrome.storage.local.set({ [key]: value });
 }
 
+/**
+ * Lists a store newest-first using its createdAt index
+ */
+function listNewestFirst(storeName) {
+  return db.getAll(storeName, { index: 'createdAt', direction: 'prev' });
+}
+
 export async function listDecks() {
-  const decks = await getRaw(KEYS.DECKS, []);
-  return Array.isArray(decks) ? decks : [];
+  return listNewestFirst(db.STORES.DECKS);
 }
 
 export async function getDeck(deckId) {
-  const decks = await listDecks();
-  return decks.find(d => d.id === deckId) || null;
+  return db.get(db.STORES.DECKS, deckId);
 }
 
 export async function saveDeck(deck) {
@@ -38,26 +70,23 @@ export async function saveDeck(deck) {
   if (!deck || !deck.id || !Array.isArray(deck.cards)) {
     throw new Error('Invalid deck');
   }
-  const decks = await listDecks();
-  const existingIndex = decks.findIndex(d => d.id === deck.id);
   const now = nowIso();
-  const record = { ...deck, updatedAt: now, createdAt: deck.createdAt || now };
-
-  if (existingIndex >= 0) {
-    decks[existingIndex] = record;
-  } else {
-    decks.unshift(record);
-  }
+  const createdAt = deck.createdAt || now;
+  const record = {
+    ...deck,
+    // Every card carries its own spaced-repetition state
+    cards: deck.cards.map(card => card.review ? card : { ...card, review: createReviewState(createdAt) }),
+    updatedAt: now,
+    createdAt
+  };
 
-  await setRaw(KEYS.DECKS, decks);
+  await db.put(db.STORES.DECKS, record);
   return record;
 }
 
 export async function deleteDeck(deckId) {
-  const decks = await listDecks();
-  const filtered = decks.filter(d => d.id !== deckId);
-  await setRaw(KEYS.DECKS, filtered);
-  return true;
+  await db.removeByIndex(db.STORES.REVIEWS, 'deckId', deckId);
+  return db.remove(db.STORES.DECKS, deckId);
 }
 
 export async function updateDeckMetadata(deckId, partial) {
@@ -68,6 +97,124 @@ export async function updateDeckMetadata(deckId, partial) {
   return updated;
 }
 
+const CARD_REVIEW_UPDATER = 'cardReview';
+
+/**
+ * Schedules the next review of one card of a deck record (db.update() transform)
+ * @returns {Object|null} Updated deck, or null if the card no longer exists
+ */
+function applyCardReview(deck, cardIndex, quality, reviewedAt) {
+  const card = deck.cards?.[cardIndex];
+  if (!card) return null;
+
+  const cards = deck.cards.slice();
+  cards[cardIndex] = { ...card, review: scheduleReview(card.review, quality, new Date(reviewedAt)) };
+  return { ...deck, cards, updatedAt: reviewedAt };
+}
+
+db.registerUpdater(CARD_REVIEW_UPDATER, applyCardReview);
+
+/**
+ * Records an answer for a card: logs a review event and schedules the next review
+ * @param {string} deckId - Deck ID
+ * @param {number} cardIndex - Index of the card in the deck
+ * @param {Object} answer - Answer details
+ * @param {number} answer.chosenOption - Index of the chosen option
+ * @param {boolean} answer.correct - Whether the answer was correct
+ * @param {number} [answer.responseMs] - Time taken to answer
+ * @returns {Promise<Object|null>} Updated review state, or null if the card no longer exists
+ */
+export async function recordCardReview(deckId, cardIndex, answer) {
+  const { chosenOption = null, correct = false, responseMs = null } = answer || {};
+  const reviewedAt = nowIso();
+
+  // Read-modify-write in one transaction: quick answers or a second tab reviewing
+  // the same deck would otherwise overwrite each other's review state
+  const deck = await db.update(db.STORES.DECKS, deckId, CARD_REVIEW_UPDATER, cardIndex,
+    gradeAnswer(correct, responseMs), reviewedAt);
+  if (!deck) return null;
+
+  await db.put(db.STORES.REVIEWS, {
+    id: createReviewEventId(),
+    deckId,
+    cardIndex,
+    chosenOption,
+    correct: !!correct,
+    responseMs,
+    createdAt: reviewedAt,
+  });
+
+  return deck.cards[cardIndex].review;
+}
+
+/**
+ * Collects cards due today across all decks, most overdue first
+ * @returns {Promise<Array>} Cards with { deckId, deckTitle, cardIndex } attached
+ */
+export async function listDueCards() {
+  const decks = await listDecks();
+  const now = new Date();
+  const due = [];
+
+  for (const deck of decks) {
+    (deck.cards || []).forEach((card, cardIndex) => {
+      if (isDueToday(card.review, now)) {
+        due.push({ ...card, deckId: deck.id, deckTitle: deck.title, cardIndex });
+      }
+    });
+  }
+
+  return due.sort((a, b) => new Date(a.review?.due || 0) - new Date(b.review?.due || 0));
+}
+
+// ===== Review Log & Statistics =====
+
+/**
+ * Generates a review event ID
+ */
+function createReviewEventId(prefix = 'review') {
+  return `${prefix}_${Math.random().toString(36).slice(2, 8)}_${Date.now().toString(36)}`;
+}
+
+/**
+ * Lists review events for a deck, oldest first
+ */
+export async function listReviewEvents(deckId) {
+  return db.getAll(db.STORES.REVIEWS, { index: 'deckId', query: deckId });
+}
+
+/**
+ * Gets mastery statistics for one deck
+ * @returns {Promise<Object|null>} See computeDeckStats()
+ */
+export async function getDeckStats(deckId) {
+  const deck = await getDeck(deckId);
+  if (!deck) return null;
+  return computeDeckStats(deck, await listReviewEvents(deckId));
+}
+
+/**
+ * Gets statistics for every deck in one pass over the review log
+ * @returns {Promise<Object>} Map of deckId -> stats
+ */
+export async function getAllDeckStats() {
+  const [decks, events] = await Promise.all([
+    listDecks(),
+    db.getAll(db.STORES.REVIEWS),
+  ]);
+
+  const eventsByDeck = {};
+  for (const event of events) {
+    (eventsByDeck[event.deckId] ||= []).push(event);
+  }
+
+  const stats = {};
+  for (const deck of decks) {
+    stats[deck.id] = computeDeckStats(deck, eventsByDeck[deck.id] || []);
+  }
+  return stats;
+}
+
 // Utility to generate a deck id
 export function createDeckId(prefix = 'deck') {
   return `${prefix}_${Math.random().toString(36).slice(2, 8)}_${Date.now().toString(36)}`;
@@ -116,19 +263,29 @@ function simpleHash(text) {
 }
 
 /**
- * Lists all collection items
+ * Sorts collection items into queue order (the order their sources appear in a report)
+ */
+function byQueuePosition(a, b) {
+  return (a.position ?? 0) - (b.position ?? 0) || String(a.addedAt).localeCompare(String(b.addedAt));
+}
+
+/**
+ * Lists collection items in queue order
+ * @param {string|null} [projectId] - Only items in this project (null: items in no project);
+ *   omit for all items
  */
-export async function listCollection() {
-  const items = await getRaw(KEYS.COLLECTION, []);
-  return Array.isArray(items) ? items : [];
+export async function listCollection(projectId) {
+  const items = await db.getAll(db.STORES.COLLECTION);
+  return items
+    .filter(item => projectId === undefined || (item.projectId ?? null) === projectId)
+    .sort(byQueuePosition);
 }
 
 /**
  * Gets a single collection item by ID
  */
 export async function getCollectionItem(itemId) {
-  const items = await listCollection();
-  return items.find(i => i.id === itemId) || null;
+  return db.get(db.STORES.COLLECTION, itemId);
 }
 
 /**
@@ -145,16 +302,30 @@ export async function addToCollection(item) {
     throw new Error('Invalid collection item: url and text required');
   }
 
-  const items = await listCollection();
   const now = nowIso();
   const textHash = simpleHash(item.text);
 
   // Check for duplicates
-  const existing = items.find(i => i.textHash === textHash && i.url === item.url);
+  const sameText = await db.getAll(db.STORES.COLLECTION, { index: 'textHash', query: textHash });
+  const existing = sameText.find(i => i.url === item.url);
   if (existing) {
     return existing; // Return existing item instead of duplicating
   }
 
+  // New items join the end of the queue, in the project picked in the popup
+  const collection = await db.getAll(db.STORES.COLLECTION);
+  const lastPosition = collection.reduce((max, i) => Math.max(max, i.position ?? 0), -1);
+  const projectId = item.projectId !== undefined
+    ? item.projectId
+    : (await getRaw(KEYS.SETTINGS, {})).activeProjectId ?? null;
+
+  // Each project holds up to 200 items; a full project refuses new ones rather
+  // than evicting sources the user may have picked for a report
+  const projectSize = collection.filter(i => (i.projectId ?? null) === projectId).length;
+  if (projectSize >= MAX_COLLECTION_ITEMS) {
+    throw new Error(`Queue full: this project already has ${MAX_COLLECTION_ITEMS} items. Remove some before adding more`);
+  }
+
   const record = {
     id: createCollectionId(),
     url: item.url,
@@ -162,15 +333,17 @@ export async function addToCollection(item) {
     sourceType: item.sourceType || 'page',
     textHash,
     textExcerpt: item.textExcerpt || item.text.slice(0, 200),
-    fullText: item.text, // Store full text directly (could use IndexedDB for very large items)
+    fullText: item.text,
+    citation: item.citation || null,
+    projectId,
+    position: lastPosition + 1,
+    selected: true,
+    notes: '',
+    highlights: [],
     addedAt: now,
   };
 
-  items.unshift(record);
-
-  // Limit to 200 items (prune oldest)
-  const pruned = items.slice(0, 200);
-  await setRaw(KEYS.COLLECTION, pruned);
+  await db.put(db.STORES.COLLECTION, record);
 
   return record;
 }
@@ -179,20 +352,225 @@ export async function addToCollection(item) {
  * Removes an item from the collection
  */
 export async function removeFromCollection(itemId) {
-  const items = await listCollection();
-  const filtered = items.filter(i => i.id !== itemId);
-  await setRaw(KEYS.COLLECTION, filtered);
+  return db.remove(db.STORES.COLLECTION, itemId);
+}
+
+/**
+ * Clears the collection
+ * @param {string|null} [projectId] - Only clear this project's items (null: items in no project);
+ *   omit to clear everything
+ */
+export async function clearCollection(projectId) {
+  if (projectId === undefined) {
+    return db.clear(db.STORES.COLLECTION);
+  }
+
+  const items = await listCollection(projectId);
+  for (const item of items) {
+    await db.remove(db.STORES.COLLECTION, item.id);
+  }
   return true;
 }
 
 /**
- * Clears the entire collection
+ * Applies changes to several collection items in one write
+ * @returns {Promise<number>} Number of items updated
+ */
+async function updateCollectionItems(itemIds, update) {
+  const ids = new Set(itemIds);
+  const items = (await db.getAll(db.STORES.COLLECTION)).filter(item => ids.has(item.id));
+  if (items.length === 0) return 0;
+  return db.putMany(db.STORES.COLLECTION, items.map(update));
+}
+
+/**
+ * Reorders collection items. The items keep the queue slots they held between
+ * them, so items of other projects stay where they are.
+ * @param {string[]} orderedIds - Item IDs in their new order
+ */
+export async function reorderCollection(orderedIds) {
+  const items = await db.getAll(db.STORES.COLLECTION);
+  const byId = new Map(items.map(item => [item.id, item]));
+  const moved = orderedIds.map(id => byId.get(id)).filter(Boolean);
+  const slots = [...moved].sort(byQueuePosition).map(item => item.position ?? 0);
+
+  // Items without distinct positions (e.g. imported) get fresh ones at the end
+  if (new Set(slots).size < slots.length) {
+    const last = items.reduce((max, item) => Math.max(max, item.position ?? 0), -1);
+    slots.forEach((_, idx) => { slots[idx] = last + 1 + idx; });
+  }
+
+  await db.putMany(db.STORES.COLLECTION, moved.map((item, idx) => ({ ...item, position: slots[idx] })));
+}
+
+/**
+ * Marks collection items as included in (or left out of) the next report
  */
-export async function clearCollection() {
-  await setRaw(KEYS.COLLECTION, []);
+export async function setCollectionItemsSelected(itemIds, selected) {
+  return updateCollectionItems(itemIds, item => ({ ...item, selected: Boolean(selected) }));
+}
+
+/**
+ * Moves collection items to a project
+ * @param {string[]} itemIds - Items to move
+ * @param {string|null} projectId - Target project (null: no project)
+ */
+export async function moveCollectionItems(itemIds, projectId) {
+  if (projectId !== null && !(await db.get(db.STORES.PROJECTS, projectId))) {
+    throw new Error(`Invalid project: ${projectId}`);
+  }
+  return updateCollectionItems(itemIds, item => ({ ...item, projectId }));
+}
+
+/**
+ * Finds the collection item for a page, preferring a whole-page item over selections
+ * @param {string} url - Page URL
+ * @returns {Promise<Object|null>}
+ */
+export async function findCollectionItemByUrl(url) {
+  const items = await db.getAll(db.STORES.COLLECTION, { index: 'url', query: url });
+  return items.find(item => item.sourceType === 'page') || items[0] || null;
+}
+
+/**
+ * Sets the user's notes on a collection item (why the source matters)
+ * @param {string} itemId - Collection item ID
+ * @param {string} notes - Plain text; empty clears the notes
+ */
+export async function setCollectionItemNotes(itemId, notes) {
+  const text = String(notes ?? '').trim();
+  if (text.length > MAX_NOTES_LENGTH) {
+    throw new Error(`Invalid notes: longer than ${MAX_NOTES_LENGTH} characters`);
+  }
+
+  const item = await db.get(db.STORES.COLLECTION, itemId);
+  if (!item) {
+    throw new Error(`Invalid collection item: ${itemId}`);
+  }
+
+  const record = { ...item, notes: text };
+  await db.put(db.STORES.COLLECTION, record);
+  return record;
+}
+
+/**
+ * Saves a highlighted passage on a collection item.
+ * The surrounding text is kept so the passage can be found again on the page
+ * (see utils/text-anchor.js).
+ * @param {string} itemId - Collection item ID
+ * @param {Object} highlight - { exact, prefix, suffix }
+ * @returns {Promise<Object>} The saved highlight (the existing one if already saved)
+ */
+export async function addCollectionHighlight(itemId, highlight) {
+  const exact = String(highlight?.exact || '').replace(/\s+/g, ' ').trim();
+  if (!exact || exact.length > MAX_HIGHLIGHT_LENGTH) {
+    throw new Error(`Invalid highlight: text must be 1-${MAX_HIGHLIGHT_LENGTH} characters`);
+  }
+
+  const item = await db.get(db.STORES.COLLECTION, itemId);
+  if (!item) {
+    throw new Error(`Invalid collection item: ${itemId}`);
+  }
+
+  const highlights = item.highlights || [];
+  const prefix = String(highlight.prefix || '').slice(-MAX_HIGHLIGHT_CONTEXT_LENGTH);
+  const suffix = String(highlight.suffix || '').slice(0, MAX_HIGHLIGHT_CONTEXT_LENGTH);
+
+  const existing = highlights.find(h => h.exact === exact && h.prefix === prefix);
+  if (existing) {
+    return existing;
+  }
+  if (highlights.length >= MAX_HIGHLIGHTS_PER_ITEM) {
+    throw new Error(`Invalid highlight: at most ${MAX_HIGHLIGHTS_PER_ITEM} per item`);
+  }
+
+  const record = {
+    id: createCollectionId('highlight'),
+    exact,
+    prefix,
+    suffix,
+    createdAt: nowIso(),
+  };
+
+  await db.put(db.STORES.COLLECTION, { ...item, highlights: [...highlights, record] });
+  return record;
+}
+
+/**
+ * Removes a highlight from a collection item
+ */
+export async function removeCollectionHighlight(itemId, highlightId) {
+  const item = await db.get(db.STORES.COLLECTION, itemId);
+  if (!item) return false;
+
+  const highlights = (item.highlights || []).filter(h => h.id !== highlightId);
+  await db.put(db.STORES.COLLECTION, { ...item, highlights });
   return true;
 }
 
+// ===== Projects =====
+
+/**
+ * Lists queue projects by name
+ */
+export async function listProjects() {
+  const projects = await db.getAll(db.STORES.PROJECTS);
+  return projects.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Creates or renames a queue project
+ * @param {Object} project - { id?, name }
+ */
+export async function saveProject(project) {
+  const name = String(project?.name || '').trim();
+  if (!name || name.length > MAX_PROJECT_NAME_LENGTH) {
+    throw new Error(`Invalid project: name must be 1-${MAX_PROJECT_NAME_LENGTH} characters`);
+  }
+
+  const projects = await db.getAll(db.STORES.PROJECTS);
+  if (projects.some(p => p.id !== project.id && p.name.toLowerCase() === name.toLowerCase())) {
+    throw new Error(`Invalid project: "${name}" already exists`);
+  }
+  if (!project.id && projects.length >= MAX_PROJECTS) {
+    throw new Error(`Invalid project: at most ${MAX_PROJECTS} projects`);
+  }
+
+  const now = nowIso();
+  const existing = project.id ? projects.find(p => p.id === project.id) : null;
+  const record = {
+    id: existing?.id || createCollectionId('project'),
+    name,
+    createdAt: existing?.createdAt || now,
+    updatedAt: now,
+  };
+
+  await db.put(db.STORES.PROJECTS, record);
+  return record;
+}
+
+/**
+ * Deletes a queue project
+ * @param {string} projectId - Project to delete
+ * @param {Object} [options]
+ * @param {boolean} [options.deleteItems] - Also delete its items (otherwise they move out of the project)
+ */
+export async function deleteProject(projectId, { deleteItems = false } = {}) {
+  const items = await listCollection(projectId);
+  if (deleteItems) {
+    await clearCollection(projectId);
+  } else {
+    await moveCollectionItems(items.map(item => item.id), null);
+  }
+
+  const settings = await getRaw(KEYS.SETTINGS, {});
+  if (settings.activeProjectId === projectId) {
+    await setRaw(KEYS.SETTINGS, { ...settings, activeProjectId: null });
+  }
+
+  return db.remove(db.STORES.PROJECTS, projectId);
+}
+
 // ===== Report Management =====
 
 /**
@@ -206,16 +584,14 @@ export function createReportId(prefix = 'report') {
  * Lists all reports
  */
 export async function listReports() {
-  const reports = await getRaw(KEYS.REPORTS, []);
-  return Array.isArray(reports) ? reports : [];
+  return listNewestFirst(db.STORES.REPORTS);
 }
 
 /**
  * Gets a single report by ID
  */
 export async function getReport(reportId) {
-  const reports = await listReports();
-  return reports.find(r => r.id === reportId) || null;
+  return db.get(db.STORES.REPORTS, reportId);
 }
 
 /**
@@ -224,49 +600,241 @@ export async function getReport(reportId) {
  * @param {string} report.title - Report title
  * @param {string} report.content - Report content
  * @param {string[]} report.sourceIds - IDs of collection items used
+ * @param {string[]} report.citedSourceIds - IDs of items cited inline with [n]
  * @param {Object[]} report.citations - Citation objects with url, title
+ * @param {string} report.citationStyle - Style of the References section
+ * @param {string[]} report.citationWarnings - Problems found in the inline citations
+ * @param {Object[]} [report.sections] - Outline sections with their written content
+ * @param {Object[]} [report.sources] - Prepared sources the report was written from
+ * @param {string} [report.outputLanguage] - Output language code
+ * @param {string} [report.customInstructions] - User instructions used for generation
+ * @param {string} [report.revisionNote] - How this version came about (e.g. 'Edited')
+ *
+ * When an existing report's content changes, its previous version is kept as a revision.
  */
 export async function saveReport(report) {
   if (!report || !report.content) {
     throw new Error('Invalid report: content required');
   }
 
-  const reports = await listReports();
   const now = nowIso();
   const id = report.id || createReportId();
 
+  const previous = report.id ? await getReport(id) : null;
+  if (previous && previous.content !== report.content) {
+    await saveReportRevision(previous);
+  }
+
   const record = {
     id,
     title: report.title || 'Untitled Report',
     content: report.content,
     sourceIds: report.sourceIds || [],
+    citedSourceIds: report.citedSourceIds || [],
     citations: report.citations || [],
+    citationStyle: report.citationStyle || null,
+    citationWarnings: report.citationWarnings || [],
+    sections: report.sections || null,
+    sources: report.sources || [],
+    outputLanguage: report.outputLanguage || null,
+    customInstructions: report.customInstructions || '',
+    template: report.template || null,
+    revisionNote: report.revisionNote || 'Generated',
     createdAt: report.createdAt || now,
     updatedAt: now,
   };
 
-  const existingIndex = reports.findIndex(r => r.id === id);
-  if (existingIndex >= 0) {
-    reports[existingIndex] = record;
-  } else {
-    reports.unshift(record);
-  }
+  await db.put(db.STORES.REPORTS, record);
 
   // Limit to 100 reports
-  const pruned = reports.slice(0, 100);
-  await setRaw(KEYS.REPORTS, pruned);
+  await db.prune(db.STORES.REPORTS, MAX_REPORTS);
 
   return record;
 }
 
 /**
- * Deletes a report
+ * Deletes a report and its revisions
  */
 export async function deleteReport(reportId) {
-  const reports = await listReports();
-  const filtered = reports.filter(r => r.id !== reportId);
-  await setRaw(KEYS.REPORTS, filtered);
-  return true;
+  await db.removeByIndex(db.STORES.REVISIONS, 'reportId', reportId);
+  return db.remove(db.STORES.REPORTS, reportId);
+}
+
+// ===== Report Revisions =====
+
+/**
+ * Snapshots a stored report version, keeping the newest MAX_REPORT_REVISIONS per report
+ * @param {Object} report - Stored report record
+ */
+async function saveReportRevision(report) {
+  await db.put(db.STORES.REVISIONS, {
+    id: createReportId('revision'),
+    reportId: report.id,
+    content: report.content,
+    sections: report.sections || null,
+    citations: report.citations || [],
+    citedSourceIds: report.citedSourceIds || [],
+    citationWarnings: report.citationWarnings || [],
+    customInstructions: report.customInstructions || '',
+    note: report.revisionNote || 'Generated',
+    // A revision is dated by when that version was written
+    createdAt: report.updatedAt || report.createdAt || nowIso(),
+  });
+
+  const revisions = await listReportRevisions(report.id);
+  for (const revision of revisions.slice(MAX_REPORT_REVISIONS)) {
+    await db.remove(db.STORES.REVISIONS, revision.id);
+  }
+}
+
+/**
+ * Lists a report's earlier versions, newest first
+ */
+export async function listReportRevisions(reportId) {
+  const revisions = await db.getAll(db.STORES.REVISIONS, { index: 'reportId', query: reportId });
+  return revisions.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * Gets a single revision by ID
+ */
+export async function getReportRevision(revisionId) {
+  return db.get(db.STORES.REVISIONS, revisionId);
+}
+
+/**
+ * Makes an earlier version current again; the replaced version becomes a revision
+ * @returns {Promise<Object|null>} Saved report, or null if either record is gone
+ */
+export async function restoreReportRevision(reportId, revisionId) {
+  const [report, revision] = await Promise.all([getReport(reportId), getReportRevision(revisionId)]);
+  if (!report || !revision || revision.reportId !== reportId) return null;
+
+  return saveReport({
+    ...report,
+    content: revision.content,
+    sections: revision.sections,
+    citations: revision.citations,
+    citedSourceIds: revision.citedSourceIds,
+    citationWarnings: revision.citationWarnings,
+    customInstructions: revision.customInstructions,
+    revisionNote: `Restored version from ${new Date(revision.createdAt).toLocaleString()}`,
+  });
+}
+
+// ===== Summary Management =====
+
+// Options accepted by the Summarizer API
+const SUMMARY_OPTIONS = {
+  type: ['tldr', 'key-points', 'headline', 'teaser'],
+  length: ['short', 'medium', 'long'],
+  format: ['markdown', 'plain-text'],
+};
+
+/**
+ * Generates a summary ID
+ */
+export function createSummaryId(prefix = 'summary') {
+  return `${prefix}_${Math.random().toString(36).slice(2, 8)}_${Date.now().toString(36)}`;
+}
+
+/**
+ * Validates the generation settings recorded with a summary
+ * @param {Object} settings - { type, length, format, outputLanguage }
+ * @returns {Object} - { valid: boolean, reason: string, settings: object }
+ */
+export function validateSummarySettings(settings = {}) {
+  const issues = [];
+  const normalized = {
+    type: settings.type || 'key-points',
+    length: settings.length || 'medium',
+    format: settings.format || 'markdown',
+    outputLanguage: typeof settings.outputLanguage === 'string' && settings.outputLanguage
+      ? settings.outputLanguage
+      : 'en',
+  };
+
+  for (const [field, allowed] of Object.entries(SUMMARY_OPTIONS)) {
+    if (!allowed.includes(normalized[field])) {
+      issues.push(`${field} must be one of ${allowed.join(', ')}`);
+    }
+  }
+
+  return { valid: issues.length === 0, reason: issues.join('; '), settings: normalized };
+}
+
+/**
+ * Lists all saved summaries
+ */
+export async function listSummaries() {
+  return listNewestFirst(db.STORES.SUMMARIES);
+}
+
+/**
+ * Gets a single summary by ID
+ */
+export async function getSummary(summaryId) {
+  return db.get(db.STORES.SUMMARIES, summaryId);
+}
+
+/**
+ * Saves a summary
+ * @param {Object} summary - Summary object
+ * @param {string} summary.text - Summary content
+ * @param {string} summary.url - Source URL
+ * @param {string} [summary.id] - Existing ID (omit to create a new summary)
+ * @param {string} [summary.title] - Source page title
+ * @param {string} [summary.sourceType] - 'selection' | 'page'
+ * @param {string} [summary.textHash] - hashContent() of the summarized source text
+ * @param {string} [summary.cacheKey] - Cache key the summary was stored under
+ * @param {Object} [summary.settings] - { type, length, format, outputLanguage } used to generate it;
+ *   null when unknown
+ */
+export async function saveSummary(summary) {
+  if (!summary || typeof summary.text !== 'string' || !summary.text.trim()) {
+    throw new Error('Invalid summary: text required');
+  }
+  if (!summary.url) {
+    throw new Error('Invalid summary: url required');
+  }
+
+  // Summaries saved before settings were recorded keep null rather than guessed values
+  let settings = null;
+  if (summary.settings) {
+    const validation = validateSummarySettings(summary.settings);
+    if (!validation.valid) {
+      throw new Error('Invalid summary settings: ' + validation.reason);
+    }
+    settings = validation.settings;
+  }
+
+  const now = nowIso();
+  const record = {
+    id: summary.id || createSummaryId(),
+    title: summary.title || 'Untitled',
+    url: summary.url,
+    sourceType: summary.sourceType || 'page',
+    text: summary.text,
+    textHash: summary.textHash || null,
+    cacheKey: summary.cacheKey || null,
+    settings,
+    createdAt: summary.createdAt || now,
+    updatedAt: now,
+  };
+
+  await db.put(db.STORES.SUMMARIES, record);
+
+  // Keep last 100
+  await db.prune(db.STORES.SUMMARIES, MAX_SUMMARIES);
+
+  return record;
+}
+
+/**
+ * Deletes a summary
+ */
+export async function deleteSummary(summaryId) {
+  return db.remove(db.STORES.SUMMARIES, summaryId);
 }
 
 // ===== Cache Management =====
@@ -452,3 +1020,227 @@ export async function saveSettings(settings) {
   await setRaw(KEYS.SETTINGS, settings);
   return settings;
 }
+
+// ===== Report Generation Job =====
+// The report being generated lives in chrome.storage.local so the popup can
+// follow a generation that runs in its own extension tab, and pick it up
+// again after being closed and reopened.
+
+/**
+ * Gets the current report generation job
+ * @returns {Promise<Object|null>} - { id, status, itemIds, outputLanguage, customInstructions,
+ *   citationStyle, tabId, message, percent, preview, reportId, warnings, error, checkpoint, createdAt, updatedAt }
+ */
+export async function getReportJob() {
+  return getRaw(KEYS.REPORT_JOB, null);
+}
+
+/**
+ * Saves the report generation job (only one job exists at a time)
+ * @param {Object} job - Job object; status is 'pending' | 'running' | 'done' | 'error'
+ */
+export async function saveReportJob(job) {
+  if (!job || !job.id) {
+    throw new Error('Invalid report job: id required');
+  }
+
+  const now = nowIso();
+  const record = {
+    ...job,
+    createdAt: job.createdAt || now,
+    updatedAt: now,
+  };
+
+  await setRaw(KEYS.REPORT_JOB, record);
+  return record;
+}
+
+/**
+ * Removes the report generation job
+ * @param {string} [jobId] - Only remove the job if it still has this ID
+ */
+export async function clearReportJob(jobId) {
+  const job = await getReportJob();
+  if (job && (!jobId || job.id === jobId)) {
+    await chrome.storage.local.remove(KEYS.REPORT_JOB);
+  }
+}
+
+/**
+ * Subscribes to report generation job updates
+ * @param {Function} callback - Called with the new job (null when removed)
+ * @returns {Function} Unsubscribe function
+ */
+export function onReportJobChange(callback) {
+  const listener = (changes, areaName) => {
+    if (areaName === 'local' && KEYS.REPORT_JOB in changes) {
+      callback(changes[KEYS.REPORT_JOB].newValue || null);
+    }
+  };
+  chrome.storage.onChanged.addListener(listener);
+  return () => chrome.storage.onChanged.removeListener(listener);
+}
+
+// ===== Task Checkpoints =====
+// Long page tasks save their intermediate results (e.g. one summary per chunk)
+// under the task's cache key, so a reload or a later visit can resume them.
+
+/**
+ * Gets all checkpoints, dropping those older than CHECKPOINT_MAX_AGE_MS
+ */
+async function getAllCheckpoints() {
+  const checkpoints = await getRaw(KEYS.CHECKPOINTS, {});
+  const cutoff = Date.now() - CHECKPOINT_MAX_AGE_MS;
+  return Object.fromEntries(Object.entries(checkpoints || {})
+    .filter(([, checkpoint]) => Date.parse(checkpoint.updatedAt) > cutoff));
+}
+
+/**
+ * Gets the checkpoint saved under a cache key
+ * @param {string} key - Cache key of the task (see generateCacheKey)
+ * @returns {Promise<Object|null>} - { key, type, url, title, source, chunkCount, outputLanguage,
+ *   partials, createdAt, updatedAt }
+ */
+export async function getTaskCheckpoint(key) {
+  const checkpoints = await getAllCheckpoints();
+  return checkpoints[key] || null;
+}
+
+/**
+ * Saves a task checkpoint, replacing the previous one for the same key.
+ * Only the MAX_CHECKPOINTS most recent checkpoints are kept.
+ * @param {string} key - Cache key of the task (see generateCacheKey)
+ * @param {Object} checkpoint - { type, url, title, source, chunkCount, outputLanguage, partials }
+ */
+export async function saveTaskCheckpoint(key, checkpoint) {
+  if (!key || !checkpoint?.type || !checkpoint.url) {
+    throw new Error('Invalid checkpoint: key, type and url required');
+  }
+
+  const checkpoints = await getAllCheckpoints();
+  const now = nowIso();
+  const record = {
+    ...checkpoint,
+    key,
+    createdAt: checkpoints[key]?.createdAt || now,
+    updatedAt: now,
+  };
+  checkpoints[key] = record;
+
+  const kept = Object.values(checkpoints)
+    .sort((a, b) => Date.parse(b.updatedAt) - Date.parse(a.updatedAt))
+    .slice(0, MAX_CHECKPOINTS);
+  await setRaw(KEYS.CHECKPOINTS, Object.fromEntries(kept.map(c => [c.key, c])));
+  return record;
+}
+
+/**
+ * Removes a task checkpoint
+ * @param {string} key - Cache key of the task
+ */
+export async function deleteTaskCheckpoint(key) {
+  const checkpoints = await getAllCheckpoints();
+  delete checkpoints[key];
+  await setRaw(KEYS.CHECKPOINTS, checkpoints);
+}
+
+/**
+ * Lists the checkpoints of a page, newest first
+ * @param {string} url - Page URL
+ * @returns {Promise<Array>}
+ */
+export async function listTaskCheckpoints(url) {
+  const checkpoints = await getAllCheckpoints();
+  return Object.values(checkpoints)
+    .filter(checkpoint => checkpoint.url === url)
+    .sort((a, b) => Date.parse(b.updatedAt) - Date.parse(a.updatedAt));
+}
+
+// ===== Data Management =====
+
+/**
+ * Builds an export of all stored data.
+ * IndexedDB stores are written under their legacy chrome.storage keys so
+ * exports keep the same shape across schema versions.
+ * @returns {Promise<Object>} - { version, schemaVersion, exportDate, data }
+ */
+export async function exportAllData() {
+  const data = await chrome.storage.local.get(null);
+  // An in-flight report job and task checkpoints belong to this browser only
+  delete data[KEYS.REPORT_JOB];
+  delete data[KEYS.CHECKPOINTS];
+
+  for (const [key, storeName] of Object.entries(EXPORT_STORE_KEYS)) {
+    data[key] = await db.getAll(storeName);
+  }
+
+  return {
+    version: '1.0',
+    schemaVersion: await getSchemaVersion(),
+    exportDate: nowIso(),
+    data
+  };
+}
+
+/**
+ * Replaces all stored data with an export produced by exportAllData(),
+ * then migrates it to the current schema version.
+ * Exports made before schema versioning are treated as version 0.
+ * @param {Object} exportObject - Parsed export file
+ * @returns {Promise<Object>} Migration result from runMigrations()
+ */
+export async function importAllData(exportObject) {
+  if (!exportObject?.version || !exportObject.data || typeof exportObject.data !== 'object') {
+    throw new Error('Invalid import file format');
+  }
+
+  const { data } = exportObject;
+  const schemaVersion = Number(exportObject.schemaVersion ?? data[SCHEMA_VERSION_KEY] ?? 0);
+  if (schemaVersion > SCHEMA_VERSION) {
+    throw new Error('This export was created by a newer version of LocalScholar');
+  }
+
+  const settingsData = {};
+  for (const [key, value] of Object.entries(data)) {
+    if (!(key in EXPORT_STORE_KEYS)) {
+      settingsData[key] = value;
+    }
+  }
+
+  await db.clearAllStores();
+  await chrome.storage.local.clear();
+  await chrome.storage.local.set({ ...settingsData, [SCHEMA_VERSION_KEY]: schemaVersion });
+
+  for (const [key, storeName] of Object.entries(EXPORT_STORE_KEYS)) {
+    const records = Array.isArray(data[key]) ? data[key].filter(r => r && r.id) : [];
+    if (records.length > 0) {
+      await db.putMany(storeName, records);
+    }
+  }
+
+  return runMigrations();
+}
+
+/**
+ * Deletes all records, cache and timing data. Settings and the schema version are preserved.
+ */
+export async function clearAllData() {
+  const settings = await getRaw(KEYS.SETTINGS, null);
+  const schemaVersion = await getSchemaVersion();
+  await db.clearAllStores();
+  await chrome.storage.local.clear();
+  await setRaw(SCHEMA_VERSION_KEY, schemaVersion);
+  if (settings) {
+    await setRaw(KEYS.SETTINGS, settings);
+  }
+  return true;
+}
+
+/**
+ * Subscribes to changes in the IndexedDB stores
+ * @param {Function} callback - Called with the changed store name
+ * @returns {Function} Unsubscribe function
+ */
+export function onDataChange(callback) {
+  return db.onStoreChange(callback);
+}
@@ -3,7 +3,20 @@
  */
 
 import * as storage from '../data/storage.js';
-import { processReportGeneration } from '../utils/ai-pipeline.js';
+import { SCHEMA_VERSION } from '../data/migrations.js';
+import { formatPercent } from '../utils/study-stats.js';
+import { describeCitation } from '../utils/scholarly-metadata.js';
+import { CITATION_STYLES, DEFAULT_CITATION_STYLE, exportBibTeX, exportRIS } from '../utils/citation-formatter.js';
+import { normalizeOutline } from '../utils/ai-pipeline.js';
+import { buildReportHtml, buildReportDocx } from '../utils/report-export.js';
+import { buildTextFragmentUrl } from '../utils/text-anchor.js';
+import * as taskRegistry from '../background/task-registry.js';
+import {
+  DEFAULT_REPORT_TEMPLATE,
+  listReportTemplates,
+  getReportTemplate,
+  normalizeReportTemplate
+} from '../utils/report-templates.js';
 import { getDisabledAPIs, formatAPIWarning } from '../utils/api-checker.js';
 
 // Tab switching
@@ -40,10 +53,15 @@ const DEFAULT_SETTINGS = {
   enableCaching: true,
   cacheExpiration: 24,
   autoSummarize: false,
-  autoFlashcards: false
+  autoFlashcards: false,
+  citationStyle: DEFAULT_CITATION_STYLE,
+  reportTemplate: DEFAULT_REPORT_TEMPLATE,
+  customReportTemplates: [],
+  activeProjectId: null
 };
 
 const SETTINGS_KEY = 'localscholar.settings';
+const REPORT_JOB_KEY = 'localscholar.reportJob';
 
 // Tab switching
 function switchTab(showHistory) {
@@ -115,6 +133,8 @@ modalDownloadBtn.addEventListener('click', () => {
     filename = `report-${sanitizeFilename(item.title)}.md`;
   } else if (type === 'queue-item') {
     filename = `queue-item-${sanitizeFilename(item.title)}.txt`;
+  } else if (type === 'deck-stats') {
+    filename = `stats-${sanitizeFilename(item.title || 'deck')}.txt`;
   }
 
   downloadFile(content, filename);
@@ -125,8 +145,8 @@ function sanitizeFilename(name) {
   return name.replace(/[^a-z0-9]/gi, '-').toLowerCase().substring(0, 50);
 }
 
-function downloadFile(content, filename) {
-  const blob = new Blob([content], { type: 'text/plain' });
+function downloadFile(content, filename, type = 'text/plain') {
+  const blob = content instanceof Blob ? content : new Blob([content], { type });
   const url = URL.createObjectURL(blob);
   const a = document.createElement('a');
   a.href = url;
@@ -165,6 +185,10 @@ async function initializeSettings() {
   document.getElementById('cache-expiration').value = settings.cacheExpiration;
   document.getElementById('auto-summarize').checked = settings.autoSummarize || false;
   document.getElementById('auto-flashcards').checked = settings.autoFlashcards || false;
+  document.getElementById('citation-style').value = settings.citationStyle;
+
+  renderTemplatePicker(settings);
+  renderCustomTemplates(settings);
 }
 
 // Auto-save settings
@@ -174,6 +198,8 @@ function setupSettingsAutoSave() {
   settingsInputs.forEach(input => {
     input.addEventListener('change', async () => {
       const settings = {
+        // Keep settings that are not edited through these inputs (e.g. custom templates)
+        ...(await loadSettings()),
         summaryType: document.getElementById('sum-type').value,
         summaryLength: document.getElementById('sum-length').value,
         summaryFormat: document.getElementById('sum-format').value,
@@ -188,7 +214,8 @@ function setupSettingsAutoSave() {
         enableCaching: document.getElementById('enable-caching').checked,
         cacheExpiration: parseInt(document.getElementById('cache-expiration').value),
         autoSummarize: document.getElementById('auto-summarize').checked,
-        autoFlashcards: document.getElementById('auto-flashcards').checked
+        autoFlashcards: document.getElementById('auto-flashcards').checked,
+        citationStyle: document.getElementById('citation-style').value
       };
 
       await saveSettings(settings);
@@ -197,6 +224,159 @@ function setupSettingsAutoSave() {
   });
 }
 
+// Report templates
+const templatePicker = document.getElementById('report-template');
+const templateDescription = document.getElementById('report-template-description');
+const templateForm = document.getElementById('custom-template-form');
+const templateFields = {
+  name: document.getElementById('template-name'),
+  systemPrompt: document.getElementById('template-system-prompt'),
+  sections: document.getElementById('template-sections'),
+  tone: document.getElementById('template-tone'),
+  length: document.getElementById('template-length')
+};
+
+// ID of the custom template being edited (null for a new one)
+let editingTemplateId = null;
+
+function renderTemplatePicker(settings) {
+  const templates = listReportTemplates(settings.customReportTemplates);
+  templatePicker.innerHTML = '';
+
+  [['Built-in', templates.filter(t => !t.custom)], ['Custom', templates.filter(t => t.custom)]]
+    .filter(([, group]) => group.length > 0)
+    .forEach(([label, group]) => {
+      const optgroup = document.createElement('optgroup');
+      optgroup.label = label;
+      group.forEach(template => {
+        const option = document.createElement('option');
+        option.value = template.id;
+        option.textContent = template.name;
+        optgroup.appendChild(option);
+      });
+      templatePicker.appendChild(optgroup);
+    });
+
+  const selected = getReportTemplate(settings.reportTemplate, settings.customReportTemplates);
+  templatePicker.value = selected.id;
+  templateDescription.textContent = describeTemplate(selected);
+}
+
+function describeTemplate(template) {
+  const sections = template.sections.length > 0 ? `Sections: ${template.sections.join(', ')}` : '';
+  return [template.description, sections].filter(Boolean).join(' • ');
+}
+
+function renderCustomTemplates(settings) {
+  const list = document.getElementById('custom-template-list');
+  const templates = listReportTemplates(settings.customReportTemplates).filter(t => t.custom);
+  list.innerHTML = '';
+
+  if (templates.length === 0) {
+    const empty = document.createElement('li');
+    empty.className = 'empty-state';
+    empty.textContent = 'No custom templates yet';
+    list.appendChild(empty);
+    return;
+  }
+
+  templates.forEach(template => {
+    const li = document.createElement('li');
+
+    const name = document.createElement('span');
+    name.className = 'custom-template-name';
+    name.textContent = template.name;
+    name.title = describeTemplate(template);
+
+    const editBtn = document.createElement('button');
+    editBtn.type = 'button';
+    editBtn.className = 'btn-text';
+    editBtn.textContent = 'Edit';
+    editBtn.addEventListener('click', () => openTemplateForm(template));
+
+    const deleteBtn = document.createElement('button');
+    deleteBtn.type = 'button';
+    deleteBtn.className = 'btn-text';
+    deleteBtn.textContent = 'Delete';
+    deleteBtn.addEventListener('click', () => deleteCustomTemplate(template));
+
+    li.append(name, editBtn, deleteBtn);
+    list.appendChild(li);
+  });
+}
+
+function openTemplateForm(template = null) {
+  editingTemplateId = template?.id || null;
+  templateFields.name.value = template?.name || '';
+  templateFields.systemPrompt.value = template?.systemPrompt || '';
+  templateFields.sections.value = template?.sections.join('\n') || '';
+  templateFields.tone.value = template?.tone || '';
+  templateFields.length.value = template?.length || '';
+  document.getElementById('custom-template-form-title').textContent = template ? `Edit "${template.name}"` : 'New Template';
+  templateForm.open = Boolean(template);
+  if (template) templateFields.name.focus();
+}
+
+async function saveCustomTemplate() {
+  const settings = await loadSettings();
+
+  let template;
+  try {
+    template = normalizeReportTemplate({
+      id: editingTemplateId || storage.createReportId('template'),
+      name: templateFields.name.value,
+      systemPrompt: templateFields.systemPrompt.value,
+      sections: templateFields.sections.value,
+      tone: templateFields.tone.value,
+      length: templateFields.length.value
+    });
+  } catch (error) {
+    showStatus(error.message.replace('Invalid report template: ', ''), true);
+    return;
+  }
+
+  const updated = {
+    ...settings,
+    customReportTemplates: editingTemplateId
+      ? settings.customReportTemplates.map(t => t.id === template.id ? template : t)
+      : [...settings.customReportTemplates, template]
+  };
+
+  await saveSettings(updated);
+  renderTemplatePicker(updated);
+  renderCustomTemplates(updated);
+  openTemplateForm(null);
+  showStatus('Template saved', false);
+}
+
+async function deleteCustomTemplate(template) {
+  if (!confirm(`Delete the "${template.name}" template?`)) return;
+
+  const settings = await loadSettings();
+  const updated = {
+    ...settings,
+    customReportTemplates: settings.customReportTemplates.filter(t => t.id !== template.id),
+    reportTemplate: settings.reportTemplate === template.id ? DEFAULT_REPORT_TEMPLATE : settings.reportTemplate
+  };
+
+  await saveSettings(updated);
+  if (editingTemplateId === template.id) openTemplateForm(null);
+  renderTemplatePicker(updated);
+  renderCustomTemplates(updated);
+  showStatus('Template deleted', false);
+}
+
+// The picked template is remembered for the next report
+templatePicker.addEventListener('change', async () => {
+  const settings = await loadSettings();
+  const updated = { ...settings, reportTemplate: templatePicker.value };
+  await saveSettings(updated);
+  templateDescription.textContent = describeTemplate(getReportTemplate(updated.reportTemplate, updated.customReportTemplates));
+});
+
+document.getElementById('template-save-btn').addEventListener('click', saveCustomTemplate);
+document.getElementById('template-cancel-btn').addEventListener('click', () => openTemplateForm(null));
+
 // Status message
 function showStatus(message, isError = false) {
   const status = document.getElementById('status');
@@ -323,10 +503,7 @@ async function handleDelete(item, type) {
 
   try {
     if (type === 'summary') {
-      const data = await chrome.storage.local.get('localscholar.summaries');
-      const summaries = data['localscholar.summaries'] || [];
-      const filtered = summaries.filter(s => s.id !== item.id);
-      await chrome.storage.local.set({ 'localscholar.summaries': filtered });
+      await storage.deleteSummary(item.id);
     } else if (type === 'deck') {
       await storage.deleteDeck(item.id);
     } else if (type === 'report') {
@@ -346,8 +523,7 @@ async function handleDelete(item, type) {
 // Load summaries
 async function loadSummaries() {
   const summariesList = document.getElementById('summaries-list');
-  const data = await chrome.storage.local.get('localscholar.summaries');
-  const summaries = data['localscholar.summaries'] || [];
+  const summaries = await storage.listSummaries();
 
   if (summaries.length === 0) {
     summariesList.innerHTML = '<p class="empty-state">No summaries yet. Right-click text → LocalScholar: Summarize</p>';
@@ -365,7 +541,9 @@ async function loadSummaries() {
 
     const meta = document.createElement('div');
     meta.className = 'item-meta';
-    meta.textContent = new Date(summary.createdAt).toLocaleDateString();
+    meta.textContent = summary.settings
+      ? `${summary.settings.type} • ${summary.settings.length} • ${new Date(summary.createdAt).toLocaleDateString()}`
+      : new Date(summary.createdAt).toLocaleDateString();
 
     const preview = document.createElement('div');
     preview.className = 'item-preview';
@@ -382,6 +560,14 @@ async function loadSummaries() {
 async function loadDecks() {
   const decksList = document.getElementById('decks-list');
   const decks = await storage.listDecks();
+  const dueCards = await storage.listDueCards();
+  const deckStats = await storage.getAllDeckStats();
+
+  // Due today summary
+  const dueCount = document.getElementById('due-count');
+  dueCount.textContent = `${dueCards.length} card${dueCards.length === 1 ? '' : 's'} due today`;
+  dueCount.classList.toggle('has-items', dueCards.length > 0);
+  document.getElementById('review-due-btn').disabled = dueCards.length === 0;
 
   if (decks.length === 0) {
     decksList.innerHTML = '<p class="empty-state">No decks yet. Right-click text → LocalScholar: Create Flashcards</p>';
@@ -399,10 +585,22 @@ async function loadDecks() {
 
     const meta = document.createElement('div');
     meta.className = 'item-meta';
-    meta.textContent = `${deck.cards?.length || 0} cards • ${new Date(deck.createdAt).toLocaleDateString()}`;
+    const deckDue = dueCards.filter(card => card.deckId === deck.id).length;
+    const stats = deckStats[deck.id];
+    const mastery = stats?.totalReviews ? `${formatPercent(stats.mastery)} mastered • ` : '';
+    meta.textContent = `${deck.cards?.length || 0} cards • ${mastery}${deckDue} due • ${new Date(deck.createdAt).toLocaleDateString()}`;
 
     const actions = createActionButtons(deck, 'deck');
 
+    const statsBtn = document.createElement('button');
+    statsBtn.className = 'item-action-btn';
+    statsBtn.textContent = '📊 Stats';
+    statsBtn.onclick = (e) => {
+      e.stopPropagation();
+      openModal(`Stats - ${deck.title || 'Untitled Deck'}`, formatDeckStats(stats), { type: 'deck-stats', item: deck });
+    };
+    actions.insertBefore(statsBtn, actions.lastChild);
+
     // Add click to review
     item.style.cursor = 'pointer';
     item.onclick = async () => {
@@ -426,17 +624,370 @@ async function loadDecks() {
   });
 }
 
+// Format deck statistics as plain text for the modal
+function formatDeckStats(stats) {
+  if (!stats || stats.totalReviews === 0) {
+    return 'No answers recorded yet. Review this deck to start tracking progress.';
+  }
+
+  const lines = [
+    `Mastery: ${formatPercent(stats.mastery)} of cards answered correctly on their last attempt`,
+    `Accuracy: ${formatPercent(stats.accuracy)} over ${stats.totalReviews} answers`,
+    `Current streak: ${stats.currentStreak} • Best streak: ${stats.bestStreak}`
+  ];
+
+  if (stats.averageResponseMs !== null) {
+    lines.push(`Average response time: ${(stats.averageResponseMs / 1000).toFixed(1)}s`);
+  }
+
+  if (stats.weakestCards.length > 0) {
+    lines.push('', 'Weakest cards:');
+    stats.weakestCards.forEach(card => {
+      lines.push(`• ${card.question} (${formatPercent(card.accuracy)} of ${card.attempts})`);
+    });
+  }
+
+  lines.push('', 'Progress:');
+  stats.progress.forEach(day => {
+    lines.push(`${day.date}: ${day.reviews} answers, ${formatPercent(day.accuracy)} correct`);
+  });
+
+  return lines.join('\n');
+}
+
+// Start a review session of due cards across all decks
+document.getElementById('review-due-btn').addEventListener('click', async () => {
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  if (!tab?.id) {
+    showStatus('No active tab found', true);
+    return;
+  }
+
+  try {
+    await chrome.tabs.sendMessage(tab.id, { type: 'LOCALSCHOLAR_SHOW_REVIEW' });
+    window.close();
+  } catch (error) {
+    console.error('Failed to start review:', error);
+    showStatus('Failed to start review. Try refreshing the page.', true);
+  }
+});
+
+// Queue projects
+const projectSelect = document.getElementById('project-select');
+const moveItemsSelect = document.getElementById('move-items-select');
+
+/**
+ * Resolves the project the queue is showing; a deleted project falls back to Unsorted
+ * @returns {Promise<{projectId: string|null, projects: Array}>}
+ */
+async function getActiveProject() {
+  const [settings, projects] = await Promise.all([loadSettings(), storage.listProjects()]);
+  const projectId = projects.some(p => p.id === settings.activeProjectId) ? settings.activeProjectId : null;
+  return { projectId, projects };
+}
+
+async function setActiveProject(projectId) {
+  const settings = await loadSettings();
+  await saveSettings({ ...settings, activeProjectId: projectId });
+  await loadQueueItems();
+}
+
+function renderProjectOptions(projects, collection, projectId) {
+  const counts = new Map();
+  collection.forEach(item => {
+    const key = item.projectId ?? '';
+    counts.set(key, (counts.get(key) || 0) + 1);
+  });
+
+  projectSelect.innerHTML = '';
+  moveItemsSelect.innerHTML = '';
+
+  const placeholder = document.createElement('option');
+  placeholder.value = '';
+  placeholder.textContent = 'Move checked to…';
+  moveItemsSelect.appendChild(placeholder);
+
+  [{ id: '', name: 'Unsorted' }, ...projects].forEach(project => {
+    const option = document.createElement('option');
+    option.value = project.id;
+    option.textContent = `${project.name} (${counts.get(project.id) || 0})`;
+    projectSelect.appendChild(option);
+
+    if (project.id !== (projectId ?? '')) {
+      const target = document.createElement('option');
+      // The placeholder already uses '', so Unsorted gets its own value here
+      target.value = project.id || 'unsorted';
+      target.textContent = project.name;
+      moveItemsSelect.appendChild(target);
+    }
+  });
+
+  projectSelect.value = projectId ?? '';
+  document.getElementById('project-rename-btn').disabled = !projectId;
+  document.getElementById('project-delete-btn').disabled = !projectId;
+}
+
+projectSelect.addEventListener('change', () => setActiveProject(projectSelect.value || null));
+
+document.getElementById('project-new-btn').addEventListener('click', async () => {
+  const name = prompt('Project name:');
+  if (name === null) return;
+
+  try {
+    const project = await storage.saveProject({ name });
+    await setActiveProject(project.id);
+    showStatus(`Project "${project.name}" created`, false);
+  } catch (error) {
+    showStatus(error.message, true);
+  }
+});
+
+document.getElementById('project-rename-btn').addEventListener('click', async () => {
+  const { projectId, projects } = await getActiveProject();
+  const project = projects.find(p => p.id === projectId);
+  if (!project) return;
+
+  const name = prompt('Rename project:', project.name);
+  if (name === null || name.trim() === project.name) return;
+
+  try {
+    await storage.saveProject({ id: project.id, name });
+    await loadQueueItems();
+    showStatus('Project renamed', false);
+  } catch (error) {
+    showStatus(error.message, true);
+  }
+});
+
+document.getElementById('project-delete-btn').addEventListener('click', async () => {
+  const { projectId, projects } = await getActiveProject();
+  const project = projects.find(p => p.id === projectId);
+  if (!project) return;
+
+  if (!confirm(`Delete project "${project.name}"? Its items move to Unsorted.`)) return;
+
+  await storage.deleteProject(project.id);
+  await loadQueueItems();
+  showStatus('Project deleted', false);
+});
+
+moveItemsSelect.addEventListener('change', async () => {
+  const target = moveItemsSelect.value;
+  if (!target) return;
+
+  const { projectId } = await getActiveProject();
+  const selected = (await storage.listCollection(projectId)).filter(item => item.selected !== false);
+  moveItemsSelect.value = '';
+
+  if (selected.length === 0) {
+    showStatus('No items checked', true);
+    return;
+  }
+
+  try {
+    await storage.moveCollectionItems(selected.map(item => item.id), target === 'unsorted' ? null : target);
+    await loadQueueItems();
+    showStatus(`Moved ${selected.length} item${selected.length === 1 ? '' : 's'}`, false);
+  } catch (error) {
+    showStatus(error.message, true);
+  }
+});
+
+document.getElementById('select-all-btn').addEventListener('click', async () => {
+  const { projectId } = await getActiveProject();
+  const items = await storage.listCollection(projectId);
+  const selectAll = items.some(item => item.selected === false);
+
+  await storage.setCollectionItemsSelected(items.map(item => item.id), selectAll);
+  await loadQueueItems();
+});
+
+/**
+ * Lets queue items be reordered by dragging or with Alt+Up/Down; the new order
+ * is saved once the move ends
+ */
+function setupQueueReordering(queueList) {
+  let dragged = null;
+
+  const saveOrder = async () => {
+    const ids = [...queueList.querySelectorAll('.queue-item')].map(el => el.dataset.id);
+    await storage.reorderCollection(ids);
+    await loadQueueItems();
+  };
+
+  queueList.addEventListener('dragstart', (e) => {
+    dragged = e.target.closest?.('.queue-item');
+    if (!dragged) return;
+    dragged.classList.add('dragging');
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', dragged.dataset.id);
+  });
+
+  queueList.addEventListener('dragover', (e) => {
+    if (!dragged) return;
+    e.preventDefault();
+    const target = e.target.closest?.('.queue-item');
+    if (!target || target === dragged) return;
+
+    const rect = target.getBoundingClientRect();
+    const after = e.clientY > rect.top + rect.height / 2;
+    queueList.insertBefore(dragged, after ? target.nextSibling : target);
+  });
+
+  queueList.addEventListener('drop', (e) => {
+    if (dragged) e.preventDefault();
+  });
+
+  queueList.addEventListener('dragend', async () => {
+    if (!dragged) return;
+    dragged.classList.remove('dragging');
+    dragged = null;
+    await saveOrder();
+  });
+
+  queueList.addEventListener('keydown', async (e) => {
+    const itemEl = e.target.classList?.contains('queue-item') ? e.target : null;
+    if (!itemEl || !e.altKey || (e.key !== 'ArrowUp' && e.key !== 'ArrowDown')) return;
+
+    e.preventDefault();
+    const sibling = e.key === 'ArrowUp' ? itemEl.previousElementSibling : itemEl.nextElementSibling;
+    if (!sibling) return;
+
+    queueList.insertBefore(itemEl, e.key === 'ArrowUp' ? sibling : sibling.nextSibling);
+    const id = itemEl.dataset.id;
+    await saveOrder();
+    queueList.querySelector(`.queue-item[data-id="${CSS.escape(id)}"]`)?.focus();
+  });
+}
+
+setupQueueReordering(document.getElementById('queue-list'));
+
+// Queue item whose notes panel is open (kept open across re-renders)
+let openNotesItemId = null;
+
+/**
+ * Builds the notes and highlights panel of a queue item
+ */
+function createNotesPanel(item) {
+  const panel = document.createElement('div');
+  panel.className = 'queue-notes';
+  panel.addEventListener('click', (e) => e.stopPropagation());
+
+  const label = document.createElement('label');
+  label.htmlFor = `notes-${item.id}`;
+  label.textContent = 'Notes';
+
+  const textarea = document.createElement('textarea');
+  textarea.id = `notes-${item.id}`;
+  textarea.rows = 3;
+  textarea.placeholder = 'Why does this source matter? Notes are given priority when the report is written.';
+  textarea.value = item.notes || '';
+
+  const saveBtn = document.createElement('button');
+  saveBtn.type = 'button';
+  saveBtn.className = 'btn-text';
+  saveBtn.textContent = 'Save Notes';
+  saveBtn.addEventListener('click', async () => {
+    try {
+      await storage.setCollectionItemNotes(item.id, textarea.value);
+      await loadQueueItems();
+      showStatus('Notes saved', false);
+    } catch (error) {
+      showStatus(error.message, true);
+    }
+  });
+
+  const highlights = item.highlights || [];
+  const heading = document.createElement('div');
+  heading.className = 'queue-notes-heading';
+  heading.textContent = highlights.length > 0 ? `Highlights (${highlights.length})` : 'Highlights';
+
+  const list = document.createElement('div');
+  list.className = 'queue-highlights';
+
+  if (highlights.length === 0) {
+    const empty = document.createElement('p');
+    empty.className = 'queue-notes-hint';
+    empty.textContent = 'Select text on the page, then right-click → Save Highlight to Report Queue.';
+    list.appendChild(empty);
+  }
+
+  highlights.forEach(highlight => {
+    const row = document.createElement('div');
+    row.className = 'queue-highlight';
+
+    const quote = document.createElement('blockquote');
+    quote.textContent = highlight.exact;
+
+    const findBtn = document.createElement('button');
+    findBtn.type = 'button';
+    findBtn.className = 'item-action-btn';
+    findBtn.textContent = '🔎 Find';
+    findBtn.addEventListener('click', () => findHighlightOnPage(item, highlight));
+
+    const removeBtn = document.createElement('button');
+    removeBtn.type = 'button';
+    removeBtn.className = 'item-action-btn delete';
+    removeBtn.textContent = '✕ Remove';
+    removeBtn.addEventListener('click', async () => {
+      await storage.removeCollectionHighlight(item.id, highlight.id);
+      await loadQueueItems();
+    });
+
+    row.append(quote, findBtn, removeBtn);
+    list.appendChild(row);
+  });
+
+  panel.append(label, textarea, saveBtn, heading, list);
+  return panel;
+}
+
+/**
+ * Shows a highlight on its page: selects it when that page is open in the
+ * current tab, otherwise opens the page at the passage
+ */
+async function findHighlightOnPage(item, highlight) {
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+
+  if (tab?.id && tab.url === item.url) {
+    try {
+      const response = await chrome.tabs.sendMessage(tab.id, { type: 'LOCALSCHOLAR_FIND_HIGHLIGHT', highlight });
+      if (response?.found) {
+        window.close();
+        return;
+      }
+      showStatus('Passage not found on this page. It may have changed.', true);
+      return;
+    } catch (error) {
+      console.warn('[LocalScholar] Could not reach the page, opening it instead:', error);
+    }
+  }
+
+  await chrome.tabs.create({ url: buildTextFragmentUrl(item.url, highlight) });
+}
+
 // Load queue items
 async function loadQueueItems() {
   const queueList = document.getElementById('queue-list');
   const queueCount = document.getElementById('queue-count');
   const generateBtn = document.getElementById('generate-report-btn');
+  const selectAllBtn = document.getElementById('select-all-btn');
 
-  const collection = await storage.listCollection();
+  const { projectId, projects } = await getActiveProject();
+  const allItems = await storage.listCollection();
+  const collection = allItems.filter(item => (item.projectId ?? null) === projectId);
   const count = collection.length;
+  const selectedCount = collection.filter(item => item.selected !== false).length;
 
-  queueCount.textContent = `${count} items in queue`;
-  generateBtn.disabled = count === 0;
+  renderProjectOptions(projects, allItems, projectId);
+
+  queueCount.textContent = count === selectedCount
+    ? `${count} items in queue`
+    : `${selectedCount} of ${count} items selected`;
+  generateBtn.disabled = selectedCount === 0 || isReportJobActive(activeReportJob);
+  selectAllBtn.textContent = count > 0 && selectedCount === count ? 'Select None' : 'Select All';
+  selectAllBtn.disabled = count === 0;
+  moveItemsSelect.disabled = selectedCount === 0;
 
   if (count > 0) {
     queueCount.classList.add('has-items');
@@ -450,17 +1001,51 @@ async function loadQueueItems() {
   }
 
   queueList.innerHTML = '';
+  let sourceNumber = 0;
   collection.forEach(item => {
+    const selected = item.selected !== false;
+    const notesOpen = openNotesItemId === item.id;
     const itemEl = document.createElement('div');
-    itemEl.className = 'item';
+    itemEl.className = selected ? 'item queue-item' : 'item queue-item excluded';
+    itemEl.dataset.id = item.id;
+    // Text in the notes panel must stay selectable, so an open item is not draggable
+    itemEl.draggable = !notesOpen;
+    itemEl.tabIndex = 0;
+
+    const header = document.createElement('div');
+    header.className = 'queue-item-header';
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = selected;
+    checkbox.title = 'Include in the next report';
+    checkbox.addEventListener('click', (e) => e.stopPropagation());
+    checkbox.addEventListener('change', async () => {
+      await storage.setCollectionItemsSelected([item.id], checkbox.checked);
+      await loadQueueItems();
+    });
+
+    // Selected items become the report's numbered sources in this order
+    const number = document.createElement('span');
+    number.className = 'queue-item-number';
+    number.textContent = selected ? `[${++sourceNumber}]` : '';
 
     const title = document.createElement('div');
     title.className = 'item-title';
     title.textContent = escapeHtml(item.title || 'Untitled');
 
+    header.append(checkbox, number, title);
+
     const meta = document.createElement('div');
     meta.className = 'item-meta';
-    meta.textContent = new Date(item.addedAt).toLocaleDateString();
+    const byline = describeCitation(item.citation);
+    const added = new Date(item.addedAt).toLocaleDateString();
+    const highlightCount = item.highlights?.length || 0;
+    meta.textContent = [
+      byline ? `${byline} · Added ${added}` : added,
+      item.notes ? 'Notes' : '',
+      highlightCount > 0 ? `${highlightCount} highlight${highlightCount === 1 ? '' : 's'}` : ''
+    ].filter(Boolean).join(' · ');
 
     const preview = document.createElement('div');
     preview.className = 'item-preview';
@@ -468,11 +1053,103 @@ async function loadQueueItems() {
 
     const actions = createActionButtons(item, 'queue-item');
 
-    itemEl.append(title, meta, preview, actions);
+    const notesBtn = document.createElement('button');
+    notesBtn.className = 'item-action-btn';
+    notesBtn.textContent = notesOpen ? '📝 Hide Notes' : '📝 Notes';
+    notesBtn.setAttribute('aria-expanded', String(notesOpen));
+    notesBtn.onclick = (e) => {
+      e.stopPropagation();
+      openNotesItemId = notesOpen ? null : item.id;
+      loadQueueItems();
+    };
+    actions.insertBefore(notesBtn, actions.lastChild);
+
+    itemEl.append(header, meta, preview, actions);
+    if (notesOpen) {
+      itemEl.appendChild(createNotesPanel(item));
+    }
     queueList.appendChild(itemEl);
   });
 }
 
+// Active tasks: AI work running in any tab, from the service worker's task registry
+const TASK_TYPE_LABELS = {
+  summarize: 'Summary',
+  flashcards: 'Flashcards',
+  report: 'Report'
+};
+
+function renderActiveTasks(tasks) {
+  const section = document.getElementById('active-tasks');
+  const list = document.getElementById('active-tasks-list');
+
+  if (tasks.length === 0) {
+    section.setAttribute('hidden', '');
+    list.innerHTML = '';
+    return;
+  }
+
+  section.removeAttribute('hidden');
+  list.innerHTML = '';
+
+  tasks.forEach(task => {
+    const itemEl = document.createElement('div');
+    itemEl.className = 'item task-item';
+
+    const title = document.createElement('div');
+    title.className = 'item-title';
+    title.textContent = `${TASK_TYPE_LABELS[task.type] || task.type}: ${task.title || 'Untitled'}`;
+
+    const meta = document.createElement('div');
+    meta.className = 'item-meta';
+    let where = task.owner === 'extension' ? 'Report tab' : '';
+    try {
+      where = where || new URL(task.url).hostname;
+    } catch {
+      // Keep the label empty for pages without a usable URL
+    }
+    meta.textContent = [where, task.message || (task.status === 'pending' ? 'Waiting...' : 'Running...')]
+      .filter(Boolean).join(' · ');
+
+    const bar = document.createElement('div');
+    bar.className = 'report-progress-bar';
+    bar.setAttribute('aria-hidden', 'true');
+    const fill = document.createElement('div');
+    fill.className = 'report-progress-fill';
+    fill.style.width = `${Math.max(0, Math.min(100, task.progress || 0))}%`;
+    bar.appendChild(fill);
+
+    const actions = document.createElement('div');
+    actions.className = 'item-actions';
+
+    const cancelBtn = document.createElement('button');
+    cancelBtn.className = 'item-action-btn delete';
+    cancelBtn.textContent = '⏹️ Cancel';
+    cancelBtn.onclick = async (e) => {
+      e.stopPropagation();
+      cancelBtn.disabled = true;
+      try {
+        await taskRegistry.cancelTask(task.id);
+        showStatus('Cancelling task...', false);
+      } catch (error) {
+        showStatus(error.message, true);
+      }
+    };
+    actions.appendChild(cancelBtn);
+
+    itemEl.append(title, meta, bar, actions);
+    list.appendChild(itemEl);
+  });
+}
+
+async function loadActiveTasks() {
+  try {
+    renderActiveTasks(await taskRegistry.listTasks());
+  } catch (error) {
+    console.warn('[LocalScholar Popup] Could not load active tasks:', error);
+  }
+}
+
 // Load reports
 async function loadReports() {
   const reportsList = document.getElementById('reports-list');
@@ -494,7 +1171,9 @@ async function loadReports() {
 
     const meta = document.createElement('div');
     meta.className = 'item-meta';
-    meta.textContent = new Date(report.createdAt).toLocaleDateString();
+    const style = CITATION_STYLES[report.citationStyle];
+    const created = new Date(report.createdAt).toLocaleDateString();
+    meta.textContent = [report.template?.name, style, created].filter(Boolean).join(' • ');
 
     const preview = document.createElement('div');
     preview.className = 'item-preview';
@@ -502,6 +1181,71 @@ async function loadReports() {
 
     const actions = createActionButtons(report, 'report');
 
+    // Editing, revision history and regeneration happen in the report page
+    const editBtn = document.createElement('button');
+    editBtn.className = 'item-action-btn';
+    editBtn.textContent = '📝 Edit';
+    editBtn.onclick = (e) => {
+      e.stopPropagation();
+      chrome.tabs.create({ url: chrome.runtime.getURL(`report/report.html?report=${report.id}`) });
+    };
+    actions.insertBefore(editBtn, actions.lastChild);
+
+    // Formatted exports; PDF goes through the print page's "Save as PDF"
+    const htmlBtn = document.createElement('button');
+    htmlBtn.className = 'item-action-btn';
+    htmlBtn.textContent = '🌐 HTML';
+    htmlBtn.onclick = (e) => {
+      e.stopPropagation();
+      downloadFile(buildReportHtml(report), `report-${sanitizeFilename(report.title || 'report')}.html`, 'text/html');
+      showStatus('Downloaded!', false);
+    };
+
+    const docxBtn = document.createElement('button');
+    docxBtn.className = 'item-action-btn';
+    docxBtn.textContent = '📄 Word';
+    docxBtn.onclick = (e) => {
+      e.stopPropagation();
+      downloadFile(buildReportDocx(report), `report-${sanitizeFilename(report.title || 'report')}.docx`);
+      showStatus('Downloaded!', false);
+    };
+
+    const pdfBtn = document.createElement('button');
+    pdfBtn.className = 'item-action-btn';
+    pdfBtn.textContent = '🖨️ PDF';
+    pdfBtn.onclick = (e) => {
+      e.stopPropagation();
+      chrome.tabs.create({ url: chrome.runtime.getURL(`report/print.html?report=${report.id}`) });
+    };
+
+    actions.insertBefore(htmlBtn, actions.lastChild);
+    actions.insertBefore(docxBtn, actions.lastChild);
+    actions.insertBefore(pdfBtn, actions.lastChild);
+
+    // Export sources for reference managers
+    if (report.citations?.length) {
+      const bibtexBtn = document.createElement('button');
+      bibtexBtn.className = 'item-action-btn';
+      bibtexBtn.textContent = '📚 BibTeX';
+      bibtexBtn.onclick = (e) => {
+        e.stopPropagation();
+        downloadFile(exportBibTeX(report.citations), `sources-${sanitizeFilename(report.title || 'report')}.bib`);
+        showStatus('Downloaded!', false);
+      };
+
+      const risBtn = document.createElement('button');
+      risBtn.className = 'item-action-btn';
+      risBtn.textContent = '📚 RIS';
+      risBtn.onclick = (e) => {
+        e.stopPropagation();
+        downloadFile(exportRIS(report.citations), `sources-${sanitizeFilename(report.title || 'report')}.ris`);
+        showStatus('Downloaded!', false);
+      };
+
+      actions.insertBefore(bibtexBtn, actions.lastChild);
+      actions.insertBefore(risBtn, actions.lastChild);
+    }
+
     item.append(title, meta, preview, actions);
     reportsList.appendChild(item);
   });
@@ -509,18 +1253,325 @@ async function loadReports() {
 
 // Queue management
 document.getElementById('clear-queue-btn').addEventListener('click', async () => {
-  if (!confirm('Clear all items from the report queue?')) return;
+  const { projectId, projects } = await getActiveProject();
+  const name = projects.find(p => p.id === projectId)?.name || 'Unsorted';
+  if (!confirm(`Clear all items from "${name}"?`)) return;
 
-  await storage.clearCollection();
+  await storage.clearCollection(projectId);
   await loadQueueItems();
   showStatus('Queue cleared', false);
 });
 
 // Generate report
+// Generation runs in report/report.html (a background tab) so it survives the
+// popup closing; the popup follows it through the stored report job.
+const reportJobPanel = document.getElementById('report-job');
+const reportJobStatus = document.getElementById('report-job-status');
+const reportJobProgress = document.getElementById('report-job-progress');
+const reportJobPreview = document.getElementById('report-job-preview');
+
+let activeReportJob = null;
+
+function isReportJobActive(job) {
+  return job?.status === 'pending' || job?.status === 'running' || job?.status === 'outline-ready';
+}
+
+function renderReportJob(job) {
+  const generateBtn = document.getElementById('generate-report-btn');
+
+  if (!isReportJobActive(job)) {
+    reportJobPanel.setAttribute('hidden', '');
+    reportJobPreview.textContent = '';
+    hideOutlineEditor();
+    generateBtn.textContent = 'Generate Report from Queue';
+    return;
+  }
+
+  reportJobPanel.removeAttribute('hidden');
+  generateBtn.disabled = true;
+
+  if (job.status === 'outline-ready') {
+    reportJobStatus.textContent = 'Outline ready: edit the sections, then write the report';
+    reportJobProgress.style.width = '100%';
+    reportJobPreview.textContent = '';
+    generateBtn.textContent = 'Outline Ready';
+    showOutlineEditor(job);
+    return;
+  }
+
+  hideOutlineEditor();
+
+  const percent = Math.round(job.percent || 0);
+  reportJobStatus.textContent = job.message || 'Starting...';
+  reportJobProgress.style.width = `${percent}%`;
+  generateBtn.textContent = `Generating... ${percent}%`;
+
+  // Keep the newest text in view while the report streams in
+  const pinned = reportJobPreview.scrollTop + reportJobPreview.clientHeight >= reportJobPreview.scrollHeight - 20;
+  reportJobPreview.textContent = job.preview || '';
+  if (pinned) {
+    reportJobPreview.scrollTop = reportJobPreview.scrollHeight;
+  }
+}
+
+/**
+ * Reacts to a report job update
+ * @param {Object|null} job - Stored job
+ * @param {boolean} live - True when the update arrived while the popup was open
+ */
+async function handleReportJob(job, live) {
+  const wasActive = isReportJobActive(activeReportJob);
+  activeReportJob = job;
+  renderReportJob(job);
+
+  if (!job) {
+    // A discarded outline frees the Generate button again
+    if (wasActive) await loadQueueItems();
+    return;
+  }
+
+  if (job.status === 'done') {
+    await storage.clearReportJob(job.id);
+    await loadQueueItems();
+    const warnings = job.warnings || [];
+    showStatus(warnings.length > 0
+      ? `Report generated. ${warnings.join(' ')}`
+      : 'Report generated successfully!', false);
+
+    // Open it right away if the popup watched it finish
+    if (live && wasActive) {
+      const report = await storage.getReport(job.reportId);
+      if (report) {
+        openModal(report.title, report.content, { type: 'report', item: report });
+      }
+    }
+  } else if (job.status === 'error') {
+    await storage.clearReportJob(job.id);
+    await loadQueueItems();
+    showStatus('Error: ' + job.error, true);
+  } else if (job.status === 'cancelled') {
+    await storage.clearReportJob(job.id);
+    await loadQueueItems();
+    showStatus('Report generation cancelled', false);
+  }
+}
+
+/**
+ * Restores the report job when the popup opens; a job whose tab was closed
+ * mid-generation is reported as interrupted
+ */
+async function restoreReportJob() {
+  let job = await storage.getReportJob();
+
+  if (job?.status === 'running' && job.tabId != null) {
+    try {
+      await chrome.tabs.get(job.tabId);
+    } catch (error) {
+      job = await storage.saveReportJob({
+        ...job,
+        status: 'error',
+        error: 'Report generation stopped because its tab was closed'
+      });
+    }
+  }
+
+  await handleReportJob(job, false);
+}
+
+// Outline editor: the first generation phase stops with an outline the user
+// can edit, reorder or delete before the report is written
+const reportOutline = document.getElementById('report-outline');
+const reportOutlineList = document.getElementById('report-outline-list');
+const reportOutlineSources = document.getElementById('report-outline-sources');
+
+let outlineDraft = null;
+let outlineDraftJobId = null;
+
+function showOutlineEditor(job) {
+  reportOutline.removeAttribute('hidden');
+
+  // Only reset the draft for a new outline, so edits survive job updates
+  if (outlineDraftJobId === job.id) return;
+  outlineDraftJobId = job.id;
+  outlineDraft = (job.outline || []).map(section => ({ ...section }));
+
+  reportOutlineSources.textContent = (job.sources || [])
+    .map(source => `[${source.index}] ${source.title}`)
+    .join('\n');
+  renderOutlineList();
+}
+
+function hideOutlineEditor() {
+  reportOutline.setAttribute('hidden', '');
+  outlineDraft = null;
+  outlineDraftJobId = null;
+}
+
+function renderOutlineList() {
+  reportOutlineList.innerHTML = '';
+
+  outlineDraft.forEach((section, idx) => {
+    const li = document.createElement('li');
+    li.className = 'outline-section';
+
+    const titleInput = document.createElement('input');
+    titleInput.type = 'text';
+    titleInput.className = 'outline-title';
+    titleInput.value = section.title;
+    titleInput.placeholder = 'Section title';
+    titleInput.setAttribute('aria-label', `Section ${idx + 1} title`);
+    titleInput.addEventListener('change', () => {
+      section.title = titleInput.value;
+      saveOutlineDraft();
+    });
+
+    const focusInput = document.createElement('input');
+    focusInput.type = 'text';
+    focusInput.className = 'outline-focus';
+    focusInput.value = section.focus || '';
+    focusInput.placeholder = 'What this section covers';
+    focusInput.setAttribute('aria-label', `Section ${idx + 1} focus`);
+    focusInput.addEventListener('change', () => {
+      section.focus = focusInput.value;
+      saveOutlineDraft();
+    });
+
+    const sourcesInput = document.createElement('input');
+    sourcesInput.type = 'text';
+    sourcesInput.className = 'outline-sources';
+    sourcesInput.value = (section.sourceIndices || []).join(', ');
+    sourcesInput.title = 'Source numbers, e.g. 1, 3';
+    sourcesInput.setAttribute('aria-label', `Section ${idx + 1} source numbers`);
+    sourcesInput.addEventListener('change', () => {
+      section.sourceIndices = sourcesInput.value.split(/[^0-9]+/).filter(Boolean).map(Number);
+      saveOutlineDraft();
+    });
+
+    const actions = document.createElement('div');
+    actions.className = 'outline-section-actions';
+    actions.append(
+      createOutlineButton('↑', `Move section ${idx + 1} up`, idx === 0, () => moveOutlineSection(idx, -1)),
+      createOutlineButton('↓', `Move section ${idx + 1} down`, idx === outlineDraft.length - 1, () => moveOutlineSection(idx, 1)),
+      createOutlineButton('✕', `Delete section ${idx + 1}`, false, () => {
+        outlineDraft.splice(idx, 1);
+        renderOutlineList();
+        saveOutlineDraft();
+      })
+    );
+
+    const row = document.createElement('div');
+    row.className = 'outline-section-row';
+    row.append(titleInput, sourcesInput, actions);
+
+    li.append(row, focusInput);
+    reportOutlineList.appendChild(li);
+  });
+}
+
+function createOutlineButton(label, ariaLabel, disabled, onClick) {
+  const btn = document.createElement('button');
+  btn.type = 'button';
+  btn.className = 'btn-text';
+  btn.textContent = label;
+  btn.disabled = disabled;
+  btn.setAttribute('aria-label', ariaLabel);
+  btn.addEventListener('click', onClick);
+  return btn;
+}
+
+function moveOutlineSection(idx, offset) {
+  const [section] = outlineDraft.splice(idx, 1);
+  outlineDraft.splice(idx + offset, 0, section);
+  renderOutlineList();
+  saveOutlineDraft();
+}
+
+/**
+ * Stores the edited outline on the job so it survives the popup closing
+ */
+async function saveOutlineDraft() {
+  if (activeReportJob?.status !== 'outline-ready') return;
+  activeReportJob = await storage.saveReportJob({ ...activeReportJob, outline: outlineDraft });
+}
+
+document.getElementById('outline-add-btn').addEventListener('click', () => {
+  const sourceCount = activeReportJob?.sources?.length || 0;
+  outlineDraft.push({
+    title: '',
+    focus: '',
+    sourceIndices: Array.from({ length: sourceCount }, (_, idx) => idx + 1)
+  });
+  renderOutlineList();
+  reportOutlineList.lastElementChild?.querySelector('.outline-title')?.focus();
+});
+
+document.getElementById('outline-discard-btn').addEventListener('click', async () => {
+  const job = activeReportJob;
+  if (!job || !confirm('Discard this outline?')) return;
+
+  await storage.clearReportJob(job.id);
+  if (job.tabId != null) {
+    chrome.tabs.remove(job.tabId).catch(() => {});
+  }
+});
+
+document.getElementById('outline-write-btn').addEventListener('click', async () => {
+  const job = activeReportJob;
+  if (job?.status !== 'outline-ready') return;
+
+  const outline = normalizeOutline(outlineDraft, job.sources?.length || 0);
+  if (outline.length === 0) {
+    showStatus('Add at least one section with a title', true);
+    return;
+  }
+
+  try {
+    const pending = await storage.saveReportJob({
+      ...job,
+      status: 'pending',
+      outline,
+      message: 'Starting...',
+      percent: 0,
+      preview: ''
+    });
+
+    // The report tab picks up the pending job; reopen it if it was closed
+    try {
+      await chrome.tabs.get(pending.tabId);
+    } catch (error) {
+      await chrome.tabs.create({
+        url: chrome.runtime.getURL(`report/report.html?job=${pending.id}`),
+        active: false
+      });
+    }
+  } catch (error) {
+    console.error('Report generation error:', error);
+    showStatus('Error: ' + error.message, true);
+  }
+});
+
+document.getElementById('report-job-open').addEventListener('click', async () => {
+  const job = activeReportJob;
+  if (!job) return;
+
+  try {
+    const tab = await chrome.tabs.update(job.tabId, { active: true });
+    await chrome.windows.update(tab.windowId, { focused: true });
+  } catch (error) {
+    chrome.tabs.create({ url: chrome.runtime.getURL(`report/report.html?job=${job.id}`) });
+  }
+});
+
 document.getElementById('generate-report-btn').addEventListener('click', async () => {
-  const collection = await storage.listCollection();
+  const { projectId } = await getActiveProject();
+  const collection = (await storage.listCollection(projectId)).filter(item => item.selected !== false);
   if (collection.length === 0) {
-    showStatus('Queue is empty', true);
+    showStatus('No queue items selected', true);
+    return;
+  }
+
+  if (isReportJobActive(await storage.getReportJob())) {
+    showStatus('A report is already being generated', true);
     return;
   }
 
@@ -531,40 +1582,33 @@ document.getElementById('generate-report-btn').addEventListener('click', async (
   try {
     const settings = await loadSettings();
     const customInstructions = document.getElementById('report-instructions').value.trim();
+    const citationStyle = document.getElementById('report-citation-style').value || settings.citationStyle;
+    const template = getReportTemplate(templatePicker.value, settings.customReportTemplates);
 
-    const result = await processReportGeneration({
-      items: collection,
+    const job = await storage.saveReportJob({
+      id: storage.createReportId('job'),
+      status: 'pending',
+      itemIds: collection.map(item => item.id),
       outputLanguage: settings.outputLanguage,
-      customInstructions: customInstructions || undefined,
-      onProgress: (message, percent) => {
-        generateBtn.textContent = `Generating... ${Math.round(percent)}%`;
-      }
+      customInstructions,
+      citationStyle,
+      template,
+      message: 'Starting...',
+      percent: 0,
+      preview: ''
     });
+    await handleReportJob(job, true);
 
-    // Save report
-    const report = {
-      title: `Report - ${new Date().toLocaleDateString()}`,
-      content: result.report,
-      sourceIds: collection.map(item => item.id),
-      citations: result.citations
-    };
-
-    await storage.saveReport(report);
-
-    // Optionally clear queue
-    if (confirm('Report generated! Clear the queue?')) {
-      await storage.clearCollection();
-    }
-
-    await loadAllHistory();
-    showStatus('Report generated successfully!', false);
-
-    // Open modal to view
-    openModal(report.title, report.content, { type: 'report', item: report });
+    // Open in the background so the popup stays up to show the live preview
+    await chrome.tabs.create({
+      url: chrome.runtime.getURL(`report/report.html?job=${job.id}`),
+      active: false
+    });
   } catch (error) {
     console.error('Report generation error:', error);
+    await storage.clearReportJob();
+    activeReportJob = null;
     showStatus('Error: ' + error.message, true);
-  } finally {
     generateBtn.disabled = false;
     generateBtn.textContent = 'Generate Report from Queue';
   }
@@ -573,13 +1617,7 @@ document.getElementById('generate-report-btn').addEventListener('click', async (
 // Data management
 document.getElementById('export-data').addEventListener('click', async () => {
   try {
-    const allData = await chrome.storage.local.get(null);
-    const exportObject = {
-      version: '1.0',
-      exportDate: new Date().toISOString(),
-      data: allData
-    };
-
+    const exportObject = await storage.exportAllData();
     const dataStr = JSON.stringify(exportObject, null, 2);
     downloadFile(dataStr, `localscholar-export-${Date.now()}.json`);
     showStatus('Data exported successfully', false);
@@ -606,20 +1644,23 @@ importFileInput.addEventListener('change', async (e) => {
       throw new Error('Invalid import file format');
     }
 
+    if (Number(importObject.schemaVersion || 0) > SCHEMA_VERSION) {
+      throw new Error('This export was created by a newer version of LocalScholar');
+    }
+
     if (!confirm('This will overwrite all existing data. Continue?')) {
       e.target.value = '';
       return;
     }
 
-    await chrome.storage.local.clear();
-    await chrome.storage.local.set(importObject.data);
+    await storage.importAllData(importObject);
 
     showStatus('Data imported successfully', false);
     await loadAllHistory();
     await initializeSettings();
   } catch (error) {
     console.error('Import error:', error);
-    showStatus('Failed to import data', true);
+    showStatus('Failed to import data: ' + error.message, true);
   }
 
   e.target.value = '';
@@ -636,9 +1677,7 @@ document.getElementById('clear-all-data-btn').addEventListener('click', async ()
   if (!confirm('This will permanently delete ALL data. Are you sure?')) return;
   if (!confirm('This action cannot be undone. Continue?')) return;
 
-  const settings = await loadSettings();
-  await chrome.storage.local.clear();
-  await chrome.storage.local.set({ [SETTINGS_KEY]: settings });
+  await storage.clearAllData();
 
   showStatus('All data cleared', false);
   await loadAllHistory();
@@ -716,13 +1755,19 @@ async function init() {
   await initializeSettings();
   setupSettingsAutoSave();
   await loadAllHistory();
+  await restoreReportJob();
 
-  // Refresh history when storage changes
+  // Refresh history when storage changes (report job progress is handled separately)
   chrome.storage.onChanged.addListener((changes, areaName) => {
-    if (areaName === 'local') {
+    if (areaName === 'local' && Object.keys(changes).some(key => key !== REPORT_JOB_KEY)) {
       loadAllHistory();
     }
   });
+  storage.onDataChange(() => loadAllHistory());
+  storage.onReportJobChange(job => handleReportJob(job, true));
+
+  await loadActiveTasks();
+  taskRegistry.onTasksChange(tasks => renderActiveTasks(tasks));
 }
 
 // Start
@@ -0,0 +1,36 @@
+/**
+ * LocalScholar Print Page
+ *
+ * Opened with ?report=<id>: renders a saved report as a print-ready document
+ * (the same layout as the HTML export) and opens the print dialog, where the
+ * user can choose "Save as PDF".
+ */
+
+import * as storage from '../data/storage.js';
+import { renderReportDocument, REPORT_DOCUMENT_CSS } from '../utils/report-export.js';
+
+async function init() {
+  const container = document.getElementById('report-document');
+  document.getElementById('report-style').textContent = REPORT_DOCUMENT_CSS;
+
+  const id = new URLSearchParams(location.search).get('report');
+  const report = id ? await storage.getReport(id) : null;
+  if (!report) {
+    container.textContent = 'This report was deleted.';
+    return;
+  }
+
+  const { title, html } = renderReportDocument(report);
+  document.title = title;
+  document.documentElement.lang = report.outputLanguage || 'en';
+  // renderReportDocument() escapes all report text
+  container.innerHTML = html;
+
+  // Let the layout settle before the print dialog takes a snapshot
+  requestAnimationFrame(() => setTimeout(() => window.print(), 100));
+}
+
+init().catch(error => {
+  console.error('[LocalScholar] Print page failed to load:', error);
+  document.getElementById('report-document').textContent = `Error: ${error.message}`;
+});
@@ -0,0 +1,849 @@
+/**
+ * LocalScholar Report Page
+ *
+ * Runs report generation in its own extension tab so it keeps going when the
+ * popup closes. The popup creates the job (see storage.saveReportJob) and opens
+ * this page with ?job=<id>; progress and the streamed report are written back
+ * to the job so the popup can show a live preview whenever it is open.
+ *
+ * Generation has two phases: the page first drafts an outline and waits while
+ * the user edits it in the popup, then writes the report section by section.
+ * Opened with ?report=<id>, the page shows a saved report for editing: hand
+ * edits, regenerating single sections or the whole report with new
+ * instructions. Every change keeps the previous version as a revision.
+ */
+
+import * as storage from '../data/storage.js';
+import {
+  processReportOutline,
+  processReportGeneration,
+  regenerateReportSection,
+  composeSectionedReport,
+  splitReportSections
+} from '../utils/ai-pipeline.js';
+import { formatReferencesSection } from '../utils/citation-formatter.js';
+import { diffLines, summarizeDiff } from '../utils/text-diff.js';
+import { buildReportHtml, buildReportDocx } from '../utils/report-export.js';
+import * as taskRegistry from '../background/task-registry.js';
+
+// Minimum delay between job writes while the report streams in (ms)
+const PREVIEW_SAVE_INTERVAL = 300;
+
+const CANCELLED_MESSAGE = 'Report generation was cancelled';
+
+const params = new URLSearchParams(location.search);
+const jobId = params.get('job');
+const reportId = params.get('report');
+
+const statusText = document.getElementById('job-status');
+const percentText = document.getElementById('job-percent');
+const progressFill = document.getElementById('job-progress');
+const warningsList = document.getElementById('job-warnings');
+const preview = document.getElementById('report-preview');
+const jobActions = document.getElementById('job-actions');
+const retryActions = document.getElementById('retry-actions');
+const retryBtn = document.getElementById('retry-btn');
+
+let currentJob = null;
+let currentReport = null;
+let saveTimer = null;
+let running = false;
+// Aborts the running job's model calls when the user cancels it
+let jobAbort = null;
+// Model slot owner ID of the section or report being regenerated (not a registered task)
+let regenerationId = null;
+
+/**
+ * Writes the in-memory job to storage, at most every PREVIEW_SAVE_INTERVAL
+ * @param {boolean} [immediate] - Write now and cancel any pending write
+ */
+async function persistJob(immediate = false) {
+  if (immediate) {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+    currentJob = await storage.saveReportJob(currentJob);
+    return;
+  }
+
+  if (saveTimer) return;
+  saveTimer = setTimeout(() => {
+    saveTimer = null;
+    storage.saveReportJob(currentJob).catch(error => {
+      console.warn('[LocalScholar] Failed to save report progress:', error);
+    });
+  }, PREVIEW_SAVE_INTERVAL);
+}
+
+function renderProgress(message, percent) {
+  statusText.textContent = message;
+  percentText.textContent = percent == null ? '' : `${Math.round(percent)}%`;
+  progressFill.style.width = `${Math.max(0, Math.min(100, percent || 0))}%`;
+}
+
+function renderWarnings(warnings = []) {
+  warningsList.innerHTML = '';
+  warnings.forEach(warning => {
+    const li = document.createElement('li');
+    li.textContent = warning;
+    warningsList.appendChild(li);
+  });
+  warningsList.hidden = warnings.length === 0;
+}
+
+function renderAttempts(attempts = []) {
+  renderWarnings(attempts.map(attempt => attempt.message));
+}
+
+function renderPreview(text) {
+  const pinned = window.innerHeight + window.scrollY >= document.body.scrollHeight - 40;
+  preview.textContent = text;
+  // Follow the stream unless the user scrolled up to read
+  if (pinned) {
+    window.scrollTo(0, document.body.scrollHeight);
+  }
+}
+
+function renderOutline(outline, sources = []) {
+  const lines = outline.map((section, idx) => {
+    const numbers = section.sourceIndices.map(n => `[${n}]`).join(' ');
+    return `${idx + 1}. ${section.title}  ${numbers}${section.focus ? `\n   ${section.focus}` : ''}`;
+  });
+  const sourceLines = sources.map(s => `[${s.index}] ${s.title}`);
+  preview.textContent = `${lines.join('\n')}\n\nSources:\n${sourceLines.join('\n')}`;
+}
+
+function showStatus(message, isError = false) {
+  const status = document.getElementById('status');
+  status.textContent = message;
+  status.className = `status ${isError ? 'error' : 'success'}`;
+
+  setTimeout(() => {
+    status.textContent = '';
+    status.className = 'status';
+  }, 3000);
+}
+
+function showReport(report, warnings = []) {
+  currentReport = report;
+  document.title = `${report.title} - LocalScholar`;
+  renderProgress('Report saved', 100);
+  renderWarnings(warnings);
+  showPanel(null);
+  jobActions.hidden = false;
+  retryActions.hidden = true;
+
+  if (!report.sections?.length) {
+    preview.textContent = report.content;
+    return;
+  }
+
+  // Outlined reports are shown per section so a weak one can be rewritten
+  preview.innerHTML = '';
+  report.sections.forEach((section, idx) => {
+    const block = document.createElement('section');
+    block.className = 'report-section';
+
+    const header = document.createElement('div');
+    header.className = 'report-section-header';
+
+    const heading = document.createElement('h2');
+    heading.textContent = section.title;
+
+    const regenerateBtn = document.createElement('button');
+    regenerateBtn.type = 'button';
+    regenerateBtn.className = 'btn-text report-regenerate-btn';
+    regenerateBtn.textContent = 'Regenerate';
+
+    const body = document.createElement('div');
+    body.className = 'report-section-body';
+    body.textContent = section.content;
+
+    regenerateBtn.addEventListener('click', () => regenerateSection(idx, regenerateBtn, body));
+
+    header.append(heading, regenerateBtn);
+    block.append(header, body);
+    preview.appendChild(block);
+  });
+
+  const references = document.createElement('section');
+  references.className = 'report-section report-section-body';
+  references.textContent = formatReferencesSection(report.citations, report.citationStyle || undefined).trim();
+  preview.appendChild(references);
+}
+
+function showFailure(message) {
+  renderProgress(message, 0);
+  retryBtn.textContent = hasCheckpoint(currentJob) ? 'Resume' : 'Try Again';
+  retryActions.hidden = false;
+  jobActions.hidden = true;
+}
+
+function hasCheckpoint(job) {
+  return Boolean(job?.checkpoint?.sources?.length || job?.checkpoint?.sections?.length);
+}
+
+/**
+ * Says how far an interrupted job got before it stopped
+ */
+function describeInterruption(job) {
+  if (!hasCheckpoint(job)) {
+    return 'Report generation was interrupted.';
+  }
+
+  const { sources = [], sections = [] } = job.checkpoint;
+  const done = sections.length > 0 && job.outline?.length
+    ? `${sections.length} of ${job.outline.length} sections written`
+    : `${sources.length} of ${job.itemIds.length} sources prepared`;
+  return `Report generation was interrupted (${done}). Resume to continue where it stopped.`;
+}
+
+/**
+ * Loads the job's queue items in the order they were picked in the popup
+ * (their source numbers in the report)
+ */
+async function loadJobItems(job) {
+  const collection = await storage.listCollection();
+  const byId = new Map(collection.map(item => [item.id, item]));
+  return job.itemIds.map(id => byId.get(id)).filter(Boolean);
+}
+
+/**
+ * Runs the next phase of a job: drafts the outline, or writes the report
+ * once the popup has sent back the edited outline
+ */
+async function runJob(job) {
+  running = true;
+  jobAbort = new AbortController();
+  const { signal } = jobAbort;
+  const tab = await chrome.tabs.getCurrent();
+  currentJob = {
+    ...job,
+    status: 'running',
+    tabId: tab?.id ?? null,
+    message: 'Starting...',
+    percent: 0,
+    preview: '',
+    error: null,
+    attempts: []
+  };
+  await persistJob(true);
+
+  // List the job in the popup's Active tasks view
+  taskRegistry.registerTask({
+    id: currentJob.id,
+    type: 'report',
+    title: job.template?.name || 'Report',
+    status: 'running',
+    message: currentJob.message
+  }).catch(error => console.warn('[LocalScholar] Task registry unavailable:', error.message));
+
+  retryActions.hidden = true;
+  jobActions.hidden = true;
+  renderWarnings();
+  renderPreview('');
+
+  const onProgress = (message, percent) => {
+    renderProgress(message, percent);
+    currentJob = { ...currentJob, message, percent };
+    persistJob();
+    taskRegistry.updateTask(currentJob.id, { progress: Math.round(percent || 0), message });
+  };
+
+  // Prepared sources and written sections are saved as they finish, so a
+  // reload can resume the job instead of starting over
+  const onCheckpoint = (checkpoint) => {
+    currentJob = { ...currentJob, checkpoint };
+    return persistJob(true);
+  };
+
+  // Failed AI attempts stay listed under the progress so retries and failures are explained
+  const onAttempt = (attempt) => {
+    currentJob = { ...currentJob, attempts: [...currentJob.attempts, attempt] };
+    renderAttempts(currentJob.attempts);
+    persistJob(true);
+    taskRegistry.updateTask(currentJob.id, { message: attempt.message });
+  };
+
+  // Long sources are summarized with a Summarizer slot taken on top of the job's Prompt API slot
+  const waitForModel = (api) => taskRegistry.acquireModelSlot(currentJob.id, api, { signal });
+
+  try {
+    const items = await loadJobItems(job);
+    if (items.length === 0 && !job.sources?.length) {
+      throw new Error('The queued items for this report were removed');
+    }
+
+    // Wait for the Prompt API slot shared with every tab's tasks; finishing the
+    // task releases the job's slots
+    await taskRegistry.acquireModelSlot(currentJob.id, 'languageModel', {
+      signal,
+      onPosition: (position) => onProgress(`Queued (position ${position})`, 0)
+    });
+
+    if (!job.outline) {
+      const { sections, sources } = await processReportOutline({
+        items,
+        outputLanguage: job.outputLanguage,
+        customInstructions: job.customInstructions || undefined,
+        template: job.template || undefined,
+        onProgress,
+        signal,
+        resumeFrom: job.checkpoint,
+        onCheckpoint,
+        onAttempt,
+        waitForModel
+      });
+      if (signal.aborted) throw signal.reason;
+
+      currentJob = {
+        ...currentJob,
+        status: 'outline-ready',
+        checkpoint: null,
+        message: 'Outline ready',
+        percent: 100,
+        // Keep item IDs aligned with the prepared sources
+        itemIds: items.map(item => item.id),
+        outline: sections,
+        sources
+      };
+      await persistJob(true);
+
+      renderProgress('Outline ready. Edit it in the LocalScholar popup, then choose Write Report.', 100);
+      renderOutline(sections, sources);
+      return;
+    }
+
+    const result = await processReportGeneration({
+      items,
+      sources: job.sources,
+      outline: job.outline,
+      outputLanguage: job.outputLanguage,
+      customInstructions: job.customInstructions || undefined,
+      citationStyle: job.citationStyle,
+      template: job.template || undefined,
+      onProgress,
+      onStreamChunk: (text) => {
+        renderPreview(text);
+        currentJob = { ...currentJob, preview: text };
+        persistJob();
+      },
+      signal,
+      resumeFrom: job.checkpoint,
+      onCheckpoint,
+      onAttempt,
+      waitForModel
+    });
+    // Cancelled as the last section finished: the report is not saved
+    if (signal.aborted) throw signal.reason;
+
+    const report = await storage.saveReport({
+      title: `${job.template?.name || 'Report'} - ${new Date().toLocaleDateString()}`,
+      content: result.report,
+      sourceIds: job.itemIds,
+      citedSourceIds: result.citedSources.map(n => job.itemIds[n - 1]).filter(Boolean),
+      citations: result.citations,
+      citationStyle: job.citationStyle,
+      citationWarnings: result.metadata.citationCheck.warnings,
+      sections: result.sections,
+      sources: result.sources,
+      outputLanguage: job.outputLanguage,
+      customInstructions: job.customInstructions,
+      template: job.template
+    });
+
+    currentJob = {
+      ...currentJob,
+      status: 'done',
+      checkpoint: null,
+      message: 'Complete',
+      percent: 100,
+      preview: report.content,
+      reportId: report.id,
+      warnings: report.citationWarnings
+    };
+    await persistJob(true);
+
+    showReport(report, report.citationWarnings);
+  } catch (error) {
+    if (signal.aborted) {
+      currentJob = { ...currentJob, status: 'cancelled', error: CANCELLED_MESSAGE };
+      await persistJob(true);
+      showFailure(`${CANCELLED_MESSAGE}.`);
+      return;
+    }
+
+    console.error('[LocalScholar] Report generation error:', error);
+    currentJob = { ...currentJob, status: 'error', error: error.message };
+    await persistJob(true);
+    showFailure(`Error: ${error.message}`);
+  } finally {
+    running = false;
+    taskRegistry.finishTask(currentJob.id);
+  }
+}
+
+taskRegistry.onCancelRequest(taskId => {
+  if (!running || taskId !== currentJob?.id) return false;
+  renderProgress('Cancelling...', currentJob.percent);
+  jobAbort.abort();
+  return true;
+});
+
+taskRegistry.onStatusRequest(taskId =>
+  (running && taskId === currentJob?.id) || (regenerationId !== null && taskId === regenerationId));
+
+async function showSavedReport(id) {
+  const report = await storage.getReport(id);
+  if (!report) {
+    renderProgress('This report was deleted.', 0);
+    return;
+  }
+  showReport(report, report.citationWarnings);
+}
+
+async function init() {
+  if (reportId) {
+    await showSavedReport(reportId);
+    return;
+  }
+
+  const job = await storage.getReportJob();
+
+  if (!job || job.id !== jobId) {
+    renderProgress('This report job is no longer available. Start a new report from the popup.', 0);
+    return;
+  }
+
+  currentJob = job;
+
+  if (job.status === 'pending') {
+    await runJob(job);
+  } else if (job.status === 'outline-ready') {
+    renderProgress('Outline ready. Edit it in the LocalScholar popup, then choose Write Report.', 100);
+    renderOutline(job.outline, job.sources);
+  } else if (job.status === 'done') {
+    await showSavedReport(job.reportId);
+  } else if (job.status === 'error') {
+    preview.textContent = job.preview || '';
+    renderAttempts(job.attempts);
+    showFailure(`Error: ${job.error}`);
+  } else if (job.status === 'cancelled') {
+    preview.textContent = job.preview || '';
+    showFailure(`${CANCELLED_MESSAGE}.`);
+  } else {
+    // The page was reloaded while generating; the run stopped, but its checkpoint can resume it
+    preview.textContent = job.preview || '';
+    currentJob = { ...job, status: 'error', error: 'Report generation was interrupted' };
+    await persistJob(true);
+    showFailure(describeInterruption(job));
+  }
+}
+
+/**
+ * Applies a composed sectioned report (see composeSectionedReport) to a report record
+ */
+function applyComposedReport(report, composed, revisionNote) {
+  return {
+    ...report,
+    content: composed.report,
+    sections: composed.sections,
+    citations: composed.citations,
+    citedSourceIds: composed.citedSources.map(n => report.sourceIds[n - 1]).filter(Boolean),
+    citationWarnings: composed.citationCheck.warnings,
+    revisionNote
+  };
+}
+
+function setBusy(busy) {
+  jobActions.querySelectorAll('button').forEach(btn => { btn.disabled = busy; });
+  preview.querySelectorAll('.report-regenerate-btn').forEach(btn => { btn.disabled = busy; });
+}
+
+/**
+ * Runs a regeneration once the Prompt API slot shared with every tab's tasks is free
+ * @param {Function} work - (waitForModel) => Promise; waitForModel takes further slots (see the pipeline)
+ * @param {Function} onPosition - Called with the place in the queue while waiting
+ */
+async function withModelSlot(work, onPosition) {
+  const id = `regen_${Date.now()}`;
+  regenerationId = id;
+
+  try {
+    await taskRegistry.acquireModelSlot(id, 'languageModel', { onPosition });
+    return await work((api) => taskRegistry.acquireModelSlot(id, api));
+  } finally {
+    regenerationId = null;
+    taskRegistry.releaseModelSlot(id);
+  }
+}
+
+/**
+ * Rewrites one section of the shown report and saves the result
+ */
+async function regenerateSection(sectionIndex, button, body) {
+  const report = currentReport;
+  const previous = body.textContent;
+  setBusy(true);
+  button.textContent = 'Regenerating...';
+
+  try {
+    const content = await withModelSlot(() => {
+      button.textContent = 'Regenerating...';
+      return regenerateReportSection({
+        outline: report.sections,
+        sectionIndex,
+        sources: report.sources,
+        outputLanguage: report.outputLanguage || undefined,
+        customInstructions: report.customInstructions || undefined,
+        template: report.template || undefined,
+        onStreamChunk: (text) => { body.textContent = text; },
+        onAttempt: (attempt) => showStatus(attempt.message, true)
+      });
+    }, (position) => { button.textContent = `Queued (position ${position})`; });
+
+    const sections = report.sections.map((section, idx) => idx === sectionIndex ? { ...section, content } : section);
+    const composed = composeSectionedReport(sections, report.citations, report.citationStyle || undefined);
+    const note = `Regenerated section "${report.sections[sectionIndex].title}"`;
+
+    const saved = await storage.saveReport(applyComposedReport(report, composed, note));
+
+    showReport(saved, saved.citationWarnings);
+    showStatus('Section regenerated', false);
+  } catch (error) {
+    console.error('[LocalScholar] Section regeneration error:', error);
+    body.textContent = previous;
+    button.textContent = 'Regenerate';
+    showStatus(`Error: ${error.message}`, true);
+  } finally {
+    setBusy(false);
+  }
+}
+
+// ===== Editing, history and regeneration =====
+
+const panels = {
+  editor: document.getElementById('editor-panel'),
+  history: document.getElementById('history-panel'),
+  regenerate: document.getElementById('regenerate-panel')
+};
+const editorText = document.getElementById('editor-text');
+const historyList = document.getElementById('history-list');
+const diffView = document.getElementById('diff-view');
+const regenerateInstructions = document.getElementById('regenerate-instructions');
+const keepOutlineOption = document.getElementById('regenerate-outline-option');
+const keepOutlineCheckbox = document.getElementById('regenerate-keep-outline');
+
+/**
+ * Shows one panel (or none); the editor replaces the preview while open
+ */
+function showPanel(name) {
+  Object.entries(panels).forEach(([key, panel]) => { panel.hidden = key !== name; });
+  preview.hidden = name === 'editor';
+}
+
+function formatDate(iso) {
+  return new Date(iso).toLocaleString();
+}
+
+/**
+ * Builds the saved version of a hand-edited report. Outlined reports are split
+ * back into sections at their "## " headings so sections can still be regenerated.
+ */
+function buildEditedReport(report, content) {
+  if (report.sections?.length) {
+    const sections = splitReportSections(content, report.sections, report.citations.length);
+    if (sections) {
+      const composed = composeSectionedReport(sections, report.citations, report.citationStyle || undefined);
+      return applyComposedReport(report, composed, 'Edited');
+    }
+  }
+  return { ...report, content, sections: null, revisionNote: 'Edited' };
+}
+
+async function renderHistory() {
+  const report = currentReport;
+  const revisions = await storage.listReportRevisions(report.id);
+
+  historyList.innerHTML = '';
+  diffView.hidden = true;
+
+  const current = document.createElement('li');
+  const currentLabel = document.createElement('span');
+  currentLabel.className = 'revision-label revision-current';
+  currentLabel.textContent = `Current · ${report.revisionNote || 'Generated'} · ${formatDate(report.updatedAt || report.createdAt)}`;
+  current.appendChild(currentLabel);
+  historyList.appendChild(current);
+
+  if (revisions.length === 0) {
+    const empty = document.createElement('li');
+    empty.className = 'empty-state';
+    empty.textContent = 'No earlier versions yet. Edits and regenerations are kept here.';
+    historyList.appendChild(empty);
+    return;
+  }
+
+  revisions.forEach(revision => {
+    const li = document.createElement('li');
+
+    const label = document.createElement('span');
+    label.className = 'revision-label';
+    label.textContent = `${formatDate(revision.createdAt)} · ${revision.note}`;
+
+    const compareBtn = document.createElement('button');
+    compareBtn.type = 'button';
+    compareBtn.className = 'btn-text';
+    compareBtn.textContent = 'Compare';
+    compareBtn.addEventListener('click', () => renderDiff(revision));
+
+    const restoreBtn = document.createElement('button');
+    restoreBtn.type = 'button';
+    restoreBtn.className = 'btn-text';
+    restoreBtn.textContent = 'Restore';
+    restoreBtn.addEventListener('click', () => restoreRevision(revision));
+
+    li.append(label, compareBtn, restoreBtn);
+    historyList.appendChild(li);
+  });
+}
+
+/**
+ * Shows the changes from a revision to the current version
+ */
+function renderDiff(revision) {
+  const diff = diffLines(revision.content, currentReport.content);
+  const { added, removed } = summarizeDiff(diff);
+
+  diffView.innerHTML = '';
+
+  const summary = document.createElement('div');
+  summary.className = 'report-diff-summary';
+  summary.textContent = `Changes from ${formatDate(revision.createdAt)} to the current version: +${added} / -${removed} lines`;
+  diffView.appendChild(summary);
+
+  const prefixes = { same: '  ', added: '+ ', removed: '- ' };
+  diff.forEach(line => {
+    const div = document.createElement('div');
+    div.className = `diff-line diff-${line.type}`;
+    div.textContent = prefixes[line.type] + line.text;
+    diffView.appendChild(div);
+  });
+
+  diffView.hidden = false;
+}
+
+async function restoreRevision(revision) {
+  if (!confirm('Restore this version? The current version stays in the history.')) return;
+
+  const saved = await storage.restoreReportRevision(currentReport.id, revision.id);
+  if (!saved) {
+    showStatus('This version is no longer available', true);
+    return;
+  }
+
+  showReport(saved, saved.citationWarnings);
+  showStatus('Version restored', false);
+}
+
+/**
+ * Gets what a report was written from: its stored sources, or for reports
+ * saved without them, the original queue items (which must still exist)
+ * @returns {Promise<Object>} - { sources, items }
+ */
+async function loadReportSources(report) {
+  if (report.sources?.length) {
+    return { sources: report.sources, items: [] };
+  }
+
+  const items = await Promise.all(report.sourceIds.map(id => storage.getCollectionItem(id)));
+  const missing = items.filter(item => !item).length;
+  if (missing > 0 || items.length === 0) {
+    throw new Error(`${missing} of this report's sources were removed from the queue and were not stored with the report`);
+  }
+  return { sources: null, items };
+}
+
+/**
+ * Writes a new version of the report from its sources with new instructions
+ */
+async function regenerateReport() {
+  const report = currentReport;
+  const instructions = regenerateInstructions.value.trim();
+  const keepOutline = report.sections?.length > 0 && keepOutlineCheckbox.checked;
+
+  showPanel(null);
+  setBusy(true);
+  renderWarnings();
+  renderPreview('');
+  const attempts = [];
+
+  try {
+    const { sources, items } = await loadReportSources(report);
+
+    const result = await withModelSlot((waitForModel) => processReportGeneration({
+      items,
+      sources,
+      outline: keepOutline
+        ? report.sections.map(({ title, focus, sourceIndices }) => ({ title, focus, sourceIndices }))
+        : null,
+      outputLanguage: report.outputLanguage || undefined,
+      customInstructions: instructions || undefined,
+      citationStyle: report.citationStyle || undefined,
+      template: report.template || undefined,
+      onProgress: renderProgress,
+      onStreamChunk: renderPreview,
+      onAttempt: (attempt) => {
+        attempts.push(attempt);
+        renderAttempts(attempts);
+      },
+      waitForModel
+    }), (position) => renderProgress(`Queued (position ${position})`, 0));
+
+    const saved = await storage.saveReport({
+      ...report,
+      content: result.report,
+      sections: result.sections,
+      sources: result.sources,
+      citations: result.citations,
+      citedSourceIds: result.citedSources.map(n => report.sourceIds[n - 1]).filter(Boolean),
+      citationWarnings: result.metadata.citationCheck.warnings,
+      customInstructions: instructions,
+      revisionNote: instructions ? 'Regenerated with new instructions' : 'Regenerated'
+    });
+
+    showReport(saved, saved.citationWarnings);
+    showStatus('Report regenerated', false);
+  } catch (error) {
+    console.error('[LocalScholar] Report regeneration error:', error);
+    showReport(report, [...(report.citationWarnings || []), ...attempts.map(attempt => attempt.message)]);
+    showStatus(`Error: ${error.message}`, true);
+  } finally {
+    setBusy(false);
+  }
+}
+
+document.getElementById('edit-btn').addEventListener('click', () => {
+  if (!currentReport) return;
+  editorText.value = currentReport.content;
+  showPanel('editor');
+  editorText.focus();
+});
+
+document.getElementById('editor-cancel-btn').addEventListener('click', () => showPanel(null));
+
+document.getElementById('editor-save-btn').addEventListener('click', async () => {
+  const content = editorText.value;
+  if (!content.trim()) {
+    showStatus('The report cannot be empty', true);
+    return;
+  }
+  if (content === currentReport.content) {
+    showPanel(null);
+    return;
+  }
+
+  try {
+    const saved = await storage.saveReport(buildEditedReport(currentReport, content));
+    showReport(saved, saved.citationWarnings);
+    showStatus('Report saved', false);
+  } catch (error) {
+    console.error('[LocalScholar] Report save error:', error);
+    showStatus(`Error: ${error.message}`, true);
+  }
+});
+
+document.getElementById('history-btn').addEventListener('click', async () => {
+  if (!currentReport) return;
+  if (!panels.history.hidden) {
+    showPanel(null);
+    return;
+  }
+  await renderHistory();
+  showPanel('history');
+});
+
+document.getElementById('regenerate-btn').addEventListener('click', () => {
+  if (!currentReport) return;
+  regenerateInstructions.value = currentReport.customInstructions || '';
+  keepOutlineOption.hidden = !currentReport.sections?.length;
+  keepOutlineCheckbox.checked = true;
+  showPanel('regenerate');
+  regenerateInstructions.focus();
+});
+
+document.getElementById('regenerate-cancel-btn').addEventListener('click', () => showPanel(null));
+document.getElementById('regenerate-run-btn').addEventListener('click', regenerateReport);
+
+// The popup sends the edited outline back by setting the job to pending
+storage.onReportJobChange(job => {
+  if (!jobId || running) return;
+
+  if (job?.id === jobId && job.status === 'pending') {
+    runJob(job);
+  } else if (!job && currentJob?.status === 'outline-ready') {
+    renderProgress('The outline was discarded in the popup.', 0);
+    currentJob = null;
+  }
+});
+
+retryBtn.addEventListener('click', () => {
+  if (!currentJob) return;
+  runJob({ ...currentJob, status: 'pending' });
+});
+
+document.getElementById('copy-btn').addEventListener('click', async () => {
+  if (!currentReport) return;
+  try {
+    await navigator.clipboard.writeText(currentReport.content);
+    showStatus('Copied to clipboard!', false);
+  } catch (error) {
+    showStatus('Failed to copy', true);
+  }
+});
+
+function downloadReport(blob, extension) {
+  const name = (currentReport.title || 'report').replace(/[^a-z0-9]/gi, '-').toLowerCase().substring(0, 50);
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = `report-${name}.${extension}`;
+  a.click();
+  URL.revokeObjectURL(url);
+  showStatus('Downloaded!', false);
+}
+
+document.getElementById('download-btn').addEventListener('click', () => {
+  if (!currentReport) return;
+  downloadReport(new Blob([currentReport.content], { type: 'text/plain' }), 'md');
+});
+
+document.getElementById('export-html-btn').addEventListener('click', () => {
+  if (!currentReport) return;
+  downloadReport(new Blob([buildReportHtml(currentReport)], { type: 'text/html' }), 'html');
+});
+
+document.getElementById('export-docx-btn').addEventListener('click', () => {
+  if (!currentReport) return;
+  downloadReport(buildReportDocx(currentReport), 'docx');
+});
+
+document.getElementById('print-btn').addEventListener('click', () => {
+  if (!currentReport) return;
+  chrome.tabs.create({ url: chrome.runtime.getURL(`report/print.html?report=${currentReport.id}`) });
+});
+
+// Removes only this report's sources; other queue items and projects are left alone
+document.getElementById('clear-queue-btn').addEventListener('click', async () => {
+  const sourceIds = currentReport?.sourceIds || currentJob?.itemIds || [];
+  if (sourceIds.length === 0) return;
+  if (!confirm(`Remove this report's ${sourceIds.length} sources from the report queue?`)) return;
+
+  for (const id of sourceIds) {
+    await storage.removeFromCollection(id);
+  }
+  showStatus('Sources removed from queue', false);
+});
+
+init().catch(error => {
+  console.error('[LocalScholar] Report page failed to load:', error);
+  showFailure(`Error: ${error.message}`);
+});
@@ -6,34 +6,231 @@
  */
 
 import { estimateTokens } from './content-extractor.js';
+import { formatReferencesSection, validateCitationMarkers, DEFAULT_CITATION_STYLE } from './citation-formatter.js';
+import { BUILT_IN_REPORT_TEMPLATES, DEFAULT_REPORT_TEMPLATE, describeTemplateStyle } from './report-templates.js';
+
+// Fallback input budget (tokens) when the Summarizer does not expose measureInputUsage
+const FALLBACK_INPUT_QUOTA = 4000;
+
+// Safety limits for the map-reduce summarizer
+const MAX_SPLIT_DEPTH = 4;
+const MAX_REDUCE_ROUNDS = 5;
+
+/**
+ * Checks whether an error comes from a cancelled (aborted) AI call
+ * @param {Error} error - Caught error
+ * @returns {boolean}
+ */
+export function isAbortError(error) {
+  return error?.name === 'AbortError';
+}
+
+/**
+ * Throws the signal's AbortError if the work was cancelled, so loops stop
+ * between AI calls as well as during them
+ */
+function throwIfAborted(signal) {
+  if (signal?.aborted) {
+    throw signal.reason instanceof Error ? signal.reason : new DOMException('The operation was aborted', 'AbortError');
+  }
+}
+
+// ===== Retry policy =====
+// Failed model calls are classified and retried: transient failures after a
+// backoff, unreadable output straight away, quota errors with a smaller input
+// and unsupported output languages in English. Every failed attempt is
+// reported through options.onAttempt so the UI can explain what happened.
+
+const MAX_ATTEMPTS = 3;
+const RETRY_BASE_DELAY_MS = 1000;
+
+// InvalidStateError is left out: a destroyed session or a cancelled task fails the same way on every retry
+const TRANSIENT_ERROR_NAMES = ['UnknownError', 'OperationError', 'NetworkError', 'TimeoutError'];
+
+const ERROR_KIND_LABELS = {
+  quota: 'the input was too large',
+  unsupported: 'the request is not supported',
+  parse: 'the response could not be read',
+  transient: 'the model failed',
+  fatal: 'an error occurred'
+};
+
+/**
+ * Classifies a failed AI call for the retry policy
+ * @param {Error} error - Caught error
+ * @returns {string} - 'aborted' | 'quota' | 'unsupported' | 'parse' | 'transient' | 'fatal'
+ */
+export function classifyAIError(error) {
+  const name = error?.name;
+  const message = (error?.message || '').toLowerCase();
+
+  if (isAbortError(error)) return 'aborted';
+  if (name === 'QuotaExceededError' || /quota|too (long|large)|exceeds the input/.test(message)) return 'quota';
+  if (name === 'NotSupportedError') return 'unsupported';
+  if (name === 'SyntaxError' || name === 'ParseError') return 'parse';
+  if (TRANSIENT_ERROR_NAMES.includes(name) || /crash|timed out|temporar/.test(message)) return 'transient';
+  return 'fatal';
+}
+
+/**
+ * Creates the error thrown when a model response is not the expected JSON
+ */
+function createParseError(message) {
+  const error = new Error(message);
+  error.name = 'ParseError';
+  return error;
+}
+
+/**
+ * Decides how to retry after a failed attempt
+ * @returns {Object|null} - { changes, delay, action }, or null when retrying cannot help
+ */
+function planRetry(kind, attempt, maxShrink) {
+  switch (kind) {
+    case 'quota':
+      return attempt.shrink < maxShrink
+        ? { changes: { shrink: attempt.shrink + 1 }, delay: 0, action: 'retrying with a smaller input' }
+        : null;
+    case 'unsupported':
+      return attempt.outputLanguage && attempt.outputLanguage !== 'en'
+        ? { changes: { outputLanguage: 'en' }, delay: 0, action: 'retrying in English' }
+        : null;
+    case 'parse':
+      return { changes: {}, delay: 0, action: 'retrying' };
+    case 'transient': {
+      const delay = RETRY_BASE_DELAY_MS * 2 ** (attempt.number - 1);
+      return { changes: {}, delay, action: `retrying in ${delay / 1000}s` };
+    }
+    default:
+      return null;
+  }
+}
 
 /**
- * Processes content through batch summarization
+ * Runs a model call under the retry policy
+ * @param {Function} operation - (attempt) => Promise; attempt is { number, shrink, outputLanguage },
+ *   where shrink (0..maxShrink) asks for a progressively smaller input
+ * @param {Object} options
+ * @param {string} options.label - What is being generated, for attempt records (e.g. 'Summary')
+ * @param {AbortSignal} [options.signal] - Cancels waiting between attempts
+ * @param {Function} [options.onAttempt] - Called with each failed attempt:
+ *   { label, attempt, kind, error, action, message, at }
+ * @param {number} [options.maxShrink] - How many times the input may be shrunk on quota errors
+ * @param {string} [options.outputLanguage] - Output language of the first attempt
+ * @returns {Promise<*>} - Result of the first successful attempt; the last error is thrown when all fail
+ */
+async function withRetry(operation, options) {
+  const { label, signal, onAttempt = null, maxShrink = 0, outputLanguage } = options;
+  const attempt = { number: 1, shrink: 0, outputLanguage };
+
+  for (;;) {
+    try {
+      return await operation({ ...attempt });
+    } catch (error) {
+      const kind = classifyAIError(error);
+      // Cancelling may surface as a different error (e.g. from a destroyed session)
+      if (kind === 'aborted' || signal?.aborted) throw error;
+
+      const plan = attempt.number < MAX_ATTEMPTS ? planRetry(kind, attempt, maxShrink) : null;
+      const action = plan ? plan.action : 'giving up';
+      const record = {
+        label,
+        attempt: attempt.number,
+        kind,
+        error: error.message,
+        action,
+        message: `${label}: attempt ${attempt.number} failed because ${ERROR_KIND_LABELS[kind]} (${error.message}); ${action}`,
+        at: new Date().toISOString()
+      };
+      console.warn('[LocalScholar]', record.message);
+      if (onAttempt) onAttempt(record);
+
+      if (!plan) throw error;
+      if (plan.delay) await sleep(plan.delay, signal);
+      Object.assign(attempt, plan.changes, { number: attempt.number + 1 });
+    }
+  }
+}
+
+/**
+ * Waits, rejecting early with an AbortError if the signal fires
+ */
+function sleep(ms, signal) {
+  throwIfAborted(signal);
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+// Context passed with every partial summary request
+const MAP_CONTEXT = 'This is one section of a longer document. Summarize the key information it contains.';
+const REDUCE_CONTEXT = 'These are summaries of consecutive sections of one document, in order.';
+
+/**
+ * Processes content through summarization
  *
- * NOTE: The Summarizer API supports both batch and streaming modes:
- * - Batch mode (used here): summarize() - processes input as a whole, returns complete result
- * - Streaming mode (not currently used): summarizeStreaming() - returns results in real-time
+ * The Summarizer API supports both batch and streaming modes:
+ * - Batch mode: summarize() - processes input as a whole, returns complete result
+ * - Streaming mode: summarizeStreaming() - used when onStreamChunk is provided,
+ *   so the UI can render the summary while it is being written
  *
- * Streaming could be implemented in the future for better UX by showing progressive results.
- * See Chrome AI documentation for details on streaming implementation.
+ * Long documents are summarized with map-reduce: when more than one chunk is
+ * given, or the text exceeds the summarizer's input quota, each chunk is
+ * summarized on its own (map) and the chunk summaries are combined recursively
+ * until they fit in the quota (reduce). The final pass uses the requested
+ * type/length/format and is the one that streams.
+ *
+ * Either way the complete summary is returned once generation finishes.
+ *
+ * Every pipeline function accepts an AbortSignal (options.signal). It is passed
+ * to each create(), summarize() and prompt() call, so aborting stops the model
+ * mid-request; the promise then rejects with an AbortError (see isAbortError()).
+ *
+ * Long jobs report their intermediate results through options.onCheckpoint and
+ * skip the work already in options.resumeFrom, so callers can store checkpoints
+ * and resume after a reload.
+ *
+ * Failed model calls are retried (see withRetry()); after a quota error the
+ * chunks are split into smaller pieces. Failed attempts are reported through
+ * options.onAttempt and listed in metadata.attempts.
  *
  * @param {Object} options - Processing options
  * @param {string} options.text - Text content to summarize
+ * @param {Array<Object|string>} [options.chunks] - Chunks from chunkContent(); defaults to [text]
  * @param {string} options.type - Summarizer type (tldr, key-points, etc.)
  * @param {string} options.length - Summarizer length (short, medium, long)
  * @param {string} options.format - Summarizer format (markdown, plain-text)
  * @param {string} options.outputLanguage - Output language code
  * @param {Function} options.onProgress - Progress callback (message, percent)
+ * @param {Function} [options.onStreamChunk] - Streaming callback, receives the accumulated summary text
+ * @param {AbortSignal} [options.signal] - Cancels the summarization
+ * @param {Object} [options.resumeFrom] - Checkpoint to continue from: { partials } (one summary per chunk, null when missing)
+ * @param {Function} [options.onCheckpoint] - Called with { partials } after each chunk is summarized
+ * @param {Function} [options.onAttempt] - Called with the record of each failed attempt
  * @returns {Promise<Object>} - { summary: string, metadata: object }
  */
 export async function processSummarization(options) {
   const {
     text,
+    chunks = null,
     type = 'key-points',
     length = 'medium',
     format = 'markdown',
     outputLanguage = 'en',
-    onProgress = () => {}
+    onProgress = () => {},
+    onStreamChunk = null,
+    signal,
+    resumeFrom = null,
+    onCheckpoint = null,
+    onAttempt = null
   } = options;
 
   if (!text) {
@@ -64,13 +261,72 @@ export async function processSummarization(options) {
 
   onProgress('Summarizing content...', 15);
 
-  // Use batch mode
-  const summary = await summarizeBatch(text, {
-    type,
-    length,
-    format,
-    outputLanguage: safeOutputLanguage,
-    onProgress: (percent) => onProgress('Summarizing...', 15 + percent * 0.8)
+  const chunkTexts = (chunks && chunks.length > 0 ? chunks : [text])
+    .map(chunk => (typeof chunk === 'string' ? chunk : chunk.text))
+    .filter(chunkText => chunkText && chunkText.trim().length > 0);
+
+  // Chunk summaries written so far, so a retry does not redo them
+  let partials = resumeFrom?.partials;
+  const attempts = [];
+
+  const summarize = async (attempt) => {
+    const finalSummarizer = await createSummarizer({
+      type,
+      length,
+      format,
+      outputLanguage: attempt.outputLanguage,
+      onProgress: (loaded) => onProgress('Downloading summarizer model...', 10 + loaded * 5),
+      signal
+    });
+
+    // After a quota error every chunk is split again, into 2^shrink pieces;
+    // the pieces no longer line up with checkpointed chunk summaries
+    const pieces = attempt.shrink > 0 ? splitIntoPieces(chunkTexts, 2 ** attempt.shrink) : chunkTexts;
+    const reusePartials = attempt.shrink === 0 && attempt.outputLanguage === safeOutputLanguage;
+
+    let input = text;
+    let mapReduce = null;
+
+    try {
+      if (pieces.length > 1 || !(await fitsInputQuota(finalSummarizer, text, signal))) {
+        mapReduce = await mapReduceChunks(pieces, finalSummarizer, {
+          outputLanguage: attempt.outputLanguage,
+          onProgress,
+          signal,
+          partials: reusePartials ? partials : null,
+          onCheckpoint: reusePartials
+            ? (checkpoint) => {
+              partials = checkpoint.partials;
+              return onCheckpoint?.(checkpoint);
+            }
+            : null
+        });
+        input = mapReduce.combined;
+      }
+
+      onProgress('Writing summary...', 85);
+
+      const summary = await runSummarizer(finalSummarizer, input, {
+        context: mapReduce ? REDUCE_CONTEXT : undefined,
+        onChunk: onStreamChunk,
+        signal
+      });
+
+      return { summary, pieceCount: pieces.length, mapReduce };
+    } finally {
+      destroySession(finalSummarizer);
+    }
+  };
+
+  const { summary, pieceCount, mapReduce } = await withRetry(summarize, {
+    label: 'Summary',
+    signal,
+    onAttempt: (record) => {
+      attempts.push(record);
+      onAttempt?.(record);
+    },
+    maxShrink: 2,
+    outputLanguage: safeOutputLanguage
   });
 
   onProgress('Complete', 100);
@@ -79,46 +335,179 @@ export async function processSummarization(options) {
     summary,
     metadata: {
       textLength: text.length,
-      tokens: estimateTokens(text)
+      tokens: estimateTokens(text),
+      chunkCount: chunkTexts.length,
+      pieceCount,
+      mapReduce: !!mapReduce,
+      reduceRounds: mapReduce ? mapReduce.rounds : 0,
+      resumedChunks: mapReduce ? mapReduce.resumed : 0,
+      attempts
     }
   };
 }
 
 /**
- * Summarizes text in batch mode
- *
- * NOTE: Streaming mode is available via summarizeStreaming() but not currently used.
- * Example streaming implementation:
- *
- *   const stream = summarizer.summarizeStreaming(text);
- *   for await (const chunk of stream) {
- *     // chunk contains progressively updated summary text
- *     updateUI(chunk);
- *   }
- *
- * @param {string} text - Text to summarize
- * @param {Object} options - Summarization options
- * @returns {Promise<string>} - Summary text
+ * Summarizes each chunk, then combines the partial summaries until they fit
+ * the final summarizer's input quota
+ * @param {string[]} chunkTexts - Chunk texts in document order
+ * @param {Object} finalSummarizer - Summarizer used for the final pass
+ * @param {Object} options - { outputLanguage, onProgress, signal, partials, onCheckpoint }
+ * @returns {Promise<Object>} - { combined: string, rounds: number, resumed: number }
  */
-async function summarizeBatch(text, options = {}) {
+async function mapReduceChunks(chunkTexts, finalSummarizer, options) {
+  const { outputLanguage, onProgress, signal, partials = [], onCheckpoint = null } = options;
+
+  // Intermediate summaries keep detail; formatting is left to the final pass
+  const partialSummarizer = await createSummarizer({
+    type: 'key-points',
+    length: 'long',
+    format: 'plain-text',
+    outputLanguage,
+    signal
+  });
+
+  try {
+    // Map: one summary per chunk (15-75%); chunks summarized before a reload are reused
+    const summaries = chunkTexts.map((_, i) => (typeof partials?.[i] === 'string' ? partials[i] : null));
+    const resumed = summaries.filter(Boolean).length;
+    for (let i = 0; i < chunkTexts.length; i++) {
+      if (summaries[i] !== null) continue;
+      onProgress(`Summarizing section ${i + 1}/${chunkTexts.length}...`, 15 + (i / chunkTexts.length) * 60);
+      summaries[i] = await summarizePiece(partialSummarizer, chunkTexts[i], MAP_CONTEXT, signal);
+      if (onCheckpoint) await onCheckpoint({ partials: [...summaries] });
+    }
+
+    // Reduce: merge neighbouring summaries until the result fits (75-85%)
+    let current = summaries;
+    let rounds = 0;
+
+    while (!(await fitsInputQuota(finalSummarizer, current.join('\n\n'), signal))) {
+      if (rounds >= MAX_REDUCE_ROUNDS) {
+        throw new Error('Document is too long to summarize: combined summaries still exceed the input limit');
+      }
+      rounds++;
+      onProgress(`Combining section summaries (pass ${rounds})...`, 75 + Math.min(rounds, 5) * 2);
+
+      const groups = await groupToQuota(partialSummarizer, current, signal);
+      const next = [];
+      for (const group of groups) {
+        next.push(await summarizePiece(partialSummarizer, group.join('\n\n'), REDUCE_CONTEXT, signal));
+      }
+      current = next;
+    }
+
+    console.log('[LocalScholar] Map-reduce summarization:', chunkTexts.length, 'chunks,', rounds, 'reduce passes,', resumed, 'resumed');
+
+    return { combined: current.join('\n\n'), rounds, resumed };
+  } finally {
+    destroySession(partialSummarizer);
+  }
+}
+
+/**
+ * Greedily groups consecutive texts so each group fits the summarizer's input quota
+ * @returns {Promise<string[][]>}
+ */
+async function groupToQuota(summarizer, texts, signal) {
+  const groups = [];
+  let group = [];
+
+  for (const text of texts) {
+    if (group.length > 0 && !(await fitsInputQuota(summarizer, [...group, text].join('\n\n'), signal))) {
+      groups.push(group);
+      group = [];
+    }
+    group.push(text);
+  }
+
+  if (group.length > 0) {
+    groups.push(group);
+  }
+
+  return groups;
+}
+
+/**
+ * Summarizes one piece of text, halving it first if it exceeds the input quota
+ */
+async function summarizePiece(summarizer, text, context, signal, depth = 0) {
+  if (depth >= MAX_SPLIT_DEPTH || await fitsInputQuota(summarizer, text, signal)) {
+    return runSummarizer(summarizer, text, { context, signal });
+  }
+
+  const [first, second] = splitInHalf(text);
+  const firstSummary = await summarizePiece(summarizer, first, context, signal, depth + 1);
+  const secondSummary = await summarizePiece(summarizer, second, context, signal, depth + 1);
+  return `${firstSummary}\n\n${secondSummary}`;
+}
+
+/**
+ * Splits text near its middle, preferring a paragraph or sentence boundary
+ */
+function splitInHalf(text) {
+  const middle = Math.floor(text.length / 2);
+  const window = Math.floor(text.length / 4);
+
+  let splitAt = text.lastIndexOf('\n\n', middle + window);
+  if (splitAt < middle - window) {
+    splitAt = text.lastIndexOf('. ', middle + window);
+    splitAt = splitAt < middle - window ? middle : splitAt + 1;
+  }
+
+  return [text.slice(0, splitAt).trim(), text.slice(splitAt).trim()];
+}
+
+/**
+ * Splits every chunk into the given number of pieces (a power of two)
+ */
+function splitIntoPieces(chunkTexts, piecesPerChunk) {
+  let pieces = chunkTexts;
+  for (let n = 1; n < piecesPerChunk; n *= 2) {
+    pieces = pieces.flatMap(splitInHalf).filter(piece => piece.length > 0);
+  }
+  return pieces;
+}
+
+/**
+ * Checks whether text fits in a summarizer's input quota
+ * Uses measureInputUsage()/inputQuota when available, otherwise a token estimate.
+ */
+async function fitsInputQuota(summarizer, text, signal) {
+  throwIfAborted(signal);
+  if (typeof summarizer.measureInputUsage !== 'function' || !Number.isFinite(summarizer.inputQuota)) {
+    return estimateTokens(text) <= FALLBACK_INPUT_QUOTA;
+  }
+
+  const usage = await summarizer.measureInputUsage(text, signal ? { signal } : undefined);
+  return usage <= summarizer.inputQuota;
+}
+
+/**
+ * Builds Summarizer.create() options with an optional download monitor
+ */
+function buildSummarizerOptions(options = {}) {
   const {
     type = 'key-points',
     length = 'medium',
     format = 'markdown',
     outputLanguage = 'en',
-    onProgress = () => {}
+    onProgress = () => {},
+    signal
   } = options;
 
-  const safeOutputLanguage = outputLanguage || 'en';
-
   const createOptions = {
     expectedInputLanguages: ["en", "ja", "es"],
     type,
     length,
     format,
-    outputLanguage: safeOutputLanguage
+    outputLanguage: outputLanguage || 'en'
   };
 
+  // Aborting also stops a model download that create() is waiting on
+  if (signal) {
+    createOptions.signal = signal;
+  }
+
   // Add monitor if progress callback exists
   if (onProgress && typeof onProgress === 'function') {
     createOptions.monitor = (m) => {
@@ -128,21 +517,114 @@ async function summarizeBatch(text, options = {}) {
     };
   }
 
-  console.log('[LocalScholar] Summarizer.create() called with batch mode:', createOptions);
+  return createOptions;
+}
 
-  const summarizer = await Summarizer.create(createOptions);
+/**
+ * Creates a Summarizer session
+ * @param {Object} options - Summarization options (see buildSummarizerOptions)
+ */
+async function createSummarizer(options = {}) {
+  throwIfAborted(options.signal);
+  const createOptions = buildSummarizerOptions(options);
+  console.log('[LocalScholar] Summarizer.create() called with:', createOptions);
+  return Summarizer.create(createOptions);
+}
 
-  try {
-    console.log('[LocalScholar] Starting batch summarization, text length:', text.length);
+/**
+ * Destroys an AI session if it supports it
+ */
+function destroySession(session) {
+  if (session && session.destroy) {
+    session.destroy();
+  }
+}
 
-    const result = await summarizer.summarize(text);
+/**
+ * Merges a streamed chunk into the text received so far.
+ * Older Chrome builds stream the full accumulated text; newer ones stream deltas.
+ * @param {string} previous - Text accumulated so far
+ * @param {string} chunk - Newly received chunk
+ * @returns {string} Accumulated text
+ */
+function accumulateStreamChunk(previous, chunk) {
+  if (previous && chunk.startsWith(previous)) {
+    return chunk;
+  }
+  return previous + chunk;
+}
 
+/**
+ * Runs a summarizer over text, streaming when onChunk is provided
+ * @param {Object} summarizer - Summarizer session
+ * @param {string} text - Text to summarize
+ * @param {Object} [options]
+ * @param {string} [options.context] - Shared context for the request
+ * @param {Function} [options.onChunk] - Called with the accumulated summary after each chunk
+ * @param {AbortSignal} [options.signal] - Cancels the request
+ * @returns {Promise<string>} - Complete summary text
+ */
+async function runSummarizer(summarizer, text, options = {}) {
+  const { context, onChunk = null, signal } = options;
+  throwIfAborted(signal);
+  const requestOptions = {};
+  if (context) requestOptions.context = context;
+  if (signal) requestOptions.signal = signal;
+
+  if (!onChunk) {
+    console.log('[LocalScholar] Starting batch summarization, text length:', text.length);
+    const result = await summarizer.summarize(text, requestOptions);
     console.log('[LocalScholar] Batch summarization complete, result length:', result.length);
     return result;
+  }
+
+  console.log('[LocalScholar] Starting streaming summarization, text length:', text.length);
+
+  let summary = '';
+  const stream = summarizer.summarizeStreaming(text, requestOptions);
+  for await (const chunk of stream) {
+    summary = accumulateStreamChunk(summary, chunk);
+    onChunk(summary);
+  }
+
+  console.log('[LocalScholar] Streaming summarization complete, result length:', summary.length);
+  return summary;
+}
+
+/**
+ * Summarizes text in batch mode with a one-off session
+ *
+ * @param {string} text - Text to summarize
+ * @param {Object} options - Summarization options (including signal)
+ * @returns {Promise<string>} - Summary text
+ */
+async function summarizeBatch(text, options = {}) {
+  const summarizer = await createSummarizer(options);
+
+  try {
+    return await runSummarizer(summarizer, text, { signal: options.signal });
   } finally {
-    if (summarizer.destroy) {
-      summarizer.destroy();
+    destroySession(summarizer);
+  }
+}
+
+/**
+ * Summarizes text of any length in a single attempt, combining section summaries
+ * (map-reduce) when it exceeds the input quota. It does not retry: it is meant to
+ * run inside another withRetry() operation, which owns the retry policy.
+ */
+async function summarizeChunked(text, options = {}) {
+  const { outputLanguage, signal } = options;
+  const summarizer = await createSummarizer(options);
+
+  try {
+    if (await fitsInputQuota(summarizer, text, signal)) {
+      return await runSummarizer(summarizer, text, { signal });
     }
+    const { combined } = await mapReduceChunks([text], summarizer, { outputLanguage, onProgress: () => {}, signal });
+    return await runSummarizer(summarizer, combined, { context: REDUCE_CONTEXT, signal });
+  } finally {
+    destroySession(summarizer);
   }
 }
 
@@ -155,6 +637,10 @@ async function summarizeBatch(text, options = {}) {
  * @param {string} options.difficulty - 'easy', 'medium', 'hard'
  * @param {string} options.outputLanguage - Output language code
  * @param {Function} options.onProgress - Progress callback
+ * @param {AbortSignal} [options.signal] - Cancels the generation
+ * @param {Function} [options.onAttempt] - Called with the record of each failed attempt
+ * @param {Function} [options.waitForModel] - (api) => Promise<Function>; awaited before condensing
+ *   the text with the Summarizer (the caller holds the Prompt API slot), resolves with a release function
  * @returns {Promise<Object>} - { flashcards: array, metadata: object }
  */
 export async function processFlashcardGeneration(options) {
@@ -163,7 +649,10 @@ export async function processFlashcardGeneration(options) {
     count = 5,
     difficulty = 'medium',
     outputLanguage = 'en',
-    onProgress = () => {}
+    onProgress = () => {},
+    signal,
+    onAttempt = null,
+    waitForModel = null
   } = options;
 
   if (!text) {
@@ -183,24 +672,63 @@ export async function processFlashcardGeneration(options) {
   }
 
   onProgress('Language Model ready...', 10);
-  onProgress('Generating flashcards...', 20);
 
-  const flashcards = await generateFlashcardsFromText(text, {
-    count,
-    difficulty,
+  const attempts = [];
+
+  // On quota errors the text is first condensed to its key points, then fewer cards are asked for
+  const generate = async (attempt) => {
+    let input = text;
+    if (attempt.shrink >= 1 && 'Summarizer' in self) {
+      onProgress('Condensing the text...', 15);
+      const release = waitForModel ? await waitForModel('summarizer') : null;
+      try {
+        input = await summarizeChunked(text, {
+          type: 'key-points',
+          length: 'long',
+          format: 'plain-text',
+          outputLanguage: attempt.outputLanguage,
+          signal
+        });
+      } finally {
+        release?.();
+      }
+    }
+    const cardCount = attempt.shrink >= 2 ? Math.max(1, Math.ceil(count / 2)) : count;
+
+    onProgress('Generating flashcards...', 20);
+
+    const flashcards = await generateFlashcardsFromText(input, {
+      count: cardCount,
+      difficulty,
+      outputLanguage: attempt.outputLanguage,
+      signal
+    });
+    return { flashcards, condensed: input !== text, outputLanguage: attempt.outputLanguage };
+  };
+
+  const result = await withRetry(generate, {
+    label: 'Flashcards',
+    signal,
+    onAttempt: (record) => {
+      attempts.push(record);
+      onAttempt?.(record);
+    },
+    maxShrink: 2,
     outputLanguage
   });
 
   onProgress('Complete', 100);
 
   return {
-    flashcards,
+    flashcards: result.flashcards,
     metadata: {
       textLength: text.length,
       requestedCount: count,
-      generatedCount: flashcards.length,
+      generatedCount: result.flashcards.length,
+      condensed: result.condensed,
       difficulty,
-      outputLanguage
+      outputLanguage: result.outputLanguage,
+      attempts
     }
   };
 }
@@ -215,11 +743,14 @@ async function generateFlashcardsFromText(text, options) {
   const {
     count = 5,
     difficulty = 'medium',
-    outputLanguage = 'en'
+    outputLanguage = 'en',
+    signal
   } = options;
 
   // Create session with LanguageModel API
+  throwIfAborted(signal);
   const session = await LanguageModel.create({
+    signal,
     temperature: 0.7,
     topK: 40,
     initialPrompts: [
@@ -253,6 +784,8 @@ Requirements:
 
 IMPORTANT: The "answer" field must be an index from 0 to 3 (0=first option, 1=second, 2=third, 3=fourth).
 
+The text is Markdown: use its headings, lists and tables to cover each section of the document.
+
 Text:
 ${text}`;
 
@@ -278,7 +811,8 @@ ${text}`;
 
     const result = await session.prompt(prompt, {
       responseConstraint: schema,
-      omitResponseConstraintInput: true  // Don't count schema towards quota
+      omitResponseConstraintInput: true,  // Don't count schema towards quota
+      signal
     });
 
     console.log('[LocalScholar] Raw flashcard response:', result);
@@ -306,13 +840,17 @@ ${text}`;
           flashcards = JSON.parse(jsonMatch[0]);
         } catch (e) {
           console.error('Failed to parse extracted JSON:', e);
-          throw new Error('Failed to generate valid flashcards - invalid JSON format');
+          throw createParseError('Failed to generate valid flashcards - invalid JSON format');
         }
       } else {
-        throw new Error('Failed to generate valid flashcards - no JSON array found');
+        throw createParseError('Failed to generate valid flashcards - no JSON array found');
       }
     }
 
+    if (!Array.isArray(flashcards)) {
+      throw createParseError('Failed to generate valid flashcards - no JSON array found');
+    }
+
     // Validate and fix answer indices if needed (convert 1-4 to 0-3)
     flashcards = flashcards.map((card, idx) => {
       if (card.answer > 3) {
@@ -331,163 +869,889 @@ ${text}`;
   }
 }
 
+// Report outlines: most sections the model may propose, and how much of each
+// source the outline prompt sees
+const MAX_OUTLINE_SECTIONS = 8;
+const OUTLINE_EXCERPT_LENGTH = 600;
+
+// Used when no template is passed (see utils/report-templates.js)
+const DEFAULT_TEMPLATE = BUILT_IN_REPORT_TEMPLATES[DEFAULT_REPORT_TEMPLATE];
+
+/**
+ * Proposes a report outline from collection items.
+ * Sources are preprocessed here once; pass the returned `sources` to
+ * processReportGeneration() with the (edited) outline so they are not summarized again.
+ * @param {Object} options - Processing options
+ * @param {Array} options.items - Collection items to synthesize
+ * @param {string} options.outputLanguage - Output language code
+ * @param {string} [options.customInstructions] - User instructions for the report
+ * @param {Object} [options.template] - Report template (see utils/report-templates.js)
+ * @param {Function} options.onProgress - Progress callback
+ * @param {AbortSignal} [options.signal] - Cancels the outline
+ * @param {Object} [options.resumeFrom] - Checkpoint to continue from: { sources } (sources prepared so far)
+ * @param {Function} [options.onCheckpoint] - Called with { sources } after each source is prepared
+ * @param {Function} [options.onAttempt] - Called with the record of each failed attempt
+ * @param {Function} [options.waitForModel] - (api) => Promise<Function>; awaited before long sources are
+ *   summarized (see prepareReportSources())
+ * @returns {Object} - { sections: [{ title, focus, sourceIndices }], sources: array }
+ */
+export async function processReportOutline(options) {
+  const {
+    items = [],
+    outputLanguage = 'en',
+    customInstructions = '',
+    template = DEFAULT_TEMPLATE,
+    onProgress = () => {},
+    signal,
+    resumeFrom = null,
+    onCheckpoint = null,
+    onAttempt = null,
+    waitForModel = null
+  } = options;
+
+  if (items.length === 0) {
+    throw new Error('No items to generate report from');
+  }
+
+  onProgress('Preparing outline...', 5);
+  await ensureLanguageModel();
+
+  onProgress('Analyzing sources...', 10);
+  const sources = await prepareReportSources(items, outputLanguage, onProgress, 10, 60, {
+    signal,
+    prepared: resumeFrom?.sources,
+    onCheckpoint,
+    onAttempt,
+    waitForModel
+  });
+
+  onProgress('Drafting outline...', 65);
+
+  const structure = template.sections.length > 0
+    ? `- Use exactly these sections, in this order, with these titles: ${template.sections.map(title => `"${title}"`).join(', ')}`
+    : `- Propose 3 to ${MAX_OUTLINE_SECTIONS} sections in reading order, starting with an introduction and ending with a conclusion`;
+
+  const schema = {
+    type: "object",
+    properties: {
+      sections: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            title: { type: "string" },
+            focus: { type: "string" },
+            sources: { type: "array", items: { type: "integer" } }
+          },
+          required: ["title", "focus", "sources"]
+        }
+      }
+    },
+    required: ["sections"]
+  };
+
+  // After a quota error the outline is planned from shorter excerpts
+  const draftOutline = async (attempt) => {
+    const session = await createReportSession(attempt.outputLanguage,
+      `${template.systemPrompt} You are planning the report's outline before it is written.`, signal);
+
+    try {
+      const excerptLength = Math.floor(OUTLINE_EXCERPT_LENGTH / 2 ** attempt.shrink);
+      const sourcesText = sources.map(s =>
+        `[Source ${s.index}: ${s.title}]\n${truncate(s.summary, excerptLength)}`
+      ).join('\n\n---\n\n');
+
+      let prompt = `Plan the outline of a report (${template.name}) synthesizing the following ${sources.length} source(s).
+
+Requirements:
+${structure}
+- Give each section a short title and a one-sentence focus describing what it covers
+- For each section, list the numbers of the sources it should draw on (1 to ${sources.length}); use every source in at least one section
+- Organize sections by theme across sources rather than one section per source
+- Where a source lists the reader's notes or highlighted passages, build the outline around them`;
+
+      if (customInstructions) {
+        prompt += `\n\nAdditional Instructions:\n${customInstructions}`;
+      }
+
+      prompt += `\n\nSources:
+${sourcesText}`;
+
+      const result = await session.prompt(prompt, {
+        responseConstraint: schema,
+        omitResponseConstraintInput: true,
+        signal
+      });
+
+      const proposed = normalizeOutline(parseOutlineResponse(result), sources.length);
+      const sections = template.sections.length > 0
+        ? applyTemplateSections(proposed, template.sections, sources.length)
+        : proposed.slice(0, MAX_OUTLINE_SECTIONS);
+
+      if (sections.length === 0) {
+        throw createParseError('Failed to generate a report outline');
+      }
+
+      return sections;
+    } finally {
+      destroySession(session);
+    }
+  };
+
+  const sections = await withRetry(draftOutline, {
+    label: 'Outline',
+    signal,
+    onAttempt,
+    maxShrink: 2,
+    outputLanguage
+  });
+
+  onProgress('Outline ready', 100);
+
+  return { sections, sources };
+}
+
+/**
+ * Cleans an outline proposed by the model or edited by the user.
+ * Sections without a title are dropped; source numbers outside 1..sourceCount
+ * are removed, and a section left without sources draws on all of them.
+ * @param {Array} sections - [{ title, focus, sourceIndices | sources }]
+ * @param {number} sourceCount - Number of report sources
+ * @returns {Array} - [{ title, focus, sourceIndices }]
+ */
+export function normalizeOutline(sections = [], sourceCount = 0) {
+  const allSources = Array.from({ length: sourceCount }, (_, idx) => idx + 1);
+
+  return sections
+    .map(section => {
+      const indices = (section?.sourceIndices || section?.sources || [])
+        .map(n => parseInt(n, 10))
+        .filter(n => n >= 1 && n <= sourceCount);
+      const unique = [...new Set(indices)].sort((a, b) => a - b);
+
+      return {
+        title: String(section?.title || '').replace(/^#+\s*/, '').trim(),
+        focus: String(section?.focus || '').trim(),
+        sourceIndices: unique.length > 0 ? unique : allSources
+      };
+    })
+    .filter(section => section.title);
+}
+
+/**
+ * Forces a proposed outline onto a template's required sections: each required
+ * title takes the focus and sources of the proposed section with that title,
+ * otherwise those of the next proposed section not matched by title
+ */
+function applyTemplateSections(proposed, requiredTitles, sourceCount) {
+  const byTitle = requiredTitles.map(title =>
+    proposed.find(section => section.title.toLowerCase() === title.toLowerCase()));
+  const unmatched = proposed.filter(section => !byTitle.includes(section));
+
+  return requiredTitles.map((title, idx) => {
+    const match = byTitle[idx] || unmatched.shift() || {};
+    const [section] = normalizeOutline([{ ...match, title }], sourceCount);
+    return section;
+  });
+}
+
 /**
  * Processes report generation from collection items
  * @param {Object} options - Processing options
  * @param {Array} options.items - Collection items to synthesize
+ * @param {Array} [options.sources] - Sources already prepared by processReportOutline()
+ * @param {Array} [options.outline] - Sections to write one by one (see processReportOutline)
  * @param {string} options.outputLanguage - Output language code
+ * @param {string} [options.citationStyle] - Reference style (see CITATION_STYLES)
+ * @param {Object} [options.template] - Report template (see utils/report-templates.js)
  * @param {Function} options.onProgress - Progress callback
- * @returns {Object} - { report: string, citations: array, metadata: object }
+ * @param {Function} [options.onStreamChunk] - Called with the report body written so far (enables streaming)
+ * @param {AbortSignal} [options.signal] - Cancels the generation
+ * @param {Object} [options.resumeFrom] - Checkpoint to continue from: { sources, sections } (prepared so far;
+ *   sections only apply to an outlined report)
+ * @param {Function} [options.onCheckpoint] - Called with { sources, sections } after each source or section
+ * @param {Function} [options.onAttempt] - Called with the record of each failed attempt
+ * @param {Function} [options.waitForModel] - (api) => Promise<Function>; awaited before long sources are
+ *   summarized (see prepareReportSources())
+ * @returns {Object} - { report: string, citations: array, citedSources: number[], sections: array|null,
+ *   sources: array, metadata: object }
  */
 export async function processReportGeneration(options) {
   const {
     items = [],
+    sources: preparedSources = null,
+    outline = null,
     outputLanguage = 'en',
     customInstructions = '',
-    onProgress = () => {}
+    citationStyle = DEFAULT_CITATION_STYLE,
+    template = DEFAULT_TEMPLATE,
+    onProgress = () => {},
+    onStreamChunk = null,
+    signal,
+    resumeFrom = null,
+    onCheckpoint = null,
+    onAttempt = null,
+    waitForModel = null
   } = options;
 
-  if (items.length === 0) {
+  if (items.length === 0 && !preparedSources?.length) {
     throw new Error('No items to generate report from');
   }
 
   onProgress('Preparing report generation...', 5);
+  await ensureLanguageModel();
 
-  // Check Prompt API availability
-  if (!('LanguageModel' in self)) {
-    throw new Error('Prompt API (LanguageModel) not supported in this browser');
-  }
+  onProgress('Analyzing sources...', 10);
 
-  const availability = await LanguageModel.availability();
-  if (availability !== 'available') {
-    throw new Error('Language Model unavailable on this device');
+  // If items already have summaries, use those; otherwise create brief summaries
+  const processedSources = preparedSources?.length
+    ? preparedSources
+    : await prepareReportSources(items, outputLanguage, onProgress, 10, 50, {
+      signal,
+      prepared: resumeFrom?.sources,
+      onCheckpoint: onCheckpoint && (({ sources }) => onCheckpoint({ sources, sections: [] })),
+      onAttempt,
+      waitForModel
+    });
+
+  onProgress('Synthesizing report...', 55);
+
+  if (outline?.length) {
+    return writeSectionedReport(processedSources, outline, {
+      outputLanguage,
+      customInstructions,
+      citationStyle,
+      template,
+      onProgress,
+      onStreamChunk,
+      signal,
+      written: resumeFrom?.sections,
+      onCheckpoint: onCheckpoint && (({ sections }) => onCheckpoint({ sources: processedSources, sections })),
+      onAttempt
+    });
   }
 
-  onProgress('Analyzing sources...', 10);
+  const structure = template.sections.length > 0
+    ? `- Use these sections as ## headings, in this order: ${template.sections.map(title => `"${title}"`).join(', ')}`
+    : '- Use clear headings and sections to organize the content';
+  const style = describeTemplateStyle(template);
+
+  // Create the report by synthesizing all sources; after a quota error each
+  // source's summary is cut down
+  const writeReport = async (attempt) => {
+    const session = await createReportSession(attempt.outputLanguage, template.systemPrompt, signal);
+
+    try {
+      const sourcesText = shrinkSources(processedSources, attempt.shrink).map(s =>
+        `[Source ${s.index}: ${s.title}]\n${s.summary}`
+      ).join('\n\n---\n\n');
+
+      // Build the prompt with optional custom instructions
+      let prompt = `Create a comprehensive report (${template.name}) synthesizing the following ${processedSources.length} source(s).
+
+Requirements:
+- Write a cohesive, well-structured report that integrates information from all sources
+${structure}${style ? `\n${style}` : ''}
+- Connect related concepts across different sources
+- Cite the source of every claim with its number in square brackets right after the claim, e.g. "... as shown in recent work [2]." or "[1, 3]" for several sources
+- Only use the numbers from the [Source n: title] labels below (1 to ${processedSources.length}); never invent other numbers
+- Do NOT include a references section (it will be added separately)
+- Focus on synthesizing and connecting the information, not just summarizing each source
+- Where a source lists the reader's notes or highlighted passages, give those points priority`;
+
+      // Add custom instructions if provided
+      if (customInstructions) {
+        prompt += `\n\nAdditional Instructions:\n${customInstructions}`;
+      }
+
+      prompt += `\n\nSources:
+${sourcesText}
+
+Write the report now:`;
+
+      onProgress('Generating report content...', 70);
+
+      return await runPrompt(session, prompt, onStreamChunk, signal);
+    } finally {
+      destroySession(session);
+    }
+  };
+
+  const rawContent = await withRetry(writeReport, {
+    label: 'Report',
+    signal,
+    onAttempt,
+    maxShrink: 2,
+    outputLanguage
+  });
+
+  onProgress('Finalizing report...', 90);
 
-  // Prepare content from all items
-  const sources = items.map((item, idx) => ({
-    index: idx + 1,
-    title: item.title || 'Untitled',
-    url: item.url,
-    content: item.fullText || item.text || '',
-    sourceType: item.sourceType || 'page'
+  // Check [n] markers against the source labels; unknown indices are reported
+  const markers = validateCitationMarkers(rawContent, processedSources.length);
+  const reportContent = markers.text;
+  const citationWarnings = describeCitationCheck(markers);
+  if (citationWarnings.length > 0) {
+    console.warn('[LocalScholar] Report citation check:', citationWarnings.join(' '));
+  }
+
+  // Create citations (with scholarly metadata when the page provided it)
+  const citations = processedSources.map((source, idx) => ({
+    ...buildCitation(source),
+    cited: markers.cited.includes(idx + 1)
   }));
 
-  // If items already have summaries, use those; otherwise create brief summaries
-  const progressPerItem = 40 / sources.length;
-  const processedSources = [];
-
-  for (let i = 0; i < sources.length; i++) {
-    const source = sources[i];
-    const baseProgress = 10 + (i * progressPerItem);
-
-    onProgress(`Processing source ${i + 1}/${sources.length}...`, baseProgress);
-
-    // Check if content is too long, summarize it first
-    if (estimateTokens(source.content) > 4000) {
-      const summary = await summarizeBatch(source.content, {
-        type: 'key-points',
-        length: 'short',
-        format: 'plain-text',
-        outputLanguage
-      });
+  // Add references section in the requested style
+  const referencesSection = formatReferencesSection(citations, citationStyle);
 
-      processedSources.push({
-        ...source,
-        summary
-      });
+  const finalReport = reportContent + referencesSection;
+
+  onProgress('Complete', 100);
+
+  return {
+    report: finalReport,
+    citations,
+    citedSources: markers.cited,
+    sections: null,
+    sources: processedSources,
+    metadata: {
+      sourceCount: processedSources.length,
+      generatedAt: new Date().toISOString(),
+      outputLanguage,
+      citationStyle,
+      template: template.id,
+      citationCheck: {
+        markerCount: markers.markerCount,
+        unknown: markers.unknown,
+        uncited: markers.uncited,
+        warnings: citationWarnings
+      }
+    }
+  };
+}
+
+/**
+ * Rewrites one section of an outlined report, e.g. when it came out weak
+ * @param {Object} options - Processing options
+ * @param {Array} options.outline - All report sections ({ title, focus, sourceIndices })
+ * @param {number} options.sectionIndex - Index of the section to write
+ * @param {Array} options.sources - Prepared report sources (report.sources)
+ * @param {string} options.outputLanguage - Output language code
+ * @param {string} [options.customInstructions] - User instructions for the report
+ * @param {Object} [options.template] - Report template (see utils/report-templates.js)
+ * @param {Function} [options.onStreamChunk] - Called with the section written so far
+ * @param {AbortSignal} [options.signal] - Cancels the rewrite
+ * @param {Function} [options.onAttempt] - Called with the record of each failed attempt
+ * @returns {Promise<string>} - Section body (Markdown, without its heading)
+ */
+export async function regenerateReportSection(options) {
+  const {
+    outline = [],
+    sectionIndex,
+    sources = [],
+    outputLanguage = 'en',
+    customInstructions = '',
+    template = DEFAULT_TEMPLATE,
+    onStreamChunk = null,
+    signal,
+    onAttempt = null
+  } = options;
+
+  if (!outline[sectionIndex]) {
+    throw new Error(`Invalid section index: ${sectionIndex}`);
+  }
+
+  await ensureLanguageModel();
+
+  return generateSectionContent(outline, sectionIndex, sources, {
+    outputLanguage,
+    customInstructions,
+    template,
+    onChunk: onStreamChunk,
+    signal,
+    onAttempt
+  });
+}
+
+/**
+ * Builds the final report from written sections: checks each section's [n]
+ * markers and appends the references section
+ * @param {Array} sections - [{ title, focus, sourceIndices, content }]
+ * @param {Array} citations - Citation objects in source order
+ * @param {string} citationStyle - Reference style (see CITATION_STYLES)
+ * @returns {Object} - { report, sections, citations, citedSources, citationCheck }
+ */
+export function composeSectionedReport(sections, citations, citationStyle = DEFAULT_CITATION_STYLE) {
+  const cited = new Set();
+  const unknown = new Set();
+  let markerCount = 0;
+
+  const checkedSections = sections.map(section => {
+    const markers = validateCitationMarkers(section.content || '', citations.length);
+    markers.cited.forEach(n => cited.add(n));
+    markers.unknown.forEach(n => unknown.add(n));
+    markerCount += markers.markerCount;
+    return { ...section, content: markers.text };
+  });
+
+  const citedSources = [...cited].sort((a, b) => a - b);
+  const check = {
+    markerCount,
+    cited: citedSources,
+    unknown: [...unknown].sort((a, b) => a - b),
+    uncited: citations.map((_, idx) => idx + 1).filter(n => !cited.has(n))
+  };
+  const warnings = describeCitationCheck(check);
+  if (warnings.length > 0) {
+    console.warn('[LocalScholar] Report citation check:', warnings.join(' '));
+  }
+
+  const body = checkedSections.map(renderSection).join('\n\n');
+
+  return {
+    report: body + formatReferencesSection(citations, citationStyle),
+    sections: checkedSections,
+    citations: citations.map((citation, idx) => ({ ...citation, cited: cited.has(idx + 1) })),
+    citedSources,
+    citationCheck: {
+      markerCount,
+      unknown: check.unknown,
+      uncited: check.uncited,
+      warnings
+    }
+  };
+}
+
+/**
+ * Splits edited report Markdown back into outline sections at its "## " headings,
+ * so an edited outlined report keeps per-section regeneration.
+ * The References section is dropped (composeSectionedReport() rebuilds it);
+ * text before the first heading stays with the first section.
+ * @param {string} content - Full report Markdown
+ * @param {Array} previousSections - Sections before the edit
+ * @param {number} sourceCount - Number of report sources
+ * @returns {Array|null} - Sections, or null when the text has no "## " headings
+ */
+export function splitReportSections(content, previousSections = [], sourceCount = 0) {
+  const sections = [];
+  const preamble = [];
+  let current = null;
+  let fence = null;
+
+  for (const line of content.split('\n')) {
+    const fenceMatch = line.match(/^\s*(`{3,}|~{3,})/);
+    if (fenceMatch) {
+      const marker = fenceMatch[1][0];
+      fence = fence === null ? marker : (fence === marker ? null : fence);
+    }
+
+    const heading = fence === null && !fenceMatch ? line.match(/^##\s+(.+?)\s*#*\s*$/) : null;
+    if (heading) {
+      current = { title: heading[1], lines: [] };
+      sections.push(current);
+    } else if (current) {
+      current.lines.push(line);
     } else {
-      processedSources.push({
-        ...source,
-        summary: source.content
-      });
+      preamble.push(line);
     }
   }
 
-  onProgress('Synthesizing report...', 55);
+  const bodySections = sections.filter(section => !/^references$/i.test(section.title.trim()));
+  if (bodySections.length === 0) return null;
 
-  // Check Prompt API (LanguageModel) availability
+  if (preamble.join('').trim()) {
+    bodySections[0].lines = [preamble.join('\n').trim(), '', bodySections[0].lines.join('\n').trim()];
+  }
+
+  return bodySections
+    .map((section, idx) => {
+      const title = section.title.trim();
+      // Keep focus and sources of the section with the same title (or position)
+      const match = previousSections.find(s => s.title.trim().toLowerCase() === title.toLowerCase())
+        || previousSections[idx]
+        || {};
+      const [normalized] = normalizeOutline([{ ...match, title }], sourceCount);
+      return normalized && { ...normalized, content: section.lines.join('\n').trim() };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Writes an outlined report section by section, each from its own sources
+ */
+async function writeSectionedReport(sources, outline, options) {
+  const {
+    outputLanguage, customInstructions, citationStyle, template, onProgress, onStreamChunk, signal,
+    written: checkpointSections = [], onCheckpoint = null, onAttempt = null
+  } = options;
+
+  const sections = [];
+  const progressPerSection = 35 / outline.length;
+
+  for (let i = 0; i < outline.length; i++) {
+    // Sections written before a reload are kept while the outline still matches
+    const saved = checkpointSections?.[i];
+    if (saved?.title === outline[i].title && typeof saved.content === 'string') {
+      sections.push({ ...outline[i], content: saved.content });
+      continue;
+    }
+
+    onProgress(`Writing section ${i + 1}/${outline.length}: ${outline[i].title}`, 55 + (i * progressPerSection));
+
+    const written = sections.map(renderSection);
+    const content = await generateSectionContent(outline, i, sources, {
+      outputLanguage,
+      customInstructions,
+      template,
+      onChunk: onStreamChunk
+        ? (text) => onStreamChunk([...written, renderSection({ ...outline[i], content: stripLeadingHeading(text, outline[i].title) })].join('\n\n'))
+        : null,
+      signal,
+      onAttempt
+    });
+
+    sections.push({ ...outline[i], content });
+    if (onCheckpoint) await onCheckpoint({ sections: [...sections] });
+  }
+
+  onProgress('Finalizing report...', 90);
+
+  // Create citations (with scholarly metadata when the page provided it)
+  const composed = composeSectionedReport(sections, sources.map(buildCitation), citationStyle);
+
+  onProgress('Complete', 100);
+
+  return {
+    report: composed.report,
+    citations: composed.citations,
+    citedSources: composed.citedSources,
+    sections: composed.sections,
+    sources,
+    metadata: {
+      sourceCount: sources.length,
+      sectionCount: sections.length,
+      generatedAt: new Date().toISOString(),
+      outputLanguage,
+      citationStyle,
+      template: template.id,
+      citationCheck: composed.citationCheck
+    }
+  };
+}
+
+/**
+ * Writes one outline section using only the sources assigned to it
+ * @returns {Promise<string>} - Section body without its heading
+ */
+async function generateSectionContent(outline, sectionIndex, sources, options) {
+  const { outputLanguage, customInstructions, template = DEFAULT_TEMPLATE, onChunk = null, signal, onAttempt = null } = options;
+  const section = outline[sectionIndex];
+  const sectionSources = sources.filter(s => section.sourceIndices.includes(s.index));
+  const style = describeTemplateStyle(template);
+
+  const outlineText = outline.map((s, idx) =>
+    `${idx + 1}. ${s.title}${idx === sectionIndex ? '  <- write this section' : ''}`
+  ).join('\n');
+
+  const numbers = sectionSources.map(s => s.index).join(', ');
+
+  // After a quota error each source's summary is cut down
+  const writeSection = async (attempt) => {
+    const session = await createReportSession(attempt.outputLanguage, template.systemPrompt, signal);
+
+    try {
+      const sourcesText = shrinkSources(sectionSources, attempt.shrink).map(s =>
+        `[Source ${s.index}: ${s.title}]\n${s.summary}`
+      ).join('\n\n---\n\n');
+
+      let prompt = `Write one section of a report (${template.name}) that synthesizes several sources.
+
+Report outline:
+${outlineText}
+
+Section to write: "${section.title}"${section.focus ? `\nFocus: ${section.focus}` : ''}
+
+Requirements:
+- Write only the body of this section in Markdown; do NOT repeat the section title as a heading (use ### subheadings only if needed)
+- Stay within this section's focus; the other sections of the outline cover the rest
+- Cite the source of every claim with its number in square brackets right after the claim, e.g. "[${sectionSources[0]?.index ?? 1}]"
+- Only use these source numbers: ${numbers}
+- Do NOT include a references section
+- Where a source lists the reader's notes or highlighted passages, give those points priority${style ? `\n${style}` : ''}${template.length ? '\n- The length applies to the whole report; keep this section in proportion' : ''}`;
+
+      if (customInstructions) {
+        prompt += `\n\nAdditional Instructions:\n${customInstructions}`;
+      }
+
+      prompt += `\n\nSources:
+${sourcesText}
+
+Write the section now:`;
+
+      const content = await runPrompt(session, prompt, onChunk, signal);
+      return stripLeadingHeading(content, section.title);
+    } finally {
+      destroySession(session);
+    }
+  };
+
+  return withRetry(writeSection, {
+    label: `Section "${section.title}"`,
+    signal,
+    onAttempt,
+    maxShrink: 2,
+    outputLanguage
+  });
+}
+
+/**
+ * Cuts each source's summary to 1/2^shrink of its length (for retries after quota errors)
+ */
+function shrinkSources(sources, shrink) {
+  if (shrink === 0) return sources;
+  return sources.map(source => ({
+    ...source,
+    summary: truncate(source.summary, Math.ceil(source.summary.length / 2 ** shrink))
+  }));
+}
+
+// Tokens of each source a report prompt gets; notes and highlights come out of the same budget
+const SOURCE_TOKEN_BUDGET = 4000;
+const MIN_SOURCE_TEXT_TOKENS = 1000;
+
+/**
+ * Formats the user's notes and highlighted passages on a collection item
+ * @returns {string} - Text to lead the source with, or '' when there are none
+ */
+function describeSourceAnnotations(item) {
+  const parts = [];
+  if (item.notes?.trim()) {
+    parts.push(`Reader's notes (why this source matters):\n${item.notes.trim()}`);
+  }
+
+  const highlights = (item.highlights || []).filter(h => h?.exact);
+  if (highlights.length > 0) {
+    parts.push(`Highlighted passages:\n${highlights.map(h => `- "${h.exact}"`).join('\n')}`);
+  }
+
+  return parts.join('\n\n');
+}
+
+/**
+ * Summarizes long collection items so every source fits in a report prompt.
+ * The user's notes and highlights lead each source (so they also survive the
+ * outline's excerpts); the page text fills the rest of the budget and is
+ * summarized when it does not fit.
+ * @param {Array} items - Collection items
+ * @param {string} outputLanguage - Output language code
+ * @param {Function} onProgress - Progress callback
+ * @param {number} fromPercent - Progress at the first source
+ * @param {number} toPercent - Progress after the last source
+ * @param {Object} [options] - { signal, prepared, onCheckpoint, onAttempt, waitForModel }: prepared sources
+ *   from a checkpoint are reused, and onCheckpoint gets { sources } after each new one; waitForModel('summarizer')
+ *   is awaited before a long source is summarized and its result called afterwards to release the slot
+ * @returns {Promise<Array>} - [{ index, title, url, sourceType, citation, accessedDate, summary }]
+ */
+async function prepareReportSources(items, outputLanguage, onProgress, fromPercent, toPercent, options = {}) {
+  const { signal, prepared = [], onCheckpoint = null, onAttempt = null, waitForModel = null } = options;
+  const progressPerItem = (toPercent - fromPercent) / items.length;
+  const sources = [];
+
+  for (let i = 0; i < items.length; i++) {
+    const item = items[i];
+    const saved = prepared?.find(source => source.index === i + 1);
+    if (saved && saved.url === item.url) {
+      sources.push(saved);
+      continue;
+    }
+
+    const content = item.fullText || item.text || '';
+    const annotations = describeSourceAnnotations(item);
+    const textBudget = Math.max(MIN_SOURCE_TEXT_TOKENS, SOURCE_TOKEN_BUDGET - estimateTokens(annotations));
+
+    onProgress(`Processing source ${i + 1}/${items.length}...`, fromPercent + (i * progressPerItem));
+
+    // Check if content is too long, summarize it first; if it is too long for one
+    // summarizer call, retry with the chunked (map-reduce) summarization
+    const summarizerOptions = { type: 'key-points', length: 'short', format: 'plain-text', signal };
+    let text = content;
+    if (estimateTokens(content) > textBudget) {
+      const release = waitForModel ? await waitForModel('summarizer') : null;
+      try {
+        text = await withRetry(attempt => (attempt.shrink === 0
+          ? summarizeBatch(content, { ...summarizerOptions, outputLanguage: attempt.outputLanguage })
+          : summarizeChunked(content, { ...summarizerOptions, outputLanguage: attempt.outputLanguage })), {
+          label: `Source ${i + 1}`,
+          signal,
+          onAttempt,
+          maxShrink: 1,
+          outputLanguage
+        });
+      } finally {
+        release?.();
+      }
+    }
+
+    const summary = annotations ? `${annotations}\n\nSource text:\n${text}` : text;
+
+    sources.push({
+      index: i + 1,
+      title: item.title || 'Untitled',
+      url: item.url,
+      sourceType: item.sourceType || 'page',
+      citation: item.citation || null,
+      accessedDate: item.addedAt || null,
+      summary
+    });
+    if (onCheckpoint) await onCheckpoint({ sources: [...sources] });
+  }
+
+  return sources;
+}
+
+/**
+ * Throws unless the Prompt API can run on this device
+ */
+async function ensureLanguageModel() {
   if (!('LanguageModel' in self)) {
-    throw new Error('Prompt API not available for report generation. Enable it in chrome://flags');
+    throw new Error('Prompt API (LanguageModel) not supported in this browser');
   }
 
-  // Create the report by synthesizing all sources
-  const session = await LanguageModel.create({
+  const availability = await LanguageModel.availability();
+  if (availability !== 'available') {
+    throw new Error('Language Model unavailable on this device');
+  }
+}
+
+/**
+ * Creates a LanguageModel session for report writing
+ */
+function createReportSession(outputLanguage, systemPrompt, signal) {
+  throwIfAborted(signal);
+  return LanguageModel.create({
+    signal,
     temperature: 0.7,
     topK: 40,
     initialPrompts: [
       {
         role: 'system',
-        content: 'You are a skilled technical writer. Create comprehensive, well-structured reports that synthesize information from multiple sources.'
+        content: systemPrompt
       }
     ],
     expectedOutputs: [
       { type: "text", languages: [outputLanguage] }
     ]
   });
+}
 
+/**
+ * Parses the outline JSON, tolerating code fences around it
+ */
+function parseOutlineResponse(result) {
+  let parsed;
   try {
-    const sourcesText = processedSources.map((s, idx) =>
-      `[Source ${idx + 1}: ${s.title}]\n${s.summary}`
-    ).join('\n\n---\n\n');
-
-    // Build the prompt with optional custom instructions
-    let prompt = `Create a comprehensive report synthesizing the following ${processedSources.length} source(s).
-
-Requirements:
-- Write a cohesive, well-structured report that integrates information from all sources
-- Use clear headings and sections to organize the content
-- Maintain an informative and professional tone
-- Connect related concepts across different sources
-- Do NOT include a references section (it will be added separately)
-- Focus on synthesizing and connecting the information, not just summarizing each source`;
-
-    // Add custom instructions if provided
-    if (customInstructions) {
-      prompt += `\n\nAdditional Instructions:\n${customInstructions}`;
+    parsed = JSON.parse(result);
+  } catch (parseError) {
+    const jsonMatch = result.match(/\{[\s\S]*\}/);
+    if (!jsonMatch) {
+      throw createParseError('Failed to generate a report outline - no JSON object found');
     }
+    try {
+      parsed = JSON.parse(jsonMatch[0]);
+    } catch (e) {
+      throw createParseError('Failed to generate a report outline - invalid JSON format');
+    }
+  }
+  return Array.isArray(parsed) ? parsed : (parsed.sections || []);
+}
 
-    prompt += `\n\nSources:
-${sourcesText}
-
-Write the report now:`;
-
-    onProgress('Generating report content...', 70);
-
-    const reportContent = await session.prompt(prompt);
-
-    onProgress('Finalizing report...', 90);
+function renderSection(section) {
+  return `## ${section.title}\n\n${(section.content || '').trim()}`;
+}
 
-    // Create citations
-    const citations = processedSources.map(s => ({
-      title: s.title,
-      url: s.url,
-      sourceType: s.sourceType
-    }));
+/**
+ * Removes a heading the model put at the top of a section despite the prompt
+ */
+function stripLeadingHeading(text, title) {
+  const match = text.match(/^\s*#{1,6}\s+(.+)\n+/);
+  if (match && match[1].trim().toLowerCase() === title.trim().toLowerCase()) {
+    return text.slice(match[0].length);
+  }
+  return text;
+}
 
-    // Add references section
-    const referencesSection = '\n\n## References\n\n' +
-      citations.map((c, idx) => `${idx + 1}. ${c.title} - ${c.url}`).join('\n');
+function truncate(text, maxLength) {
+  return text.length > maxLength ? `${text.slice(0, maxLength)}...` : text;
+}
 
-    const finalReport = reportContent + referencesSection;
+/**
+ * Runs a prompt, streaming when onChunk is provided
+ * @param {Object} session - LanguageModel session
+ * @param {string} prompt - Prompt text
+ * @param {Function|null} onChunk - Called with the accumulated response after each chunk
+ * @param {AbortSignal} [signal] - Cancels the prompt
+ * @returns {Promise<string>} - Complete response text
+ */
+async function runPrompt(session, prompt, onChunk, signal) {
+  throwIfAborted(signal);
+  const requestOptions = signal ? { signal } : undefined;
+  if (!onChunk) {
+    return session.prompt(prompt, requestOptions);
+  }
 
-    onProgress('Complete', 100);
+  let response = '';
+  const stream = session.promptStreaming(prompt, requestOptions);
+  for await (const chunk of stream) {
+    response = accumulateStreamChunk(response, chunk);
+    onChunk(response);
+  }
+  return response;
+}
 
-    return {
-      report: finalReport,
-      citations,
-      metadata: {
-        sourceCount: items.length,
-        generatedAt: new Date().toISOString(),
-        outputLanguage
-      }
-    };
-  } finally {
-    if (session.destroy) {
-      session.destroy();
-    }
+/**
+ * Turns a citation marker check into user-facing warnings
+ * @param {Object} markers - Result of validateCitationMarkers()
+ * @returns {string[]}
+ */
+function describeCitationCheck(markers) {
+  const warnings = [];
+  if (markers.markerCount === 0) {
+    warnings.push('The report has no inline citations.');
+    return warnings;
+  }
+  if (markers.unknown.length > 0) {
+    warnings.push(`Citations to unknown sources (left in the text): ${markers.unknown.map(n => `[${n}]`).join(', ')}.`);
   }
+  if (markers.uncited.length > 0) {
+    warnings.push(`Sources never cited: ${markers.uncited.map(n => `[${n}]`).join(', ')}.`);
+  }
+  return warnings;
+}
+
+/**
+ * Builds the stored citation object for a report source
+ * @param {Object} source - Processed source with optional scholarly `citation`
+ * @returns {Object} - { title, url, sourceType, type, authors, publishedDate, doi,
+ *                       journal, volume, issue, pages, publisher, siteName, accessedDate }
+ */
+function buildCitation(source) {
+  const meta = source.citation || {};
+  return {
+    title: meta.title || source.title,
+    url: source.url,
+    sourceType: source.sourceType,
+    type: meta.type || 'webpage',
+    authors: meta.authors || [],
+    publishedDate: meta.publishedDate || null,
+    doi: meta.doi || null,
+    journal: meta.journal || null,
+    volume: meta.volume || null,
+    issue: meta.issue || null,
+    pages: meta.pages || null,
+    publisher: meta.publisher || null,
+    siteName: meta.siteName || null,
+    accessedDate: source.accessedDate
+  };
 }
 
 /**
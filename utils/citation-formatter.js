@@ -0,0 +1,454 @@
+/**
+ * Citation Formatter
+ *
+ * Renders stored report citations in APA, MLA, Chicago and IEEE styles and
+ * exports them as BibTeX or RIS for reference managers (Zotero, LaTeX).
+ *
+ * Citation objects come from processReportGeneration():
+ * { title, url, type, authors: [{ given, family } | { literal }], publishedDate,
+ *   doi, journal, volume, issue, pages, publisher, siteName, accessedDate }
+ *
+ * Reports cite sources by number ([n]), so every style lists references in
+ * source order and keeps the number visible.
+ */
+
+export const CITATION_STYLES = {
+  apa: 'APA (7th ed.)',
+  mla: 'MLA (9th ed.)',
+  chicago: 'Chicago (17th ed.)',
+  ieee: 'IEEE'
+};
+
+export const DEFAULT_CITATION_STYLE = 'apa';
+
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July',
+  'August', 'September', 'October', 'November', 'December'];
+const MLA_MONTHS = ['Jan.', 'Feb.', 'Mar.', 'Apr.', 'May', 'June', 'July',
+  'Aug.', 'Sept.', 'Oct.', 'Nov.', 'Dec.'];
+const IEEE_MONTHS = ['Jan.', 'Feb.', 'Mar.', 'Apr.', 'May', 'Jun.', 'Jul.',
+  'Aug.', 'Sep.', 'Oct.', 'Nov.', 'Dec.'];
+
+/**
+ * Formats one citation
+ * @param {Object} citation - Citation object
+ * @param {string} style - Key of CITATION_STYLES
+ * @param {number} number - 1-based source number
+ * @returns {string} - Markdown reference entry (italics with *...*)
+ */
+export function formatCitation(citation, style = DEFAULT_CITATION_STYLE, number = 1) {
+  const formatter = FORMATTERS[style];
+  if (!formatter) {
+    throw new Error(`Invalid citation style: ${style}`);
+  }
+  return formatter(normalizeCitation(citation), number);
+}
+
+/**
+ * Formats a references section for a report
+ * @param {Array} citations - Citation objects in source order
+ * @param {string} style - Key of CITATION_STYLES
+ * @returns {string} - Markdown starting with a '## References' heading
+ */
+export function formatReferencesSection(citations = [], style = DEFAULT_CITATION_STYLE) {
+  const entries = citations.map((citation, idx) => {
+    const entry = formatCitation(citation, style, idx + 1);
+    // IEEE entries carry their own [n] label
+    return style === 'ieee' ? entry : `${idx + 1}. ${entry}`;
+  });
+
+  return '\n\n## References\n\n' + entries.join('\n');
+}
+
+// ===== Styles =====
+
+const FORMATTERS = {
+  apa(c) {
+    const authors = joinNames(c.authors.map(apaName), ', ', ', & ', ', & ');
+    const date = `(${apaDate(c)}).`;
+    const link = c.doi ? `https://doi.org/${c.doi}` : c.url;
+
+    if (c.journal) {
+      const volume = c.volume ? `, *${c.volume}*${c.issue ? `(${c.issue})` : ''}` : '';
+      const pages = c.pages ? `, ${c.pages.replace('-', '–')}` : '';
+      const source = `*${c.journal}*${volume}${pages}.`;
+      return authors
+        ? compact([authors, date, `${stripPeriod(c.title)}.`, source, link])
+        : compact([`${stripPeriod(c.title)}.`, date, source, link]);
+    }
+
+    const site = c.siteName ? `${stripPeriod(c.siteName)}.` : '';
+    return authors
+      ? compact([authors, date, `*${stripPeriod(c.title)}*.`, site, link])
+      : compact([`*${stripPeriod(c.title)}*.`, date, site, link]);
+  },
+
+  mla(c) {
+    const authors = mlaAuthors(c.authors);
+    const container = c.journal || c.siteName;
+    const details = compact([
+      container ? `*${container}*` : '',
+      c.volume ? `vol. ${c.volume}` : '',
+      c.issue ? `no. ${c.issue}` : '',
+      !c.journal && c.publisher && c.publisher !== container ? c.publisher : '',
+      mlaDate(c),
+      c.pages ? `pp. ${c.pages.replace('-', '–')}` : '',
+      c.doi ? `https://doi.org/${c.doi}` : c.url
+    ], ', ');
+
+    return compact([
+      authors ? `${stripPeriod(authors)}.` : '',
+      `"${stripPeriod(c.title)}."`,
+      details ? `${details}.` : '',
+      c.accessed ? `Accessed ${mlaDate(c.accessed)}.` : ''
+    ]);
+  },
+
+  chicago(c) {
+    const authors = chicagoAuthors(c.authors);
+    const link = c.doi ? `https://doi.org/${c.doi}` : c.url;
+
+    if (c.journal) {
+      const volume = compact([c.volume, c.issue ? `no. ${c.issue}` : ''], ', ');
+      const year = c.year ? ` (${c.year})` : '';
+      const pages = c.pages ? `: ${c.pages.replace('-', '–')}` : '';
+      return compact([authors ? `${stripPeriod(authors)}.` : '', `"${stripPeriod(c.title)}."`,
+        `*${c.journal}*${volume ? ' ' + volume : ''}${year}${pages}.`, `${link}.`]);
+    }
+
+    const published = longDate(c);
+    return compact([
+      authors ? `${stripPeriod(authors)}.` : '',
+      `"${stripPeriod(c.title)}."`,
+      c.siteName ? `${stripPeriod(c.siteName)}.` : '',
+      published ? `${published}.` : (c.accessed ? `Accessed ${longDate(c.accessed)}.` : ''),
+      `${link}.`
+    ]);
+  },
+
+  ieee(c, number) {
+    const authors = joinNames(c.authors.map(ieeeName), ', ', ', and ', ' and ');
+    const head = `[${number}] ${authors ? authors + ', ' : ''}"${stripPeriod(c.title)},"`;
+
+    if (c.journal) {
+      const details = compact([
+        `*${c.journal}*`,
+        c.volume ? `vol. ${c.volume}` : '',
+        c.issue ? `no. ${c.issue}` : '',
+        c.pages ? `pp. ${c.pages.replace('-', '–')}` : '',
+        compact([c.month ? IEEE_MONTHS[c.month - 1] : '', c.year]),
+        c.doi ? `doi: ${c.doi}` : ''
+      ], ', ');
+      return `${head} ${details}.`;
+    }
+
+    const site = c.siteName ? ` *${stripPeriod(c.siteName)}*.` : '';
+    const accessed = c.accessed ? ` Accessed: ${longDate(c.accessed)}.` : '';
+    return `${head}${site}${accessed} [Online]. Available: ${c.url}`;
+  }
+};
+
+// ===== Inline markers =====
+
+// [1], [1, 3], [2-4], [Source 2] or an echoed [Source 2: Title]; not Markdown links
+const MARKER_PATTERN = /\s?\[(?:Sources?\s+)?(\d+(?:\s*(?:,|;|-|–|and)\s*\d+)*)(?::[^\]\n]*)?\](?!\()/gi;
+const FENCE_LINE = /^\s*(`{3,}|~{3,})/;
+
+/**
+ * Checks the inline [n] markers of a generated report against its sources.
+ * Markers citing only known sources are rewritten to the canonical "[1, 3]"
+ * form. Markers with a number past the last source are left as written and
+ * their numbers reported in `unknown`; 4-digit numbers such as years
+ * (e.g. "[2019]") are not markers and are left alone. Text is never removed.
+ * Fenced code blocks are left untouched.
+ * @param {string} text - Report body (without the References section)
+ * @param {number} sourceCount - Number of sources labelled [Source 1..n]
+ * @returns {Object} - { text, cited: number[], unknown: number[], uncited: number[], markerCount }
+ */
+export function validateCitationMarkers(text = '', sourceCount = 0) {
+  const cited = new Set();
+  const unknown = new Set();
+  let markerCount = 0;
+  let fence = null;
+
+  const lines = text.split('\n').map(line => {
+    const fenceMatch = line.match(FENCE_LINE);
+    if (fenceMatch) {
+      const marker = fenceMatch[1][0];
+      fence = fence === null ? marker : (fence === marker ? null : fence);
+      return line;
+    }
+    if (fence !== null) return line;
+
+    return line.replace(MARKER_PATTERN, (match, list) => {
+      const numbers = expandMarkerList(list);
+      // 4-digit numbers such as years are ordinary bracketed text
+      if (numbers.length === 0 || /\d{4}/.test(list)) return match;
+
+      markerCount++;
+      const valid = [...new Set(numbers.filter(n => n >= 1 && n <= sourceCount))];
+      valid.forEach(n => cited.add(n));
+
+      const invalid = numbers.filter(n => !valid.includes(n));
+      if (invalid.length > 0) {
+        invalid.forEach(n => unknown.add(n));
+        return match;
+      }
+
+      const space = /^\s/.test(match) ? ' ' : '';
+      return `${space}[${valid.sort((a, b) => a - b).join(', ')}]`;
+    });
+  });
+
+  const uncited = [];
+  for (let n = 1; n <= sourceCount; n++) {
+    if (!cited.has(n)) uncited.push(n);
+  }
+
+  return {
+    text: lines.join('\n'),
+    cited: [...cited].sort((a, b) => a - b),
+    unknown: [...unknown].sort((a, b) => a - b),
+    uncited,
+    markerCount
+  };
+}
+
+/**
+ * Expands a marker body like "1, 3-5" into [1, 3, 4, 5]
+ * @param {string} list - Text between the brackets
+ * @returns {number[]}
+ */
+function expandMarkerList(list) {
+  const numbers = [];
+  for (const part of list.split(/\s*(?:,|;|and)\s*/i)) {
+    const range = part.match(/^(\d+)\s*[-–]\s*(\d+)$/);
+    if (range) {
+      const [from, to] = [parseInt(range[1], 10), parseInt(range[2], 10)];
+      // Guard against years or other large spans being read as ranges
+      if (to >= from && to - from < 20) {
+        for (let n = from; n <= to; n++) numbers.push(n);
+      } else {
+        numbers.push(from, to);
+      }
+    } else if (/^\d+$/.test(part)) {
+      numbers.push(parseInt(part, 10));
+    }
+  }
+  return numbers;
+}
+
+// ===== BibTeX / RIS export =====
+
+// Fields written without escaping (already escaped or URLs)
+const RAW_BIBTEX_FIELDS = ['author', 'url'];
+
+/**
+ * Exports citations as BibTeX
+ * @param {Array} citations - Citation objects
+ * @returns {string}
+ */
+export function exportBibTeX(citations = []) {
+  const usedKeys = new Set();
+
+  return citations.map(raw => {
+    const c = normalizeCitation(raw);
+    const entryType = c.journal ? 'article' : 'misc';
+    const key = uniqueKey(citationKey(c), usedKeys);
+
+    const fields = [
+      ['title', c.title],
+      ['author', c.authors.map(bibTeXName).join(' and ')],
+      ['journal', c.journal],
+      ['year', c.year],
+      ['month', c.month ? MONTHS[c.month - 1].slice(0, 3).toLowerCase() : null],
+      ['volume', c.volume],
+      ['number', c.issue],
+      ['pages', c.pages ? c.pages.replace(/[-–]+/, '--') : null],
+      ['publisher', c.publisher],
+      ['doi', c.doi],
+      ['url', c.url],
+      ['howpublished', entryType === 'misc' && c.siteName ? c.siteName : null],
+      ['urldate', c.accessed ? c.accessed.iso : null]
+    ].filter(([, value]) => value);
+
+    const body = fields
+      .map(([name, value]) => `  ${name} = {${RAW_BIBTEX_FIELDS.includes(name) ? value : escapeBibTeX(String(value))}}`)
+      .join(',\n');
+    return `@${entryType}{${key},\n${body}\n}`;
+  }).join('\n\n') + '\n';
+}
+
+/**
+ * Exports citations as RIS
+ * @param {Array} citations - Citation objects
+ * @returns {string}
+ */
+export function exportRIS(citations = []) {
+  const typeMap = { 'article-journal': 'JOUR', 'article-newspaper': 'NEWS', article: 'ELEC', webpage: 'ELEC' };
+
+  return citations.map(raw => {
+    const c = normalizeCitation(raw);
+    const [startPage, endPage] = (c.pages || '').split(/[-–]+/);
+
+    const lines = [
+      ['TY', typeMap[c.type] || 'ELEC'],
+      ['TI', c.title],
+      ...c.authors.map(a => ['AU', a.literal || (a.given ? `${a.family}, ${a.given}` : a.family)]),
+      ['PY', c.year],
+      ['DA', c.year ? [c.year, c.month, c.day].filter(Boolean).map(v => String(v).padStart(2, '0')).join('/') : null],
+      ['JO', c.journal],
+      ['T2', c.journal ? null : c.siteName],
+      ['VL', c.volume],
+      ['IS', c.issue],
+      ['SP', startPage],
+      ['EP', endPage],
+      ['PB', c.publisher],
+      ['DO', c.doi],
+      ['UR', c.url],
+      ['Y2', c.accessed ? c.accessed.iso.replace(/-/g, '/') : null],
+      ['ER', '']
+    ].filter(([tag, value]) => tag === 'ER' || value);
+
+    return lines.map(([tag, value]) => `${tag}  - ${value}`.trimEnd()).join('\n');
+  }).join('\n\n') + '\n';
+}
+
+// ===== Helpers =====
+
+/**
+ * Fills defaults and splits dates into parts
+ */
+function normalizeCitation(citation = {}) {
+  const [year, month, day] = (citation.publishedDate || '').split('-').map(Number);
+  const accessedDate = citation.accessedDate ? new Date(citation.accessedDate) : null;
+
+  return {
+    ...citation,
+    title: citation.title || 'Untitled',
+    url: citation.url || '',
+    authors: (citation.authors || []).filter(a => a && (a.family || a.literal)),
+    year: year || null,
+    month: month || null,
+    day: day || null,
+    accessed: accessedDate && !Number.isNaN(accessedDate.getTime())
+      ? {
+          year: accessedDate.getFullYear(),
+          month: accessedDate.getMonth() + 1,
+          day: accessedDate.getDate(),
+          iso: accessedDate.toISOString().slice(0, 10)
+        }
+      : null
+  };
+}
+
+function initials(given = '') {
+  return given
+    .split(/[\s-]+/)
+    .filter(Boolean)
+    .map(part => `${part[0].toUpperCase()}.`)
+    .join(' ');
+}
+
+function apaName(a) {
+  return a.literal || (a.given ? `${a.family}, ${initials(a.given)}` : a.family);
+}
+
+function ieeeName(a) {
+  return a.literal || compact([initials(a.given), a.family]);
+}
+
+function fullName(a) {
+  return a.literal || compact([a.given, a.family]);
+}
+
+function invertedName(a) {
+  return a.literal || (a.given ? `${a.family}, ${a.given}` : a.family);
+}
+
+function mlaAuthors(authors) {
+  if (authors.length === 0) return '';
+  if (authors.length === 1) return invertedName(authors[0]);
+  if (authors.length === 2) return `${invertedName(authors[0])}, and ${fullName(authors[1])}`;
+  return `${invertedName(authors[0])}, et al`;
+}
+
+function chicagoAuthors(authors) {
+  if (authors.length === 0) return '';
+  if (authors.length > 10) {
+    return `${authors.slice(0, 7).map((a, i) => (i === 0 ? invertedName(a) : fullName(a))).join(', ')}, et al`;
+  }
+  const names = authors.map((a, i) => (i === 0 ? invertedName(a) : fullName(a)));
+  return joinNames(names, ', ', ', and ', ' and ');
+}
+
+/**
+ * Joins names: 'A', 'A two B', 'A, B last C'
+ */
+function joinNames(names, separator, lastSeparator, pairSeparator) {
+  if (names.length <= 1) return names[0] || '';
+  if (names.length === 2) return names.join(pairSeparator);
+  return names.slice(0, -1).join(separator) + lastSeparator + names[names.length - 1];
+}
+
+/**
+ * APA date: year only for periodicals, year + month/day for web pages
+ */
+function apaDate(c) {
+  if (!c.year) return 'n.d.';
+  if (c.journal || !c.month) return String(c.year);
+  return `${c.year}, ${compact([MONTHS[c.month - 1], c.day])}`;
+}
+
+/**
+ * MLA date, e.g. '3 May 2021'
+ */
+function mlaDate(c) {
+  if (!c?.year) return '';
+  return compact([c.day, c.month ? MLA_MONTHS[c.month - 1] : '', c.year]);
+}
+
+/**
+ * Long date, e.g. 'May 3, 2021'
+ */
+function longDate(c) {
+  if (!c?.year) return '';
+  if (!c.month) return String(c.year);
+  return c.day ? `${MONTHS[c.month - 1]} ${c.day}, ${c.year}` : `${MONTHS[c.month - 1]} ${c.year}`;
+}
+
+function stripPeriod(text) {
+  return String(text).trim().replace(/[.]+$/, '');
+}
+
+function compact(parts, separator = ' ') {
+  return parts.filter(part => part !== null && part !== undefined && part !== '').join(separator);
+}
+
+function citationKey(c) {
+  const author = c.authors[0];
+  const name = (author?.family || author?.literal || c.siteName || 'source').toLowerCase();
+  const word = (c.title.toLowerCase().match(/[a-z0-9]{3,}/) || ['ref'])[0];
+  return `${name.replace(/[^a-z0-9]/g, '')}${c.year || 'nd'}${word}`;
+}
+
+function uniqueKey(key, usedKeys) {
+  let candidate = key;
+  let suffix = 0;
+  while (usedKeys.has(candidate)) {
+    candidate = key + String.fromCharCode(97 + suffix++);
+  }
+  usedKeys.add(candidate);
+  return candidate;
+}
+
+/**
+ * BibTeX author: 'Family, Given'; organisations are braced so they are not split
+ */
+function bibTeXName(a) {
+  if (a.literal) return `{${escapeBibTeX(a.literal)}}`;
+  return a.given ? `${escapeBibTeX(a.family)}, ${escapeBibTeX(a.given)}` : escapeBibTeX(a.family);
+}
+
+function escapeBibTeX(value) {
+  return value.replace(/([&%$#_{}])/g, '\\$1');
+}
@@ -6,6 +6,8 @@
  * and splitting into manageable chunks.
  */
 
+import { extractScholarlyMetadata } from './scholarly-metadata.js';
+
 /**
  * Configuration for content extraction
  */
@@ -38,8 +40,47 @@ const CONFIG = {
   ]
 };
 
+/**
+ * Readability-style scoring weights for main content detection
+ */
+const SCORING = {
+  // Elements whose text counts as a paragraph of content
+  PARAGRAPH_SELECTOR: 'p, pre, td, blockquote',
+  // Paragraphs shorter than this are ignored
+  MIN_PARAGRAPH_LENGTH: 25,
+  // How many ancestor levels receive a share of each paragraph's score
+  ANCESTOR_LEVELS: 3,
+  // Class/id hints
+  POSITIVE_PATTERN: /article|body|content|entry|h-?entry|main|page|post|text|blog|story|paper|abstract/i,
+  NEGATIVE_PATTERN: /hidden|banner|combx|comment|com-|contact|foot|masthead|media|meta|outbrain|promo|related|scroll|share|shoutbox|sidebar|skyscraper|sponsor|shopping|tags|tool|widget|nav|menu|\bads?\b|advert/i,
+  CLASS_WEIGHT: 25,
+  // Bonus for nodes matching CONFIG.CONTENT_SELECTORS
+  SELECTOR_BONUS: 10,
+  // Base score by tag name
+  TAG_WEIGHTS: {
+    ARTICLE: 10, MAIN: 10, DIV: 5, SECTION: 5,
+    PRE: 3, TD: 3, BLOCKQUOTE: 3,
+    ADDRESS: -3, OL: -3, UL: -3, DL: -3, DD: -3, DT: -3, LI: -3, FORM: -3,
+    H1: -5, H2: -5, H3: -5, H4: -5, H5: -5, H6: -5, TH: -5
+  },
+  // Siblings scoring at least this fraction of the winner are merged in
+  SIBLING_THRESHOLD: 0.2,
+  // The winner needs at least this much text, otherwise the body is used
+  MIN_CONTENT_LENGTH: 100
+};
+
 /**
  * Extracts and cleans main content from the document
+ *
+ * Candidate nodes are ranked Readability-style: every paragraph adds a score
+ * (based on length and commas) to its ancestors, nodes get class/id and tag
+ * weights, and scores are scaled down by link density. Siblings of the winner
+ * that also score well are merged in. `metadata.extractedFrom` records the
+ * winning node, its score and why it won.
+ *
+ * The text is returned as Markdown (see htmlToMarkdown) so headings, lists,
+ * tables, quotes and code blocks survive into chunking and AI prompts.
+ *
  * @param {Document} doc - The document object (defaults to current document)
  * @returns {Object} - { text: string, metadata: object }
  */
@@ -47,36 +88,43 @@ export function extractMainContent(doc = document) {
   const metadata = {
     title: doc.title || '',
     url: doc.location?.href || '',
-    extractedFrom: 'body',
+    extractedFrom: { node: 'body', score: 0, reason: 'No content candidate found' },
     hasMainContent: false
   };
 
-  // Try to find main content area
-  let contentRoot = null;
-  for (const selector of CONFIG.CONTENT_SELECTORS) {
-    contentRoot = doc.querySelector(selector);
-    if (contentRoot && contentRoot.innerText?.trim().length > 100) {
-      metadata.extractedFrom = selector;
-      metadata.hasMainContent = true;
-      break;
-    }
-  }
-
-  // Fallback to body if no main content found
-  if (!contentRoot) {
-    contentRoot = doc.body;
-  }
-
-  // Clone the content to avoid modifying the DOM
-  const clone = contentRoot.cloneNode(true);
+  // Work on a clone to avoid modifying the DOM
+  const clone = doc.body.cloneNode(true);
 
   // Remove noise elements
   CONFIG.NOISE_SELECTORS.forEach(selector => {
     clone.querySelectorAll(selector).forEach(el => el.remove());
   });
 
-  // Extract text
-  const text = cleanupText(clone.innerText || clone.textContent || '');
+  const candidates = scoreCandidates(clone);
+  const ranked = Array.from(candidates.entries())
+    .map(([node, candidate]) => ({ node, ...candidate }))
+    .sort((a, b) => b.score - a.score);
+
+  let contentNodes = [clone];
+  const top = ranked[0];
+
+  if (top && top.node !== clone && getText(top.node).trim().length > SCORING.MIN_CONTENT_LENGTH) {
+    const siblings = findRelatedSiblings(top, candidates);
+    contentNodes = siblings.length > 0 ? orderInDocument([top.node, ...siblings]) : [top.node];
+
+    metadata.hasMainContent = true;
+    metadata.extractedFrom = {
+      node: describeNode(top.node),
+      score: Math.round(top.score * 10) / 10,
+      reason: explainCandidate(top, siblings.length),
+      runnersUp: ranked.slice(1, 3).map(c => ({ node: describeNode(c.node), score: Math.round(c.score * 10) / 10 }))
+    };
+  } else if (top) {
+    metadata.extractedFrom.reason = 'Best candidate had too little text; using the whole page';
+  }
+
+  // Extract structure-preserving Markdown
+  const text = cleanupMarkdown(contentNodes.map(htmlToMarkdown).join('\n\n'));
 
   metadata.characterCount = text.length;
   metadata.wordCount = text.split(/\s+/).filter(w => w.length > 0).length;
@@ -84,6 +132,381 @@ export function extractMainContent(doc = document) {
   return { text, metadata };
 }
 
+/**
+ * Scores content candidates by propagating paragraph scores to ancestors
+ * @param {Element} root - Cleaned root element
+ * @returns {Map<Element, Object>} - node -> { score, paragraphs, classWeight, selectorMatch, linkDensity }
+ */
+function scoreCandidates(root) {
+  const candidates = new Map();
+
+  const initialize = (node) => {
+    if (!candidates.has(node)) {
+      const classWeight = getClassWeight(node);
+      const selectorMatch = CONFIG.CONTENT_SELECTORS.find(selector => node.matches(selector)) || null;
+      candidates.set(node, {
+        score: (SCORING.TAG_WEIGHTS[node.tagName] || 0) + classWeight + (selectorMatch ? SCORING.SELECTOR_BONUS : 0),
+        paragraphs: 0,
+        classWeight,
+        selectorMatch
+      });
+    }
+    return candidates.get(node);
+  };
+
+  root.querySelectorAll(SCORING.PARAGRAPH_SELECTOR).forEach(paragraph => {
+    const text = paragraph.textContent.trim();
+    if (text.length < SCORING.MIN_PARAGRAPH_LENGTH) return;
+
+    // One point per paragraph, one per comma, one per 100 characters (max 3)
+    const commas = text.split(',').length - 1;
+    const paragraphScore = 1 + commas + Math.min(3, Math.floor(text.length / 100));
+
+    let ancestor = paragraph.parentElement;
+    for (let level = 0; ancestor && level < SCORING.ANCESTOR_LEVELS; level++) {
+      const candidate = initialize(ancestor);
+      const divider = level === 0 ? 1 : level === 1 ? 2 : level * 3;
+      candidate.score += paragraphScore / divider;
+      if (level === 0) candidate.paragraphs++;
+      if (ancestor === root) break;
+      ancestor = ancestor.parentElement;
+    }
+  });
+
+  // Scale by how much of each candidate's text is links (navigation, link lists)
+  for (const [node, candidate] of candidates) {
+    candidate.linkDensity = getLinkDensity(node);
+    candidate.score *= 1 - candidate.linkDensity;
+  }
+
+  return candidates;
+}
+
+/**
+ * Finds siblings of the winning node that belong to the same article
+ */
+function findRelatedSiblings(top, candidates) {
+  const parent = top.node.parentElement;
+  if (!parent) return [];
+
+  const threshold = Math.max(10, top.score * SCORING.SIBLING_THRESHOLD);
+  return Array.from(parent.children).filter(sibling => {
+    if (sibling === top.node) return false;
+    const candidate = candidates.get(sibling);
+    return candidate && candidate.score >= threshold && candidate.classWeight >= 0;
+  });
+}
+
+/**
+ * Sorts nodes into document order
+ */
+function orderInDocument(nodes) {
+  return nodes.sort((a, b) =>
+    a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1
+  );
+}
+
+/**
+ * Class/id heuristic weight (+/- CLASS_WEIGHT each)
+ */
+function getClassWeight(node) {
+  let weight = 0;
+  for (const hint of [node.className, node.id]) {
+    if (typeof hint !== 'string' || !hint) continue;
+    if (SCORING.NEGATIVE_PATTERN.test(hint)) weight -= SCORING.CLASS_WEIGHT;
+    if (SCORING.POSITIVE_PATTERN.test(hint)) weight += SCORING.CLASS_WEIGHT;
+  }
+  return weight;
+}
+
+/**
+ * Ratio of link text to all text in a node (0-1)
+ */
+function getLinkDensity(node) {
+  const textLength = node.textContent.trim().length;
+  if (textLength === 0) return 0;
+
+  let linkLength = 0;
+  node.querySelectorAll('a').forEach(link => {
+    linkLength += link.textContent.trim().length;
+  });
+  return Math.min(1, linkLength / textLength);
+}
+
+/**
+ * Gets the text of a (possibly detached) node
+ */
+function getText(node) {
+  return node.innerText || node.textContent || '';
+}
+
+/**
+ * Describes a node as a short CSS-like string, e.g. 'div#main.post-body'
+ */
+function describeNode(node) {
+  let description = node.tagName.toLowerCase();
+  if (node.id) description += `#${node.id}`;
+  if (typeof node.className === 'string' && node.className.trim()) {
+    description += '.' + node.className.trim().split(/\s+/).slice(0, 2).join('.');
+  }
+  return description;
+}
+
+/**
+ * Summarizes why a candidate won
+ */
+function explainCandidate(candidate, siblingCount) {
+  const reasons = [
+    `${candidate.paragraphs} paragraph${candidate.paragraphs === 1 ? '' : 's'}`,
+    `link density ${candidate.linkDensity.toFixed(2)}`
+  ];
+  if (candidate.classWeight !== 0) {
+    reasons.push(`class/id weight ${candidate.classWeight > 0 ? '+' : ''}${candidate.classWeight}`);
+  }
+  if (candidate.selectorMatch) {
+    reasons.push(`matches "${candidate.selectorMatch}"`);
+  }
+  if (siblingCount > 0) {
+    reasons.push(`merged ${siblingCount} sibling${siblingCount === 1 ? '' : 's'}`);
+  }
+  return 'Highest content score: ' + reasons.join(', ');
+}
+
+// Elements that never contribute text
+const SKIP_TAGS = new Set([
+  'SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'SVG', 'CANVAS', 'IMG', 'PICTURE',
+  'VIDEO', 'AUDIO', 'IFRAME', 'BUTTON', 'INPUT', 'SELECT', 'TEXTAREA'
+]);
+
+// Elements rendered as separate blocks
+const BLOCK_TAGS = new Set([
+  'ADDRESS', 'ARTICLE', 'ASIDE', 'BODY', 'CENTER', 'DD', 'DETAILS', 'DIV', 'DL', 'DT',
+  'FIELDSET', 'FIGCAPTION', 'FIGURE', 'FOOTER', 'FORM', 'HEADER', 'MAIN', 'NAV',
+  'SECTION', 'SUMMARY'
+]);
+
+const FENCE_PATTERN = /^(>\s?)*\s*```/;
+const MARKDOWN_HEADING_PATTERN = /^#{1,6}\s+\S/;
+
+/**
+ * Converts a DOM subtree to Markdown
+ * Keeps h1-h6, ordered/unordered lists, tables, blockquotes and <pre> code
+ * blocks; links and images are reduced to their text.
+ * @param {Node} root - Element or fragment to convert
+ * @returns {string} - Markdown (run through cleanupMarkdown before use)
+ */
+export function htmlToMarkdown(root) {
+  return renderMarkdownChildren(root);
+}
+
+function renderMarkdownChildren(node) {
+  let output = '';
+  node.childNodes.forEach(child => {
+    output += renderMarkdownNode(child);
+  });
+  return output;
+}
+
+function renderMarkdownNode(node) {
+  if (node.nodeType === Node.TEXT_NODE) {
+    return node.textContent.replace(/\s+/g, ' ');
+  }
+  if (node.nodeType !== Node.ELEMENT_NODE) {
+    return '';
+  }
+
+  const tag = node.tagName;
+  if (SKIP_TAGS.has(tag) || node.hidden || node.getAttribute('aria-hidden') === 'true') {
+    return '';
+  }
+
+  const headingMatch = /^H([1-6])$/.exec(tag);
+  if (headingMatch) {
+    const heading = collapseInline(renderMarkdownChildren(node));
+    return heading ? markdownBlock('#'.repeat(Number(headingMatch[1])) + ' ' + heading) : '';
+  }
+
+  switch (tag) {
+    case 'P':
+      return markdownBlock(renderMarkdownChildren(node).replace(/ *\n */g, '\n'));
+    case 'BR':
+      return '\n';
+    case 'HR':
+      return markdownBlock('---');
+    case 'PRE':
+      return markdownBlock(renderCodeBlock(node));
+    case 'CODE':
+    case 'KBD':
+    case 'SAMP': {
+      const code = collapseInline(node.textContent);
+      return code ? '`' + code.replace(/`/g, "'") + '`' : '';
+    }
+    case 'STRONG':
+    case 'B':
+      return wrapInline(renderMarkdownChildren(node), '**');
+    case 'EM':
+    case 'I':
+      return wrapInline(renderMarkdownChildren(node), '*');
+    case 'BLOCKQUOTE': {
+      const quote = cleanupMarkdown(renderMarkdownChildren(node));
+      return quote ? markdownBlock(quote.split('\n').map(line => (line ? '> ' + line : '>')).join('\n')) : '';
+    }
+    case 'UL':
+    case 'OL':
+      return markdownBlock(renderList(node, 0));
+    case 'TABLE':
+      return markdownBlock(renderTable(node));
+    default:
+      return BLOCK_TAGS.has(tag)
+        ? markdownBlock(renderMarkdownChildren(node))
+        : renderMarkdownChildren(node);
+  }
+}
+
+/**
+ * Separates a block from its neighbours with blank lines
+ */
+function markdownBlock(content) {
+  const trimmed = content.trim();
+  return trimmed ? `\n\n${trimmed}\n\n` : '';
+}
+
+/**
+ * Collapses inline content onto a single line
+ */
+function collapseInline(content) {
+  return content.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Wraps inline content in emphasis markers, keeping surrounding spaces outside
+ */
+function wrapInline(content, marker) {
+  const trimmed = content.trim();
+  if (!trimmed) return content;
+  const leading = /^\s/.test(content) ? ' ' : '';
+  const trailing = /\s$/.test(content) ? ' ' : '';
+  return `${leading}${marker}${trimmed}${marker}${trailing}`;
+}
+
+/**
+ * Renders <pre> as a fenced code block, keeping its whitespace
+ */
+function renderCodeBlock(pre) {
+  const code = pre.textContent.replace(/^\n+|\s+$/g, '');
+  if (!code) return '';
+
+  const codeEl = pre.querySelector('code');
+  const classes = `${pre.className || ''} ${codeEl?.className || ''}`;
+  const language = /(?:lang|language)-([\w+#-]+)/.exec(classes)?.[1] || '';
+
+  // Use a longer fence when the code itself contains one
+  const fence = code.includes('```') ? '````' : '```';
+  return fence + language + '\n' + code + '\n' + fence;
+}
+
+/**
+ * Renders a list with nested lists indented two spaces per level
+ */
+function renderList(list, depth) {
+  const ordered = list.tagName === 'OL';
+  let number = Number(list.getAttribute('start')) || 1;
+  const indent = '  '.repeat(depth);
+  const lines = [];
+
+  for (const item of list.children) {
+    if (item.tagName !== 'LI') continue;
+
+    let content = '';
+    const nested = [];
+    item.childNodes.forEach(child => {
+      if (child.nodeType === Node.ELEMENT_NODE && (child.tagName === 'UL' || child.tagName === 'OL')) {
+        nested.push(renderList(child, depth + 1));
+      } else {
+        content += renderMarkdownNode(child);
+      }
+    });
+
+    const marker = ordered ? `${number++}.` : '-';
+    const text = collapseInline(content);
+    if (text) {
+      lines.push(`${indent}${marker} ${text}`);
+    }
+    lines.push(...nested.filter(Boolean));
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Renders a table as a Markdown pipe table (first row is the header)
+ * Single-column layout tables are rendered as plain paragraphs.
+ */
+function renderTable(table) {
+  const rows = Array.from(table.querySelectorAll('tr'))
+    .filter(row => row.closest('table') === table)
+    .map(row => Array.from(row.children)
+      .filter(cell => cell.tagName === 'TD' || cell.tagName === 'TH')
+      .map(cell => collapseInline(renderMarkdownChildren(cell)).replace(/\|/g, '\\|')))
+    .filter(cells => cells.some(cell => cell.length > 0));
+
+  if (rows.length === 0) return '';
+
+  const columns = Math.max(...rows.map(cells => cells.length));
+  if (columns === 1) {
+    return rows.map(cells => cells[0]).join('\n\n');
+  }
+
+  const toLine = (cells) => {
+    const padded = cells.concat(Array(columns - cells.length).fill(''));
+    return `| ${padded.join(' | ')} |`;
+  };
+
+  return [
+    toLine(rows[0]),
+    toLine(Array(columns).fill('---')),
+    ...rows.slice(1).map(toLine)
+  ].join('\n');
+}
+
+/**
+ * Normalizes Markdown whitespace without touching code blocks
+ * Collapses runs of spaces and blank lines, and keeps list indentation.
+ * @param {string} markdown - Raw Markdown
+ * @returns {string} - Cleaned Markdown
+ */
+export function cleanupMarkdown(markdown) {
+  if (!markdown) return '';
+
+  const output = [];
+  let inFence = false;
+
+  for (const line of markdown.replace(/\r\n/g, '\n').split('\n')) {
+    if (FENCE_PATTERN.test(line)) {
+      inFence = !inFence;
+      output.push(line.trim());
+      continue;
+    }
+
+    if (inFence) {
+      output.push(line.replace(/\s+$/, ''));
+      continue;
+    }
+
+    const isListItem = /^\s*([-*]|\d+\.)\s/.test(line);
+    const indent = isListItem ? line.match(/^ */)[0] : '';
+    const cleaned = indent + line.trim().replace(/[ \t]+/g, ' ');
+
+    // At most one blank line in a row
+    if (cleaned === '' && (output.length === 0 || output[output.length - 1] === '')) {
+      continue;
+    }
+    output.push(cleaned);
+  }
+
+  return output.join('\n').trim();
+}
+
 /**
  * Cleans up extracted text by normalizing whitespace and removing artifacts
  * @param {string} text - Raw text to clean
@@ -109,48 +532,68 @@ export function cleanupText(text) {
 
 /**
  * Extracts content from a user selection
+ * The selected DOM fragment is converted to Markdown; plain selection text is the fallback.
  * @returns {Object} - { text: string, metadata: object }
  */
 export function extractSelection() {
   const selection = window.getSelection();
-  const text = selection && String(selection).trim() ? String(selection).trim() : '';
+  let text = '';
+
+  if (selection && String(selection).trim()) {
+    const container = document.createElement('div');
+    for (let i = 0; i < selection.rangeCount; i++) {
+      container.appendChild(selection.getRangeAt(i).cloneContents());
+    }
+    text = cleanupMarkdown(htmlToMarkdown(container)) || cleanupText(String(selection));
+  }
 
   const metadata = {
     title: document.title || '',
     url: document.location?.href || '',
-    extractedFrom: 'selection',
+    extractedFrom: { node: 'selection', score: null, reason: 'User selection' },
     characterCount: text.length,
     wordCount: text.split(/\s+/).filter(w => w.length > 0).length,
     hasSelection: text.length > 0
   };
 
-  return { text: cleanupText(text), metadata };
+  return { text, metadata };
 }
 
 /**
  * Splits content by semantic boundaries (headings and paragraphs)
+ *
+ * Markdown headings (`#` to `######`) outside code blocks are used when present.
+ * Plain text falls back to guessing headings from short ALL CAPS lines or
+ * lines ending with a colon.
+ *
  * @param {string} text - Text to split
  * @returns {Array} - Array of { text: string, type: string, heading?: string }
  */
 export function splitBySemanticBoundaries(text) {
   const sections = [];
   const lines = text.split('\n');
+  const useMarkdownHeadings = hasMarkdownHeadings(lines);
 
   let currentSection = { text: '', type: 'paragraph', heading: null };
+  let inFence = false;
 
   for (const line of lines) {
     const trimmed = line.trim();
 
-    // Detect heading-like lines (short lines in all caps, or lines ending with :)
-    const looksLikeHeading = (
-      (trimmed.length > 0 && trimmed.length < 80 && trimmed === trimmed.toUpperCase()) ||
-      (trimmed.length > 0 && trimmed.length < 100 && trimmed.endsWith(':'))
-    );
+    if (FENCE_PATTERN.test(line)) {
+      inFence = !inFence;
+    }
+
+    const isHeading = !inFence && (useMarkdownHeadings
+      ? MARKDOWN_HEADING_PATTERN.test(trimmed)
+      : looksLikeHeading(trimmed));
 
-    if (looksLikeHeading && currentSection.text.trim().length > 0) {
+    if (isHeading && currentSection.text.trim().length > 0) {
       // Save current section and start new one
       sections.push({ ...currentSection, text: currentSection.text.trim() });
       currentSection = { text: '', type: 'paragraph', heading: trimmed };
+    } else if (isHeading && !currentSection.heading) {
+      currentSection.heading = trimmed;
     } else {
       currentSection.text += line + '\n';
     }
@@ -164,6 +607,31 @@ export function splitBySemanticBoundaries(text) {
   return sections;
 }
 
+/**
+ * Checks for Markdown headings outside code blocks
+ */
+function hasMarkdownHeadings(lines) {
+  let inFence = false;
+  for (const line of lines) {
+    if (FENCE_PATTERN.test(line)) {
+      inFence = !inFence;
+    } else if (!inFence && MARKDOWN_HEADING_PATTERN.test(line.trim())) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Detects heading-like plain text lines (short lines in all caps, or lines ending with :)
+ */
+function looksLikeHeading(trimmed) {
+  return (
+    (trimmed.length > 0 && trimmed.length < 80 && trimmed === trimmed.toUpperCase()) ||
+    (trimmed.length > 0 && trimmed.length < 100 && trimmed.endsWith(':'))
+  );
+}
+
 /**
  * Chunks text into smaller pieces for AI processing
  * @param {string} text - Text to chunk
@@ -182,7 +650,7 @@ export function chunkContent(text, options = {}) {
   // First, try to split by semantic boundaries
   const sections = splitBySemanticBoundaries(text);
   const chunks = [];
-  let currentChunk = { text: '', sections: [] };
+  let currentChunk = { text: '', sections: [], overlapLength: 0 };
 
   for (const section of sections) {
     const sectionText = (section.heading ? section.heading + '\n' : '') + section.text;
@@ -201,15 +669,24 @@ export function chunkContent(text, options = {}) {
 
       // Start new chunk with overlap from previous chunk
       const overlapText = currentChunk.text.slice(-overlap);
-      currentChunk = { text: overlapText + '\n', sections: [] };
+      currentChunk = { text: overlapText + '\n', sections: [], overlapLength: overlapText.length };
     }
 
     currentChunk.text += sectionText + '\n\n';
-    currentChunk.sections.push(section.heading || 'Untitled section');
+    currentChunk.sections.push(section.heading ? section.heading.replace(/^#+\s*/, '') : 'Untitled section');
   }
 
-  // Add final chunk
-  if (currentChunk.text.trim().length >= minSize) {
+  // Add final chunk; a short tail is merged into the previous chunk rather than dropped
+  const tailText = currentChunk.text.trim();
+  if (tailText.length < minSize && chunks.length > 0) {
+    const previous = chunks[chunks.length - 1];
+    const tail = currentChunk.text.slice(currentChunk.overlapLength).trim();
+    if (tail) {
+      previous.text += '\n\n' + tail;
+      previous.metadata.sections.push(...currentChunk.sections);
+      previous.metadata.size = previous.text.length;
+    }
+  } else if (tailText.length > 0) {
     chunks.push({
       text: currentChunk.text.trim(),
       index: chunks.length,
@@ -230,9 +707,17 @@ export function chunkContent(text, options = {}) {
 
 /**
  * Main extraction pipeline - decides whether to use selection or full page
+ *
+ * This is the single entry point used by every content action (summarize,
+ * flashcards, add to queue). The result includes the validateContent() outcome
+ * so callers can reject unusable content and surface warnings before any AI call.
+ * Page-level bibliographic metadata (authors, date, DOI, journal...) is
+ * attached as `metadata.citation` for both sources.
+ *
  * @param {string} source - 'selection' or 'page'
  * @param {Object} options - Extraction options
- * @returns {Object} - { text: string, chunks: array, metadata: object, needsChunking: boolean }
+ * @returns {Object} - { text: string, chunks: array, metadata: object, needsChunking: boolean,
+ *                       validation: { valid, reason?, warnings } }
  */
 export function extractContent(source = 'page', options = {}) {
   let extraction;
@@ -263,16 +748,22 @@ export function extractContent(source = 'page', options = {}) {
     }];
   }
 
-  return {
+  const result = {
     text,
     chunks,
     metadata: {
       ...metadata,
+      // Actual source: an empty selection falls back to the page
+      source: metadata.extractedFrom?.node === 'selection' ? 'selection' : 'page',
+      citation: extractScholarlyMetadata(document),
       needsChunking,
       chunkCount: chunks.length
     },
     needsChunking
   };
+
+  result.validation = validateContent(result);
+  return result;
 }
 
 /**
@@ -316,7 +807,7 @@ export function validateContent(extraction) {
   }
 
   // Check if extraction found main content
-  if (!metadata.hasMainContent && metadata.extractedFrom === 'body') {
+  if (!metadata.hasMainContent && metadata.extractedFrom?.node === 'body') {
     warnings.push('Could not identify main content area. Results may include navigation or ads.');
   }
 
@@ -0,0 +1,417 @@
+/**
+ * Markdown Renderer
+ *
+ * Parses the Markdown the report pipeline produces into a small block tree
+ * and renders it as HTML. Report exporters (utils/report-export.js) walk the
+ * same tree to build other formats.
+ *
+ * Supported: ATX headings, paragraphs (single newlines are line breaks),
+ * bullet and numbered lists with nesting, blockquotes, fenced code, pipe
+ * tables, horizontal rules; inline code, links, autolinks, **bold**,
+ * *italic* and ~~strikethrough~~. Raw HTML is shown as text.
+ *
+ * Blocks: { type: 'heading', level, inline } | { type: 'paragraph', inline }
+ *   | { type: 'list', ordered, start, items: [blocks[]] } | { type: 'quote', blocks }
+ *   | { type: 'code', lang, text } | { type: 'table', align, header, rows } | { type: 'rule' }
+ * Inline nodes: { type: 'text', text } | { type: 'code', text } | { type: 'break' }
+ *   | { type: 'strong' | 'em' | 'del', children } | { type: 'link', href, children }
+ */
+
+const FENCE_PATTERN = /^ {0,3}(`{3,}|~{3,})\s*([\w+-]*)/;
+const HEADING_PATTERN = /^ {0,3}(#{1,6})\s+(.*?)\s*#*\s*$/;
+const RULE_PATTERN = /^ {0,3}([-*_])(\s*\1){2,}\s*$/;
+const LIST_PATTERN = /^(\s*)([-*+]|\d{1,9}[.)])\s+(.*)$/;
+const QUOTE_PATTERN = /^ {0,3}>\s?(.*)$/;
+const TABLE_DIVIDER_PATTERN = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+
+// Only these link targets are kept; anything else renders as plain text
+const SAFE_LINK_PATTERN = /^(https?:|mailto:|#)/i;
+
+/**
+ * Parses Markdown into blocks
+ * @param {string} markdown - Markdown text
+ * @returns {Array} - Block nodes (see module comment)
+ */
+export function parseMarkdown(markdown = '') {
+  return parseBlocks(String(markdown).replace(/\r\n?/g, '\n').split('\n'));
+}
+
+/**
+ * Parses inline Markdown
+ * @param {string} text - One block's text
+ * @returns {Array} - Inline nodes (see module comment)
+ */
+export function parseInline(text = '') {
+  const nodes = [];
+  let rest = text;
+
+  while (rest) {
+    const match = findInlineMatch(rest);
+    if (!match) {
+      pushText(nodes, rest);
+      break;
+    }
+
+    if (match.index > 0) {
+      pushText(nodes, rest.slice(0, match.index));
+    }
+    nodes.push(match.node);
+    rest = rest.slice(match.index + match.length);
+  }
+
+  return nodes;
+}
+
+/**
+ * Renders Markdown as an HTML fragment; all text is escaped
+ * @param {string|Array} markdown - Markdown text or parsed blocks
+ * @returns {string} - HTML
+ */
+export function renderMarkdownHtml(markdown) {
+  const blocks = Array.isArray(markdown) ? markdown : parseMarkdown(markdown);
+  return blocks.map(renderBlockHtml).join('\n');
+}
+
+/**
+ * Flattens inline nodes to plain text
+ * @param {Array} nodes - Inline nodes
+ * @returns {string}
+ */
+export function inlineToText(nodes = []) {
+  return nodes.map(node => {
+    if (node.type === 'break') return '\n';
+    if (node.children) return inlineToText(node.children);
+    return node.text;
+  }).join('');
+}
+
+export function escapeHtml(text = '') {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// ===== Blocks =====
+
+function parseBlocks(lines) {
+  const blocks = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (!line.trim()) {
+      i++;
+      continue;
+    }
+
+    const fence = line.match(FENCE_PATTERN);
+    if (fence) {
+      const close = new RegExp(`^ {0,3}${fence[1][0]}{${fence[1].length},}\\s*$`);
+      const code = [];
+      i++;
+      while (i < lines.length && !close.test(lines[i])) {
+        code.push(lines[i]);
+        i++;
+      }
+      blocks.push({ type: 'code', lang: fence[2] || '', text: code.join('\n') });
+      i++;
+      continue;
+    }
+
+    const heading = line.match(HEADING_PATTERN);
+    if (heading) {
+      blocks.push({ type: 'heading', level: heading[1].length, inline: parseInline(heading[2]) });
+      i++;
+      continue;
+    }
+
+    if (RULE_PATTERN.test(line)) {
+      blocks.push({ type: 'rule' });
+      i++;
+      continue;
+    }
+
+    if (QUOTE_PATTERN.test(line)) {
+      const quoted = [];
+      while (i < lines.length && lines[i].trim() && QUOTE_PATTERN.test(lines[i])) {
+        quoted.push(lines[i].match(QUOTE_PATTERN)[1]);
+        i++;
+      }
+      blocks.push({ type: 'quote', blocks: parseBlocks(quoted) });
+      continue;
+    }
+
+    if (LIST_PATTERN.test(line)) {
+      const { block, next } = parseList(lines, i);
+      blocks.push(block);
+      i = next;
+      continue;
+    }
+
+    if (line.includes('|') && TABLE_DIVIDER_PATTERN.test(lines[i + 1] || '')) {
+      const { block, next } = parseTable(lines, i);
+      blocks.push(block);
+      i = next;
+      continue;
+    }
+
+    const paragraph = [];
+    while (i < lines.length && lines[i].trim() && !startsBlock(lines, i)) {
+      paragraph.push(lines[i].trim());
+      i++;
+    }
+    blocks.push({ type: 'paragraph', inline: parseParagraph(paragraph) });
+  }
+
+  return blocks;
+}
+
+function startsBlock(lines, i) {
+  const line = lines[i];
+  return FENCE_PATTERN.test(line)
+    || HEADING_PATTERN.test(line)
+    || RULE_PATTERN.test(line)
+    || QUOTE_PATTERN.test(line)
+    || LIST_PATTERN.test(line)
+    || (line.includes('|') && TABLE_DIVIDER_PATTERN.test(lines[i + 1] || ''));
+}
+
+/**
+ * Parses the list starting at lines[start]. Lines indented past the marker
+ * belong to the current item and are parsed as blocks (nested lists included).
+ */
+function parseList(lines, start) {
+  const first = lines[start].match(LIST_PATTERN);
+  const baseIndent = first[1].length;
+  const ordered = /\d/.test(first[2]);
+  const items = [];
+  let itemLines = null;
+  let contentIndent = 0;
+  let i = start;
+
+  while (i < lines.length) {
+    const line = lines[i];
+    const marker = line.match(LIST_PATTERN);
+    const indent = line.length - line.trimStart().length;
+
+    if (marker && marker[1].length === baseIndent && /\d/.test(marker[2]) === ordered) {
+      itemLines = [marker[3]];
+      items.push(itemLines);
+      contentIndent = marker[1].length + marker[2].length + 1;
+      i++;
+    } else if (!line.trim()) {
+      // A blank line only continues the list if indented content or another item follows
+      const next = lines.slice(i + 1).find(l => l.trim());
+      const nextIndent = next ? next.length - next.trimStart().length : 0;
+      const nextMarker = next?.match(LIST_PATTERN);
+      const continues = next && (nextIndent > baseIndent
+        || (nextMarker && nextMarker[1].length === baseIndent && /\d/.test(nextMarker[2]) === ordered));
+      if (!continues) break;
+      itemLines.push('');
+      i++;
+    } else if (indent > baseIndent) {
+      itemLines.push(line.slice(Math.min(indent, contentIndent)));
+      i++;
+    } else if (!startsBlock(lines, i) && itemLines[itemLines.length - 1].trim()) {
+      // Lazy continuation of the item's paragraph
+      itemLines.push(line.trim());
+      i++;
+    } else {
+      break;
+    }
+  }
+
+  return {
+    block: {
+      type: 'list',
+      ordered,
+      start: ordered ? parseInt(first[2], 10) : 1,
+      items: items.map(parseBlocks)
+    },
+    next: i
+  };
+}
+
+function parseTable(lines, start) {
+  const header = splitTableRow(lines[start]);
+  const align = splitTableRow(lines[start + 1]).map(cell => {
+    const left = cell.startsWith(':');
+    const right = cell.endsWith(':');
+    return left && right ? 'center' : right ? 'right' : left ? 'left' : null;
+  });
+
+  const rows = [];
+  let i = start + 2;
+  while (i < lines.length && lines[i].trim() && lines[i].includes('|')) {
+    rows.push(splitTableRow(lines[i]));
+    i++;
+  }
+
+  const width = header.length;
+  const fit = row => Array.from({ length: width }, (_, idx) => parseInline(row[idx] || ''));
+
+  return {
+    block: { type: 'table', align: align.slice(0, width), header: fit(header), rows: rows.map(fit) },
+    next: i
+  };
+}
+
+function splitTableRow(line) {
+  const cells = [];
+  let cell = '';
+  let inCode = false;
+  const text = line.trim().replace(/^\|/, '').replace(/(^|[^\\])\|$/, '$1');
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (char === '\\' && text[i + 1] === '|') {
+      cell += '|';
+      i++;
+    } else if (char === '`') {
+      inCode = !inCode;
+      cell += char;
+    } else if (char === '|' && !inCode) {
+      cells.push(cell.trim());
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  cells.push(cell.trim());
+  return cells;
+}
+
+function parseParagraph(lines) {
+  const nodes = [];
+  lines.forEach((line, idx) => {
+    if (idx > 0) nodes.push({ type: 'break' });
+    nodes.push(...parseInline(line));
+  });
+  return nodes;
+}
+
+// ===== Inline =====
+
+const INLINE_RULES = [
+  { pattern: /`+/, parse: parseCodeSpan },
+  { pattern: /\\([\\`*_{}[\]()#+\-.!|~<>])/, parse: m => ({ type: 'text', text: m[1] }) },
+  { pattern: /<((?:https?:\/\/|mailto:)[^\s<>]+)>/, parse: m => ({ type: 'link', href: m[1], children: [{ type: 'text', text: m[1] }] }) },
+  { pattern: /\[([^\]]*(?:\[[^\]]*\][^\]]*)*)\]\(\s*<?([^\s)>]+)>?(?:\s+"[^"]*")?\s*\)/, parse: parseLink },
+  { pattern: /(\*\*|__)(?=\S)([\s\S]*?\S)\1/, parse: m => ({ type: 'strong', children: parseInline(m[2]) }) },
+  { pattern: /~~(?=\S)([\s\S]*?\S)~~/, parse: m => ({ type: 'del', children: parseInline(m[1]) }) },
+  { pattern: /\*(?=[^\s*])([\s\S]*?[^\s*])\*|(?<![A-Za-z0-9])_(?=\S)([\s\S]*?\S)_(?![A-Za-z0-9])/, parse: m => ({ type: 'em', children: parseInline(m[1] ?? m[2]) }) },
+  { pattern: /\bhttps?:\/\/[^\s<>()]+[^\s<>().,;:!?'"]/, parse: m => ({ type: 'link', href: m[0], children: [{ type: 'text', text: m[0] }] }) }
+];
+
+function findInlineMatch(text) {
+  let best = null;
+
+  for (const rule of INLINE_RULES) {
+    const match = text.match(rule.pattern);
+    if (!match || (best && match.index >= best.index)) continue;
+
+    const node = rule.parse(match, text);
+    if (node) {
+      best = { index: match.index, length: node.length ?? match[0].length, node: node.node ?? node };
+    }
+  }
+
+  return best;
+}
+
+function parseCodeSpan(match, text) {
+  const ticks = match[0];
+  const start = match.index + ticks.length;
+  const end = text.indexOf(ticks, start);
+  if (end === -1) {
+    return { node: { type: 'text', text: ticks }, length: ticks.length };
+  }
+  return {
+    node: { type: 'code', text: text.slice(start, end).replace(/^ (.*) $/, '$1') },
+    length: end + ticks.length - match.index
+  };
+}
+
+function parseLink(match) {
+  const children = parseInline(match[1]);
+  if (!SAFE_LINK_PATTERN.test(match[2])) {
+    return { node: { type: 'text', text: inlineToText(children) }, length: match[0].length };
+  }
+  return { type: 'link', href: match[2], children };
+}
+
+function pushText(nodes, text) {
+  const last = nodes[nodes.length - 1];
+  if (last?.type === 'text') {
+    last.text += text;
+  } else {
+    nodes.push({ type: 'text', text });
+  }
+}
+
+// ===== HTML =====
+
+function renderBlockHtml(block) {
+  switch (block.type) {
+    case 'heading':
+      return `<h${block.level}>${renderInlineHtml(block.inline)}</h${block.level}>`;
+    case 'paragraph':
+      return `<p>${renderInlineHtml(block.inline)}</p>`;
+    case 'code':
+      return `<pre><code${block.lang ? ` class="language-${escapeHtml(block.lang)}"` : ''}>${escapeHtml(block.text)}</code></pre>`;
+    case 'rule':
+      return '<hr>';
+    case 'quote':
+      return `<blockquote>\n${renderMarkdownHtml(block.blocks)}\n</blockquote>`;
+    case 'list': {
+      const tag = block.ordered ? 'ol' : 'ul';
+      const start = block.ordered && block.start !== 1 ? ` start="${block.start}"` : '';
+      const items = block.items.map(blocks => {
+        // Tight items (one paragraph, maybe followed by nested lists) skip the <p>
+        const [first, ...rest] = blocks;
+        const inner = first?.type === 'paragraph' && rest.every(b => b.type === 'list')
+          ? [renderInlineHtml(first.inline), ...rest.map(renderBlockHtml)].join('\n')
+          : renderMarkdownHtml(blocks);
+        return `<li>${inner}</li>`;
+      });
+      return `<${tag}${start}>\n${items.join('\n')}\n</${tag}>`;
+    }
+    case 'table': {
+      const cell = (tag, nodes, idx) => {
+        const align = block.align[idx] ? ` style="text-align: ${block.align[idx]}"` : '';
+        return `<${tag}${align}>${renderInlineHtml(nodes)}</${tag}>`;
+      };
+      const header = `<tr>${block.header.map((nodes, idx) => cell('th', nodes, idx)).join('')}</tr>`;
+      const rows = block.rows.map(row => `<tr>${row.map((nodes, idx) => cell('td', nodes, idx)).join('')}</tr>`);
+      return `<table>\n<thead>${header}</thead>\n<tbody>\n${rows.join('\n')}\n</tbody>\n</table>`;
+    }
+    default:
+      return '';
+  }
+}
+
+function renderInlineHtml(nodes = []) {
+  return nodes.map(node => {
+    switch (node.type) {
+      case 'text':
+        return escapeHtml(node.text);
+      case 'code':
+        return `<code>${escapeHtml(node.text)}</code>`;
+      case 'break':
+        return '<br>';
+      case 'strong':
+        return `<strong>${renderInlineHtml(node.children)}</strong>`;
+      case 'em':
+        return `<em>${renderInlineHtml(node.children)}</em>`;
+      case 'del':
+        return `<del>${renderInlineHtml(node.children)}</del>`;
+      case 'link':
+        return `<a href="${escapeHtml(node.href)}">${renderInlineHtml(node.children)}</a>`;
+      default:
+        return '';
+    }
+  }).join('');
+}
@@ -0,0 +1,378 @@
+/**
+ * Report Export
+ *
+ * Turns a saved report (Markdown body with its References section) into
+ * documents that can be handed in as-is:
+ * - a standalone HTML file with embedded styles (also used by the print page
+ *   for Save as PDF)
+ * - a Word .docx (Office Open XML) built in the browser
+ *
+ * Both walk the block tree from utils/markdown-render.js, so they show the
+ * same content as the Markdown download.
+ */
+
+import { parseMarkdown, renderMarkdownHtml, inlineToText, escapeHtml } from './markdown-render.js';
+import { CITATION_STYLES } from './citation-formatter.js';
+import { createZip } from './zip.js';
+
+export const DOCX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+// Shared by the HTML export and the print page
+export const REPORT_DOCUMENT_CSS = `
+  :root { color-scheme: light; }
+  body { margin: 0; background: #fff; color: #1f1f1f; font: 16px/1.6 Georgia, 'Times New Roman', serif; }
+  .report-document { max-width: 46rem; margin: 0 auto; padding: 3rem 1.5rem; }
+  .report-document header { margin-bottom: 2rem; border-bottom: 1px solid #ddd; }
+  .report-document h1 { font-size: 2rem; line-height: 1.2; margin: 0 0 0.5rem; }
+  .report-meta { margin: 0 0 1rem; color: #666; font-size: 0.9rem; }
+  h2 { font-size: 1.4rem; margin: 2rem 0 0.75rem; }
+  h3 { font-size: 1.15rem; margin: 1.5rem 0 0.5rem; }
+  h4, h5, h6 { font-size: 1rem; margin: 1.25rem 0 0.5rem; }
+  p, ul, ol, blockquote, pre, table { margin: 0 0 1rem; }
+  ul, ol { padding-left: 1.75rem; }
+  li > ul, li > ol { margin: 0.25rem 0; }
+  blockquote { margin-left: 0; padding-left: 1rem; border-left: 3px solid #ccc; color: #555; }
+  code { font: 0.875em/1.4 Consolas, 'Courier New', monospace; background: #f3f3f3; padding: 0.1em 0.3em; border-radius: 3px; }
+  pre { background: #f3f3f3; padding: 0.75rem 1rem; overflow-x: auto; border-radius: 4px; }
+  pre code { background: none; padding: 0; }
+  table { border-collapse: collapse; width: 100%; font-size: 0.95rem; }
+  th, td { border: 1px solid #ccc; padding: 0.4rem 0.6rem; vertical-align: top; }
+  th { background: #f3f3f3; text-align: left; }
+  hr { border: none; border-top: 1px solid #ddd; margin: 2rem 0; }
+  a { color: #0b57d0; word-break: break-word; }
+  @page { margin: 2cm; }
+  @media print {
+    body { font-size: 11pt; }
+    .report-document { max-width: none; padding: 0; }
+    a { color: inherit; }
+    h1, h2, h3, h4, h5, h6 { break-after: avoid; }
+    pre, blockquote, table, li { break-inside: avoid; }
+  }
+`;
+
+/**
+ * Renders a report as an HTML fragment (<header> with title and details, then the body)
+ * @param {Object} report - Saved report
+ * @returns {Object} - { title, html }
+ */
+export function renderReportDocument(report) {
+  const { title, blocks } = splitTitle(report);
+
+  const html = `<header>
+<h1>${escapeHtml(title)}</h1>
+<p class="report-meta">${escapeHtml(describeReport(report))}</p>
+</header>
+${renderMarkdownHtml(blocks)}`;
+
+  return { title, html };
+}
+
+/**
+ * Builds a standalone HTML file for a report
+ * @param {Object} report - Saved report
+ * @returns {string} - HTML document
+ */
+export function buildReportHtml(report) {
+  const { title, html } = renderReportDocument(report);
+
+  return `<!doctype html>
+<html lang="${escapeHtml(report.outputLanguage || 'en')}">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="generator" content="LocalScholar">
+<title>${escapeHtml(title)}</title>
+<style>${REPORT_DOCUMENT_CSS}</style>
+</head>
+<body>
+<article class="report-document">
+${html}
+</article>
+</body>
+</html>
+`;
+}
+
+/**
+ * Builds a Word document for a report
+ * @param {Object} report - Saved report
+ * @returns {Blob} - .docx file
+ */
+export function buildReportDocx(report) {
+  const { title, blocks } = splitTitle(report);
+  const context = { hyperlinks: [], orderedLists: [] };
+
+  const body = [
+    paragraphXml(runsXml([{ type: 'text', text: title }], context), { style: 'Title' }),
+    paragraphXml(runsXml([{ type: 'text', text: describeReport(report) }], context), { style: 'Subtitle' }),
+    blocksXml(blocks, context, { depth: 0 })
+  ];
+  if (blocks[blocks.length - 1]?.type === 'table') {
+    // Word expects a paragraph between a final table and the section properties
+    body.push('<w:p/>');
+  }
+
+  const created = new Date(report.createdAt || Date.now());
+  const files = [
+    { name: '[Content_Types].xml', data: CONTENT_TYPES_XML },
+    { name: '_rels/.rels', data: PACKAGE_RELS_XML },
+    { name: 'docProps/core.xml', data: corePropertiesXml(title, created) },
+    { name: 'docProps/app.xml', data: APP_PROPERTIES_XML },
+    { name: 'word/document.xml', data: documentXml(body.join('')) },
+    { name: 'word/styles.xml', data: STYLES_XML },
+    { name: 'word/numbering.xml', data: numberingXml(context.orderedLists) },
+    { name: 'word/_rels/document.xml.rels', data: documentRelsXml(context.hyperlinks) }
+  ].map(file => ({ ...file, date: created }));
+
+  return new Blob([createZip(files)], { type: DOCX_MIME_TYPE });
+}
+
+/**
+ * Uses a leading "# Title" of the report body as the document title
+ */
+function splitTitle(report) {
+  const blocks = parseMarkdown(report.content || '');
+  if (blocks[0]?.type === 'heading' && blocks[0].level === 1) {
+    return { title: inlineToText(blocks[0].inline).trim() || report.title, blocks: blocks.slice(1) };
+  }
+  return { title: report.title || 'Untitled Report', blocks };
+}
+
+function describeReport(report) {
+  const date = new Date(report.createdAt || Date.now()).toLocaleDateString();
+  const sources = report.sourceIds?.length
+    ? `${report.sourceIds.length} source${report.sourceIds.length === 1 ? '' : 's'}`
+    : '';
+  return [report.template?.name, date, sources, CITATION_STYLES[report.citationStyle]]
+    .filter(Boolean)
+    .join(' · ');
+}
+
+// ===== Word document =====
+
+const DOCX_NAMESPACES = 'xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main" '
+  + 'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"';
+
+// Word's list indent step and the text width of an A4 page with 1" margins (twentieths of a point)
+const INDENT_STEP = 720;
+const TEXT_WIDTH = 9026;
+const MAX_LIST_DEPTH = 8;
+
+const CONTENT_TYPES_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+<Default Extension="xml" ContentType="application/xml"/>
+<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>
+<Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>
+<Override PartName="/word/numbering.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.numbering+xml"/>
+<Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>
+<Override PartName="/docProps/app.xml" ContentType="application/vnd.openxmlformats-officedocument.extended-properties+xml"/>
+</Types>`;
+
+const PACKAGE_RELS_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>
+<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/>
+<Relationship Id="rId3" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/extended-properties" Target="docProps/app.xml"/>
+</Relationships>`;
+
+const APP_PROPERTIES_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Properties xmlns="http://schemas.openxmlformats.org/officeDocument/2006/extended-properties"><Application>LocalScholar</Application></Properties>`;
+
+const STYLES_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:styles ${DOCX_NAMESPACES}>
+<w:docDefaults>
+<w:rPrDefault><w:rPr><w:rFonts w:ascii="Calibri" w:hAnsi="Calibri" w:eastAsia="Calibri" w:cs="Calibri"/><w:sz w:val="22"/><w:szCs w:val="22"/><w:lang w:val="en-US"/></w:rPr></w:rPrDefault>
+<w:pPrDefault><w:pPr><w:spacing w:after="160" w:line="276" w:lineRule="auto"/></w:pPr></w:pPrDefault>
+</w:docDefaults>
+<w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/><w:qFormat/></w:style>
+<w:style w:type="paragraph" w:styleId="Title"><w:name w:val="Title"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/><w:pPr><w:spacing w:after="80"/></w:pPr><w:rPr><w:sz w:val="52"/><w:szCs w:val="52"/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="Subtitle"><w:name w:val="Subtitle"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/><w:pPr><w:pBdr><w:bottom w:val="single" w:sz="4" w:space="8" w:color="BFBFBF"/></w:pBdr><w:spacing w:after="360"/></w:pPr><w:rPr><w:color w:val="595959"/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="Heading1"><w:name w:val="heading 1"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/><w:pPr><w:keepNext/><w:spacing w:before="360" w:after="120"/><w:outlineLvl w:val="0"/></w:pPr><w:rPr><w:b/><w:sz w:val="36"/><w:szCs w:val="36"/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="Heading2"><w:name w:val="heading 2"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/><w:pPr><w:keepNext/><w:spacing w:before="320" w:after="120"/><w:outlineLvl w:val="1"/></w:pPr><w:rPr><w:b/><w:sz w:val="30"/><w:szCs w:val="30"/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="Heading3"><w:name w:val="heading 3"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/><w:pPr><w:keepNext/><w:spacing w:before="240" w:after="80"/><w:outlineLvl w:val="2"/></w:pPr><w:rPr><w:b/><w:sz w:val="26"/><w:szCs w:val="26"/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="Heading4"><w:name w:val="heading 4"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/><w:pPr><w:keepNext/><w:spacing w:before="200" w:after="80"/><w:outlineLvl w:val="3"/></w:pPr><w:rPr><w:b/><w:i/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="Quote"><w:name w:val="Quote"/><w:basedOn w:val="Normal"/><w:qFormat/><w:pPr><w:pBdr><w:left w:val="single" w:sz="12" w:space="8" w:color="BFBFBF"/></w:pBdr><w:ind w:left="360"/></w:pPr><w:rPr><w:i/><w:color w:val="595959"/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="CodeBlock"><w:name w:val="Code Block"/><w:basedOn w:val="Normal"/><w:pPr><w:shd w:val="clear" w:color="auto" w:fill="F3F3F3"/><w:spacing w:after="0" w:line="240" w:lineRule="auto"/></w:pPr><w:rPr><w:rFonts w:ascii="Consolas" w:hAnsi="Consolas" w:cs="Consolas"/><w:sz w:val="19"/><w:szCs w:val="19"/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="ListParagraph"><w:name w:val="List Paragraph"/><w:basedOn w:val="Normal"/><w:qFormat/><w:pPr><w:spacing w:after="60"/><w:contextualSpacing/></w:pPr></w:style>
+<w:style w:type="paragraph" w:styleId="Rule"><w:name w:val="Horizontal Rule"/><w:basedOn w:val="Normal"/><w:pPr><w:pBdr><w:bottom w:val="single" w:sz="6" w:space="1" w:color="BFBFBF"/></w:pBdr></w:pPr></w:style>
+<w:style w:type="character" w:styleId="Hyperlink"><w:name w:val="Hyperlink"/><w:rPr><w:color w:val="0563C1"/><w:u w:val="single"/></w:rPr></w:style>
+<w:style w:type="character" w:styleId="InlineCode"><w:name w:val="Inline Code"/><w:rPr><w:rFonts w:ascii="Consolas" w:hAnsi="Consolas" w:cs="Consolas"/><w:shd w:val="clear" w:color="auto" w:fill="F3F3F3"/></w:rPr></w:style>
+</w:styles>`;
+
+function documentXml(body) {
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:document ${DOCX_NAMESPACES}><w:body>${body}<w:sectPr><w:pgSz w:w="11906" w:h="16838"/><w:pgMar w:top="1440" w:right="1440" w:bottom="1440" w:left="1440" w:header="708" w:footer="708" w:gutter="0"/></w:sectPr></w:body></w:document>`;
+}
+
+function corePropertiesXml(title, created) {
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"><dc:title>${escapeXml(title)}</dc:title><dc:creator>LocalScholar</dc:creator><dcterms:created xsi:type="dcterms:W3CDTF">${created.toISOString().replace(/\.\d+Z$/, 'Z')}</dcterms:created></cp:coreProperties>`;
+}
+
+function documentRelsXml(hyperlinks) {
+  const links = hyperlinks.map((href, idx) =>
+    `<Relationship Id="rId${idx + 3}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/hyperlink" Target="${escapeXml(href)}" TargetMode="External"/>`
+  ).join('\n');
+
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>
+<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/numbering" Target="numbering.xml"/>
+${links}
+</Relationships>`;
+}
+
+/**
+ * Bullet lists share numbering 1; every numbered list gets its own so it
+ * restarts at its first number
+ */
+function numberingXml(orderedLists) {
+  const bullets = ['•', '◦', '▪'];
+  const formats = ['decimal', 'lowerLetter', 'lowerRoman'];
+  const levels = (build) => Array.from({ length: MAX_LIST_DEPTH + 1 }, (_, level) => build(level)).join('');
+  const indent = level => `<w:pPr><w:ind w:left="${INDENT_STEP * (level + 1)}" w:hanging="360"/></w:pPr>`;
+
+  const bulletLevels = levels(level => `<w:lvl w:ilvl="${level}"><w:start w:val="1"/><w:numFmt w:val="bullet"/><w:lvlText w:val="${bullets[level % 3]}"/><w:lvlJc w:val="left"/>${indent(level)}</w:lvl>`);
+  const numberLevels = levels(level => `<w:lvl w:ilvl="${level}"><w:start w:val="1"/><w:numFmt w:val="${formats[level % 3]}"/><w:lvlText w:val="%${level + 1}."/><w:lvlJc w:val="left"/>${indent(level)}</w:lvl>`);
+
+  const nums = orderedLists.map(({ depth, start }, idx) =>
+    `<w:num w:numId="${idx + 2}"><w:abstractNumId w:val="1"/><w:lvlOverride w:ilvl="${depth}"><w:startOverride w:val="${start}"/></w:lvlOverride></w:num>`
+  ).join('');
+
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:numbering ${DOCX_NAMESPACES}><w:abstractNum w:abstractNumId="0"><w:multiLevelType w:val="hybridMultilevel"/>${bulletLevels}</w:abstractNum><w:abstractNum w:abstractNumId="1"><w:multiLevelType w:val="hybridMultilevel"/>${numberLevels}</w:abstractNum><w:num w:numId="1"><w:abstractNumId w:val="0"/></w:num>${nums}</w:numbering>`;
+}
+
+function blocksXml(blocks, context, options) {
+  return blocks.map(block => blockXml(block, context, options)).join('');
+}
+
+function blockXml(block, context, options) {
+  const { style = null, indent = 0, depth } = options;
+
+  switch (block.type) {
+    case 'heading':
+      return paragraphXml(runsXml(block.inline, context), { style: `Heading${Math.min(block.level, 4)}` });
+    case 'paragraph':
+      return paragraphXml(runsXml(block.inline, context), { style, indent });
+    case 'code':
+      return block.text.split('\n').map(line =>
+        paragraphXml(line ? textRunXml(line, {}) : '', { style: 'CodeBlock', indent })
+      ).join('');
+    case 'rule':
+      return paragraphXml('', { style: 'Rule' });
+    case 'quote':
+      return blocksXml(block.blocks, context, { ...options, style: 'Quote' });
+    case 'list':
+      return listXml(block, context, { ...options, depth: Math.min(depth, MAX_LIST_DEPTH) });
+    case 'table':
+      return tableXml(block, context);
+    default:
+      return '';
+  }
+}
+
+function listXml(block, context, { depth, style }) {
+  let numId = 1;
+  if (block.ordered) {
+    context.orderedLists.push({ depth, start: block.start });
+    numId = context.orderedLists.length + 1;
+  }
+
+  return block.items.map(blocks => {
+    const [first, ...rest] = blocks;
+    const numbering = { numId, level: depth };
+
+    const head = first?.type === 'paragraph'
+      ? paragraphXml(runsXml(first.inline, context), { style: style || 'ListParagraph', numbering })
+      : paragraphXml('', { style: 'ListParagraph', numbering }) + (first ? blockXml(first, context, { depth: depth + 1, style, indent: INDENT_STEP * (depth + 1) }) : '');
+
+    const body = rest.map(child => blockXml(child, context, {
+      depth: depth + 1,
+      style,
+      indent: INDENT_STEP * (depth + 1)
+    })).join('');
+
+    return head + body;
+  }).join('');
+}
+
+function tableXml(block, context) {
+  const columns = block.header.length;
+  const width = Math.floor(TEXT_WIDTH / columns);
+  const border = side => `<w:${side} w:val="single" w:sz="4" w:space="0" w:color="BFBFBF"/>`;
+
+  const row = (cells, header) => `<w:tr>${header ? '<w:trPr><w:tblHeader/></w:trPr>' : ''}${cells.map((nodes, idx) => {
+    const shading = header ? '<w:shd w:val="clear" w:color="auto" w:fill="F3F3F3"/>' : '';
+    const runs = runsXml(nodes, context, header ? { bold: true } : {});
+    return `<w:tc><w:tcPr><w:tcW w:w="${width}" w:type="dxa"/>${shading}</w:tcPr>${paragraphXml(runs, { align: block.align[idx], spacing: true })}</w:tc>`;
+  }).join('')}</w:tr>`;
+
+  return `<w:tbl><w:tblPr><w:tblW w:w="5000" w:type="pct"/><w:tblBorders>${['top', 'left', 'bottom', 'right', 'insideH', 'insideV'].map(border).join('')}</w:tblBorders><w:tblCellMar><w:left w:w="100" w:type="dxa"/><w:right w:w="100" w:type="dxa"/></w:tblCellMar></w:tblPr><w:tblGrid>${`<w:gridCol w:w="${width}"/>`.repeat(columns)}</w:tblGrid>${row(block.header, true)}${block.rows.map(cells => row(cells, false)).join('')}</w:tbl>`;
+}
+
+/**
+ * A paragraph; child elements of w:pPr are written in schema order
+ */
+function paragraphXml(runs, { style = null, numbering = null, indent = 0, align = null, spacing = false } = {}) {
+  const properties = [
+    style ? `<w:pStyle w:val="${style}"/>` : '',
+    numbering ? `<w:numPr><w:ilvl w:val="${numbering.level}"/><w:numId w:val="${numbering.numId}"/></w:numPr>` : '',
+    spacing ? '<w:spacing w:after="0"/>' : '',
+    indent ? `<w:ind w:left="${indent}"/>` : '',
+    align ? `<w:jc w:val="${align}"/>` : ''
+  ].join('');
+
+  return `<w:p>${properties ? `<w:pPr>${properties}</w:pPr>` : ''}${runs}</w:p>`;
+}
+
+function runsXml(nodes = [], context, format = {}) {
+  return nodes.map(node => {
+    switch (node.type) {
+      case 'text':
+        return textRunXml(node.text, format);
+      case 'code':
+        return textRunXml(node.text, { ...format, code: true });
+      case 'break':
+        return '<w:r><w:br/></w:r>';
+      case 'strong':
+        return runsXml(node.children, context, { ...format, bold: true });
+      case 'em':
+        return runsXml(node.children, context, { ...format, italic: true });
+      case 'del':
+        return runsXml(node.children, context, { ...format, strike: true });
+      case 'link': {
+        if (!/^(https?|mailto):/i.test(node.href)) {
+          return runsXml(node.children, context, format);
+        }
+        context.hyperlinks.push(node.href);
+        const id = `rId${context.hyperlinks.length + 2}`;
+        return `<w:hyperlink r:id="${id}" w:history="1">${runsXml(node.children, context, { ...format, link: true })}</w:hyperlink>`;
+      }
+      default:
+        return '';
+    }
+  }).join('');
+}
+
+function textRunXml(text, format) {
+  const properties = [
+    format.link ? '<w:rStyle w:val="Hyperlink"/>' : format.code ? '<w:rStyle w:val="InlineCode"/>' : '',
+    format.bold ? '<w:b/>' : '',
+    format.italic ? '<w:i/>' : '',
+    format.strike ? '<w:strike/>' : ''
+  ].join('');
+
+  return `<w:r>${properties ? `<w:rPr>${properties}</w:rPr>` : ''}<w:t xml:space="preserve">${escapeXml(text)}</w:t></w:r>`;
+}
+
+function escapeXml(text = '') {
+  return String(text)
+    // Control characters are not allowed in XML 1.0
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
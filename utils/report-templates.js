@@ -0,0 +1,158 @@
+/**
+ * Report Templates
+ *
+ * A template shapes a generated report: the system prompt the model writes
+ * with, the sections the report must contain (in order), and tone and length
+ * guidance. Built-in templates ship here; user-defined templates are stored in
+ * settings (customReportTemplates) and go through normalizeReportTemplate().
+ *
+ * Template objects: { id, name, description, systemPrompt, sections: string[], tone, length }
+ * An empty sections list lets the model choose the structure.
+ */
+
+export const DEFAULT_REPORT_TEMPLATE = 'general';
+
+// Limits for user-defined templates
+const MAX_TEMPLATE_NAME_LENGTH = 60;
+const MAX_TEMPLATE_PROMPT_LENGTH = 2000;
+const MAX_TEMPLATE_SECTIONS = 8;
+
+export const BUILT_IN_REPORT_TEMPLATES = {
+  general: {
+    id: 'general',
+    name: 'General Report',
+    description: 'Thematic synthesis with an introduction and conclusion',
+    systemPrompt: 'You are a skilled technical writer. Create comprehensive, well-structured reports that synthesize information from multiple sources.',
+    sections: [],
+    tone: 'Informative and professional',
+    length: ''
+  },
+  'literature-review': {
+    id: 'literature-review',
+    name: 'Literature Review',
+    description: 'Themes, methods, agreements and gaps across the sources',
+    systemPrompt: 'You are an academic researcher writing a literature review. Compare how sources approach a topic, weigh their evidence and identify open questions; never summarize sources one after another.',
+    sections: ['Introduction', 'Key Themes', 'Methods and Evidence', 'Points of Agreement and Debate', 'Research Gaps', 'Conclusion'],
+    tone: 'Formal and academic; attribute every finding to its source',
+    length: 'Thorough: several paragraphs per section'
+  },
+  'study-guide': {
+    id: 'study-guide',
+    name: 'Study Guide',
+    description: 'Key concepts, definitions and review questions',
+    systemPrompt: 'You are an experienced teacher preparing a study guide. Explain ideas clearly, define terms precisely and help the reader check their understanding.',
+    sections: ['Overview', 'Key Concepts', 'Important Terms', 'Examples', 'Review Questions'],
+    tone: 'Clear and encouraging; plain language with short paragraphs and bullet lists',
+    length: 'Concise: favour lists over long prose'
+  },
+  'compare-contrast': {
+    id: 'compare-contrast',
+    name: 'Compare & Contrast',
+    description: 'Similarities and differences between the sources',
+    systemPrompt: 'You are an analyst comparing sources side by side. Make the similarities and differences between them explicit and explain why they matter.',
+    sections: ['Introduction', 'Similarities', 'Differences', 'Strengths and Weaknesses', 'Conclusion'],
+    tone: 'Balanced and analytical; name the sources being compared in each point',
+    length: 'Moderate: one to three paragraphs per section; a Markdown table is welcome where it helps'
+  },
+  'executive-brief': {
+    id: 'executive-brief',
+    name: 'Executive Brief',
+    description: 'Short decision-oriented summary with recommendations',
+    systemPrompt: 'You are a consultant writing an executive brief for busy decision makers. Lead with conclusions, keep only what matters for a decision and make recommendations actionable.',
+    sections: ['Summary', 'Key Findings', 'Implications', 'Recommendations'],
+    tone: 'Direct and businesslike; no jargon',
+    length: 'Brief: about one page, mostly bullet points'
+  }
+};
+
+/**
+ * Lists the templates available for picking
+ * @param {Array} [customTemplates] - User-defined templates from settings
+ * @returns {Array} - Built-in templates followed by valid custom ones
+ */
+export function listReportTemplates(customTemplates = []) {
+  const custom = customTemplates
+    .map(template => {
+      try {
+        return { ...normalizeReportTemplate(template), custom: true };
+      } catch (error) {
+        console.warn('[LocalScholar] Skipping invalid report template:', error.message);
+        return null;
+      }
+    })
+    .filter(Boolean);
+
+  return [...Object.values(BUILT_IN_REPORT_TEMPLATES), ...custom];
+}
+
+/**
+ * Resolves a template ID, falling back to the default template when it is unknown
+ * (e.g. a custom template that was deleted)
+ * @param {string} id - Template ID
+ * @param {Array} [customTemplates] - User-defined templates from settings
+ * @returns {Object} - Template object
+ */
+export function getReportTemplate(id, customTemplates = []) {
+  return listReportTemplates(customTemplates).find(template => template.id === id)
+    || BUILT_IN_REPORT_TEMPLATES[DEFAULT_REPORT_TEMPLATE];
+}
+
+/**
+ * Validates and cleans a user-defined template
+ * @param {Object} template - { id, name, description, systemPrompt, sections, tone, length }
+ *   (sections may be an array or one title per line)
+ * @returns {Object} - Normalized template
+ */
+export function normalizeReportTemplate(template) {
+  if (!template || typeof template !== 'object') {
+    throw new Error('Invalid report template: object required');
+  }
+
+  const id = String(template.id || '').trim();
+  const name = String(template.name || '').trim();
+  const systemPrompt = String(template.systemPrompt || '').trim();
+
+  if (!id) {
+    throw new Error('Invalid report template: id required');
+  }
+  if (BUILT_IN_REPORT_TEMPLATES[id]) {
+    throw new Error(`Invalid report template: "${id}" is a built-in template`);
+  }
+  if (!name || name.length > MAX_TEMPLATE_NAME_LENGTH) {
+    throw new Error(`Invalid report template: name must be 1-${MAX_TEMPLATE_NAME_LENGTH} characters`);
+  }
+  if (systemPrompt.length > MAX_TEMPLATE_PROMPT_LENGTH) {
+    throw new Error(`Invalid report template: system prompt is longer than ${MAX_TEMPLATE_PROMPT_LENGTH} characters`);
+  }
+
+  const rawSections = Array.isArray(template.sections)
+    ? template.sections
+    : String(template.sections || '').split('\n');
+  const sections = [...new Set(rawSections.map(title => String(title).replace(/^#+\s*/, '').trim()).filter(Boolean))];
+
+  if (sections.length > MAX_TEMPLATE_SECTIONS) {
+    throw new Error(`Invalid report template: at most ${MAX_TEMPLATE_SECTIONS} sections`);
+  }
+
+  return {
+    id,
+    name,
+    description: String(template.description || '').trim(),
+    systemPrompt: systemPrompt || BUILT_IN_REPORT_TEMPLATES[DEFAULT_REPORT_TEMPLATE].systemPrompt,
+    sections,
+    tone: String(template.tone || '').trim(),
+    length: String(template.length || '').trim()
+  };
+}
+
+/**
+ * Builds the prompt requirement lines for a template's tone and length
+ * @param {Object} template - Template object
+ * @returns {string} - Requirement lines ("- ..."), or '' when the template sets neither
+ */
+export function describeTemplateStyle(template) {
+  const lines = [];
+  if (template?.tone) lines.push(`- Tone: ${template.tone}`);
+  if (template?.length) lines.push(`- Length: ${template.length}`);
+  return lines.join('\n');
+}
@@ -0,0 +1,377 @@
+/**
+ * Scholarly Metadata Extraction
+ *
+ * Reads bibliographic metadata from a page so queue items can be cited properly.
+ * Sources, in priority order:
+ * 1. Highwire Press `citation_*` meta tags (Google Scholar)
+ * 2. JSON-LD (`ScholarlyArticle`, `NewsArticle`, `Article`, ...)
+ * 3. Dublin Core (`DC.*` / `dcterms.*`)
+ * 4. OpenGraph and `article:*` meta tags, `<meta name="author">`
+ * 5. Visible bylines and `<time>` elements
+ *
+ * Result shape (stored as `citation` on collection items):
+ * { type, title, authors: [{ given, family } | { literal }], publishedDate, doi,
+ *   journal, volume, issue, pages, publisher, siteName, url, sources }
+ */
+
+// JSON-LD types treated as articles, best match first
+const ARTICLE_TYPES = [
+  'ScholarlyArticle', 'MedicalScholarlyArticle', 'NewsArticle', 'ReportageNewsArticle',
+  'AnalysisNewsArticle', 'Report', 'TechArticle', 'BlogPosting', 'Article', 'WebPage'
+];
+
+const BYLINE_SELECTORS = [
+  '[itemprop="author"] [itemprop="name"]',
+  '[itemprop="author"]',
+  '[rel="author"]',
+  '.byline',
+  '.author-name',
+  '.authors',
+  '.author'
+];
+
+// Bylines can match unrelated author widgets; keep only the first few names
+const MAX_BYLINE_AUTHORS = 10;
+
+const DOI_PATTERN = /\b(10\.\d{4,9}\/[^\s"'<>]+)/;
+
+/**
+ * Extracts scholarly metadata from a document
+ * @param {Document} doc - The document object (defaults to current document)
+ * @returns {Object} - Citation metadata (missing fields are null)
+ */
+export function extractScholarlyMetadata(doc = document) {
+  const providers = [
+    { name: 'highwire', data: readHighwire(doc) },
+    { name: 'json-ld', data: readJsonLd(doc) },
+    { name: 'dublin-core', data: readDublinCore(doc) },
+    { name: 'opengraph', data: readOpenGraph(doc) },
+    { name: 'byline', data: readByline(doc) }
+  ];
+
+  const fields = ['title', 'authors', 'publishedDate', 'doi', 'journal', 'volume', 'issue', 'pages', 'publisher', 'siteName'];
+  const citation = { type: 'webpage', url: doc.location?.href || '', sources: [] };
+
+  for (const field of fields) {
+    const provider = providers.find(p => hasValue(p.data[field]));
+    citation[field] = provider ? provider.data[field] : null;
+    if (provider && !citation.sources.includes(provider.name)) {
+      citation.sources.push(provider.name);
+    }
+  }
+
+  citation.title = citation.title || doc.title || 'Untitled';
+  citation.authors = citation.authors || [];
+  citation.doi = citation.doi || findOwnDoi(doc);
+  citation.type = inferType(citation, providers);
+
+  return citation;
+}
+
+/**
+ * Short one-line description, e.g. 'Doe et al. · 2021 · Nature'
+ * @param {Object} citation - Citation metadata
+ * @returns {string}
+ */
+export function describeCitation(citation) {
+  if (!citation) return '';
+
+  const parts = [];
+  const authors = citation.authors || [];
+  if (authors.length > 0) {
+    const first = authors[0].family || authors[0].literal || '';
+    parts.push(authors.length > 1 ? `${first} et al.` : first);
+  }
+  if (citation.publishedDate) {
+    parts.push(citation.publishedDate.slice(0, 4));
+  }
+  const container = citation.journal || citation.siteName || citation.publisher;
+  if (container) {
+    parts.push(container);
+  }
+
+  return parts.filter(Boolean).join(' · ');
+}
+
+/**
+ * Parses a personal name into { given, family }
+ * Accepts 'Family, Given' and 'Given Family'; organisations become { literal }.
+ * @param {string} name - Name as written on the page
+ * @returns {Object|null}
+ */
+export function parseAuthorName(name) {
+  const cleaned = String(name || '')
+    .replace(/^\s*by\s+/i, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  if (!cleaned || /^https?:\/\//i.test(cleaned)) return null;
+
+  if (cleaned.includes(',')) {
+    const [family, given] = cleaned.split(',').map(part => part.trim());
+    return given ? { given, family } : { literal: family };
+  }
+
+  const words = cleaned.split(' ');
+  if (words.length === 1 || words.length > 4) {
+    return { literal: cleaned };
+  }
+  return { given: words.slice(0, -1).join(' '), family: words[words.length - 1] };
+}
+
+/**
+ * Normalizes a date to YYYY-MM-DD, YYYY-MM or YYYY
+ * @param {string} value - Date as found on the page
+ * @returns {string|null}
+ */
+export function normalizeDate(value) {
+  if (!value) return null;
+  const text = String(value).trim();
+
+  const match = /^(\d{4})(?:[-/.](\d{1,2})(?:[-/.](\d{1,2}))?)?/.exec(text);
+  if (match) {
+    const [, year, month, day] = match;
+    return [year, month, day].filter(Boolean).map(part => part.padStart(2, '0')).join('-');
+  }
+
+  const parsed = new Date(text);
+  return Number.isNaN(parsed.getTime()) ? null : parsed.toISOString().slice(0, 10);
+}
+
+/**
+ * Normalizes a DOI (strips resolver prefixes)
+ * @param {string} value - DOI, doi: URI or doi.org URL
+ * @returns {string|null}
+ */
+export function normalizeDoi(value) {
+  if (!value) return null;
+  let text = String(value);
+  try {
+    text = decodeURIComponent(text);
+  } catch (e) {
+    // Keep the raw value when it is not valid URI encoding
+  }
+  const match = DOI_PATTERN.exec(text);
+  return match ? match[1].replace(/[.,;]+$/, '') : null;
+}
+
+// ===== Providers =====
+
+function readHighwire(doc) {
+  const firstPage = metaContent(doc, 'citation_firstpage');
+  const lastPage = metaContent(doc, 'citation_lastpage');
+
+  return {
+    title: metaContent(doc, 'citation_title'),
+    authors: parseAuthors(metaContents(doc, 'citation_author')),
+    publishedDate: normalizeDate(
+      metaContent(doc, 'citation_publication_date') ||
+      metaContent(doc, 'citation_date') ||
+      metaContent(doc, 'citation_online_date')
+    ),
+    doi: normalizeDoi(metaContent(doc, 'citation_doi')),
+    journal: metaContent(doc, 'citation_journal_title') ||
+      metaContent(doc, 'citation_conference_title') ||
+      metaContent(doc, 'citation_inbook_title'),
+    volume: metaContent(doc, 'citation_volume'),
+    issue: metaContent(doc, 'citation_issue'),
+    pages: firstPage ? (lastPage ? `${firstPage}-${lastPage}` : firstPage) : null,
+    publisher: metaContent(doc, 'citation_publisher')
+  };
+}
+
+function readDublinCore(doc) {
+  const dc = (field) => metaContent(doc, `dc.${field}`) || metaContent(doc, `dcterms.${field}`);
+  const identifiers = [...metaContents(doc, 'dc.identifier'), ...metaContents(doc, 'dcterms.identifier')];
+
+  return {
+    title: dc('title'),
+    authors: parseAuthors([...metaContents(doc, 'dc.creator'), ...metaContents(doc, 'dcterms.creator')]),
+    publishedDate: normalizeDate(dc('date') || dc('issued') || dc('created')),
+    doi: identifiers.map(normalizeDoi).find(Boolean) || null,
+    publisher: dc('publisher')
+  };
+}
+
+function readOpenGraph(doc) {
+  return {
+    title: metaContent(doc, 'og:title'),
+    authors: parseAuthors([
+      ...metaContents(doc, 'article:author'),
+      ...metaContents(doc, 'author').flatMap(splitAuthorList)
+    ]),
+    publishedDate: normalizeDate(
+      metaContent(doc, 'article:published_time') ||
+      metaContent(doc, 'date') ||
+      metaContent(doc, 'pubdate')
+    ),
+    siteName: metaContent(doc, 'og:site_name') || metaContent(doc, 'application-name'),
+    isArticle: metaContent(doc, 'og:type') === 'article'
+  };
+}
+
+function readJsonLd(doc) {
+  const items = [];
+  doc.querySelectorAll('script[type="application/ld+json"]').forEach(script => {
+    try {
+      collectJsonLdItems(JSON.parse(script.textContent), items);
+    } catch (e) {
+      console.warn('[LocalScholar] Ignoring invalid JSON-LD block:', e.message);
+    }
+  });
+
+  const rank = (item) => {
+    const types = [].concat(item['@type'] || []);
+    const ranks = types.map(t => ARTICLE_TYPES.indexOf(t)).filter(i => i >= 0);
+    return ranks.length > 0 ? Math.min(...ranks) : Infinity;
+  };
+  const article = items
+    .filter(item => rank(item) < Infinity)
+    .sort((a, b) => rank(a) - rank(b))[0];
+
+  if (!article) return {};
+
+  const types = [].concat(article['@type']);
+  const periodical = [].concat(article.isPartOf || [])[0];
+  const identifiers = [].concat(article.identifier || [], article.sameAs || [], article['@id'] || [], article.url || []);
+
+  return {
+    title: textValue(article.headline) || textValue(article.name),
+    authors: parseJsonLdPeople(article.author || article.creator),
+    publishedDate: normalizeDate(article.datePublished || article.dateCreated),
+    doi: identifiers.map(id => normalizeDoi(textValue(id) || id?.value)).find(Boolean) || null,
+    journal: textValue(periodical?.name) || textValue(periodical?.isPartOf?.name),
+    volume: textValue(article.volumeNumber) || textValue(periodical?.volumeNumber),
+    issue: textValue(article.issueNumber) || textValue(periodical?.issueNumber),
+    pages: textValue(article.pagination) ||
+      (article.pageStart ? [article.pageStart, article.pageEnd].filter(Boolean).join('-') : null),
+    publisher: textValue(article.publisher?.name) || textValue(article.publisher),
+    isScholarly: types.some(t => /Scholarly/.test(t)),
+    isNews: types.some(t => /News/.test(t)),
+    isArticle: types.some(t => t !== 'WebPage')
+  };
+}
+
+function readByline(doc) {
+  let authors = [];
+  for (const selector of BYLINE_SELECTORS) {
+    const names = Array.from(doc.querySelectorAll(selector))
+      .map(el => (el.getAttribute('content') || el.textContent || '').trim())
+      .filter(text => text.length > 0 && text.length < 200);
+    if (names.length > 0) {
+      authors = parseAuthors(names.flatMap(splitByline)).slice(0, MAX_BYLINE_AUTHORS);
+      break;
+    }
+  }
+
+  const time = doc.querySelector('article time[datetime], time[datetime][itemprop="datePublished"], time[datetime]');
+
+  return {
+    authors,
+    publishedDate: normalizeDate(time?.getAttribute('datetime'))
+  };
+}
+
+// ===== Helpers =====
+
+function metaContents(doc, name) {
+  const lower = name.toLowerCase();
+  return Array.from(doc.querySelectorAll('meta[name], meta[property]'))
+    .filter(meta => (meta.getAttribute('name') || meta.getAttribute('property') || '').toLowerCase() === lower)
+    .map(meta => (meta.getAttribute('content') || '').trim())
+    .filter(Boolean);
+}
+
+function metaContent(doc, name) {
+  return metaContents(doc, name)[0] || null;
+}
+
+function hasValue(value) {
+  return Array.isArray(value) ? value.length > 0 : value !== null && value !== undefined && value !== '';
+}
+
+function textValue(value) {
+  if (typeof value === 'string') return value.trim() || null;
+  if (typeof value === 'number') return String(value);
+  return null;
+}
+
+/**
+ * Splits a visible byline ('By A, B and C') into names
+ */
+function splitByline(text) {
+  return text
+    .replace(/^\s*by\s+/i, '')
+    .split(/\s*(?:,|;|&|\band\b)\s*/i)
+    .filter(Boolean);
+}
+
+/**
+ * Splits a meta author value only when it clearly lists several people
+ * ('Doe, Jane' stays one name; 'A; B' or 'A, B and C' are split)
+ */
+function splitAuthorList(text) {
+  const commaCount = (text.match(/,/g) || []).length;
+  return /;|&|\band\b/i.test(text) || commaCount >= 2 ? splitByline(text) : [text];
+}
+
+function parseAuthors(names) {
+  const seen = new Set();
+  return names
+    .map(parseAuthorName)
+    .filter(author => {
+      if (!author) return false;
+      const key = JSON.stringify(author).toLowerCase();
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+}
+
+function parseJsonLdPeople(value) {
+  return [].concat(value || [])
+    .map(person => {
+      if (typeof person === 'string') return parseAuthorName(person);
+      if (person?.familyName) {
+        return { given: textValue(person.givenName) || '', family: textValue(person.familyName) };
+      }
+      const name = textValue(person?.name);
+      if (!name) return null;
+      return person['@type'] === 'Organization' ? { literal: name } : parseAuthorName(name);
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Flattens JSON-LD documents (arrays and @graph) into a list of nodes
+ */
+function collectJsonLdItems(node, items) {
+  if (Array.isArray(node)) {
+    node.forEach(child => collectJsonLdItems(child, items));
+  } else if (node && typeof node === 'object') {
+    if (node['@graph']) {
+      collectJsonLdItems(node['@graph'], items);
+    }
+    if (node['@type']) {
+      items.push(node);
+    }
+  }
+}
+
+/**
+ * Reads a DOI from the page's own address (its URL or canonical link). Links in
+ * the body are not used: on pages with references or "cited by" lists they
+ * point to other papers.
+ */
+function findOwnDoi(doc) {
+  const canonical = doc.querySelector('link[rel="canonical"]')?.getAttribute('href');
+  return normalizeDoi(doc.location?.href) || normalizeDoi(canonical);
+}
+
+function inferType(citation, providers) {
+  const jsonLd = providers.find(p => p.name === 'json-ld').data;
+  if (jsonLd.isScholarly || citation.journal || citation.doi) return 'article-journal';
+  if (jsonLd.isNews) return 'article-newspaper';
+  if (jsonLd.isArticle || providers.find(p => p.name === 'opengraph').data.isArticle) return 'article';
+  return 'webpage';
+}
@@ -0,0 +1,118 @@
+/**
+ * Spaced Repetition Scheduler (SM-2)
+ *
+ * Tracks per-card review state and schedules the next review using the
+ * SuperMemo-2 algorithm. Each flashcard carries a `review` object:
+ * { ease, interval, repetitions, lapses, due, lastReviewedAt }
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DEFAULT_EASE = 2.5;
+const MIN_EASE = 1.3;
+
+// Answers faster than this count as effortless recall
+const FAST_RESPONSE_MS = 8000;
+
+/**
+ * Creates the review state for a new card (due immediately)
+ * @param {string} [now] - ISO timestamp
+ * @returns {Object} Review state
+ */
+export function createReviewState(now = new Date().toISOString()) {
+  return {
+    ease: DEFAULT_EASE,
+    interval: 0,
+    repetitions: 0,
+    lapses: 0,
+    due: now,
+    lastReviewedAt: null
+  };
+}
+
+/**
+ * Maps a multiple-choice answer to an SM-2 quality grade (0-5)
+ * @param {boolean} correct - Whether the chosen option was correct
+ * @param {number} [responseMs] - Time taken to answer
+ * @returns {number} Quality grade
+ */
+export function gradeAnswer(correct, responseMs = null) {
+  if (!correct) return 1;
+  if (responseMs !== null && responseMs <= FAST_RESPONSE_MS) return 5;
+  return 4;
+}
+
+/**
+ * Computes the next review state after an answer
+ * @param {Object} state - Current review state (missing fields use defaults)
+ * @param {number} quality - SM-2 quality grade (0-5)
+ * @param {Date} [now] - Review time
+ * @returns {Object} Updated review state
+ */
+export function scheduleReview(state, quality, now = new Date()) {
+  const current = { ...createReviewState(now.toISOString()), ...(state || {}) };
+  const q = Math.max(0, Math.min(5, Math.round(quality)));
+
+  let { ease, interval, repetitions, lapses } = current;
+
+  if (q >= 3) {
+    if (repetitions === 0) {
+      interval = 1;
+    } else if (repetitions === 1) {
+      interval = 6;
+    } else {
+      interval = Math.round(interval * ease);
+    }
+    repetitions += 1;
+  } else {
+    // Lapse: relearn from the start
+    repetitions = 0;
+    interval = 1;
+    lapses += 1;
+  }
+
+  ease = Math.max(MIN_EASE, ease + (0.1 - (5 - q) * (0.08 + (5 - q) * 0.02)));
+
+  return {
+    ease: Math.round(ease * 100) / 100,
+    interval,
+    repetitions,
+    lapses,
+    due: new Date(now.getTime() + interval * DAY_MS).toISOString(),
+    lastReviewedAt: now.toISOString()
+  };
+}
+
+/**
+ * Gets the end of the local day for a date
+ */
+function endOfDay(date) {
+  const end = new Date(date);
+  end.setHours(23, 59, 59, 999);
+  return end;
+}
+
+/**
+ * Checks whether a card is due for review today
+ * @param {Object} state - Review state
+ * @param {Date} [now] - Current time
+ * @returns {boolean}
+ */
+export function isDueToday(state, now = new Date()) {
+  if (!state || !state.due) return true;
+  return new Date(state.due).getTime() <= endOfDay(now).getTime();
+}
+
+/**
+ * Formats the time until the next review
+ * @param {Object} state - Review state
+ * @param {Date} [now] - Current time
+ * @returns {string} e.g. 'tomorrow', 'in 6 days'
+ */
+export function formatNextReview(state, now = new Date()) {
+  if (!state?.due) return 'now';
+  const days = Math.round((new Date(state.due).getTime() - now.getTime()) / DAY_MS);
+  if (days <= 0) return 'today';
+  if (days === 1) return 'tomorrow';
+  return `in ${days} days`;
+}
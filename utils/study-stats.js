@@ -0,0 +1,102 @@
+/**
+ * Study Statistics
+ *
+ * Derives per-deck mastery statistics from the review log.
+ * Review events: { id, deckId, cardIndex, chosenOption, correct, responseMs, createdAt }
+ */
+
+const WEAKEST_CARD_COUNT = 3;
+
+/**
+ * Formats a timestamp as a local YYYY-MM-DD day key
+ */
+function dayKey(timestamp) {
+  const date = new Date(timestamp);
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Computes statistics for one deck
+ * @param {Object} deck - Deck with cards
+ * @param {Array} events - Review events for this deck
+ * @returns {Object} - { totalReviews, accuracy, mastery, currentStreak, bestStreak,
+ *                       averageResponseMs, weakestCards, progress }
+ */
+export function computeDeckStats(deck, events = []) {
+  const cards = deck?.cards || [];
+  const ordered = events.slice().sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+
+  const correctCount = ordered.filter(e => e.correct).length;
+
+  // Streaks of consecutive correct answers
+  let currentStreak = 0;
+  let bestStreak = 0;
+  for (const event of ordered) {
+    currentStreak = event.correct ? currentStreak + 1 : 0;
+    bestStreak = Math.max(bestStreak, currentStreak);
+  }
+
+  // Per-card attempts and most recent result
+  const perCard = cards.map((card, cardIndex) => ({
+    cardIndex,
+    question: card.question,
+    attempts: 0,
+    correct: 0,
+    lastCorrect: false
+  }));
+  for (const event of ordered) {
+    const entry = perCard[event.cardIndex];
+    if (!entry) continue;
+    entry.attempts++;
+    if (event.correct) entry.correct++;
+    entry.lastCorrect = !!event.correct;
+  }
+
+  // A card counts as mastered when its most recent answer was correct
+  const masteredCount = perCard.filter(c => c.lastCorrect).length;
+
+  const weakestCards = perCard
+    .filter(c => c.attempts > 0)
+    .map(c => ({ ...c, accuracy: c.correct / c.attempts }))
+    .filter(c => c.accuracy < 1)
+    .sort((a, b) => a.accuracy - b.accuracy || b.attempts - a.attempts)
+    .slice(0, WEAKEST_CARD_COUNT);
+
+  // Daily accuracy, oldest first
+  const byDay = new Map();
+  for (const event of ordered) {
+    const key = dayKey(event.createdAt);
+    const day = byDay.get(key) || { date: key, reviews: 0, correct: 0 };
+    day.reviews++;
+    if (event.correct) day.correct++;
+    byDay.set(key, day);
+  }
+  const progress = Array.from(byDay.values()).map(day => ({
+    ...day,
+    accuracy: day.correct / day.reviews
+  }));
+
+  const timed = ordered.filter(e => Number.isFinite(e.responseMs));
+
+  return {
+    totalReviews: ordered.length,
+    accuracy: ordered.length > 0 ? correctCount / ordered.length : 0,
+    mastery: cards.length > 0 ? masteredCount / cards.length : 0,
+    currentStreak,
+    bestStreak,
+    averageResponseMs: timed.length > 0
+      ? Math.round(timed.reduce((sum, e) => sum + e.responseMs, 0) / timed.length)
+      : null,
+    weakestCards,
+    progress
+  };
+}
+
+/**
+ * Formats a 0-1 ratio as a whole percentage
+ */
+export function formatPercent(ratio) {
+  return `${Math.round((ratio || 0) * 100)}%`;
+}
@@ -0,0 +1,169 @@
+/**
+ * Text Anchors
+ *
+ * Describes a highlighted passage by its text plus a little of the text around
+ * it (a "text quote": { exact, prefix, suffix }), so it can be found again after
+ * the page is reloaded or its markup changes. Whitespace is collapsed, so a
+ * quote still matches when the page wraps or indents text differently.
+ */
+
+// Characters of surrounding text kept on each side of a passage
+const CONTEXT_LENGTH = 32;
+
+// Passages longer than this are linked by their first and last words
+const MAX_FRAGMENT_TEXT_LENGTH = 300;
+const FRAGMENT_EDGE_WORDS = 4;
+// Words of context in a link; kept short because the captured context can run
+// across block boundaries, which the browser treats as whitespace
+const FRAGMENT_CONTEXT_WORDS = 2;
+
+// Elements whose text is never part of a passage
+const SKIPPED_ELEMENTS = new Set(['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE']);
+
+function collapseWhitespace(text) {
+  return String(text || '').replace(/\s+/g, ' ');
+}
+
+/**
+ * Describes the current selection as a text quote
+ * @param {Selection} selection - window.getSelection()
+ * @param {Node} [root] - Element the context is taken from
+ * @returns {Object|null} - { exact, prefix, suffix }, or null when nothing is selected
+ */
+export function describeSelection(selection, root = document.body) {
+  if (!selection || selection.rangeCount === 0) return null;
+
+  const range = selection.getRangeAt(0);
+  const exact = collapseWhitespace(range.toString()).trim();
+  if (!exact) return null;
+
+  const before = document.createRange();
+  before.setStart(root, 0);
+  before.setEnd(range.startContainer, range.startOffset);
+
+  const after = document.createRange();
+  after.setStart(range.endContainer, range.endOffset);
+  after.setEnd(root, root.childNodes.length);
+
+  // Only the edges are needed; slicing first keeps this cheap on long pages
+  return {
+    exact,
+    prefix: collapseWhitespace(before.toString().slice(-CONTEXT_LENGTH * 4)).slice(-CONTEXT_LENGTH),
+    suffix: collapseWhitespace(after.toString().slice(0, CONTEXT_LENGTH * 4)).slice(0, CONTEXT_LENGTH)
+  };
+}
+
+/**
+ * Finds a text quote in plain text. When the passage occurs more than once,
+ * the occurrence whose surroundings best match the quote's prefix and suffix wins.
+ * @param {string} text - Whitespace-collapsed text to search
+ * @param {Object} quote - { exact, prefix, suffix }
+ * @returns {Object|null} - { start, end } offsets into text
+ */
+export function findTextQuote(text, quote) {
+  const exact = collapseWhitespace(quote?.exact).trim();
+  if (!exact) return null;
+
+  const prefix = collapseWhitespace(quote.prefix);
+  const suffix = collapseWhitespace(quote.suffix);
+
+  let best = null;
+  let bestScore = -1;
+  for (let start = text.indexOf(exact); start !== -1; start = text.indexOf(exact, start + 1)) {
+    const end = start + exact.length;
+    const score = commonSuffixLength(text.slice(Math.max(0, start - prefix.length), start), prefix)
+      + commonPrefixLength(text.slice(end, end + suffix.length), suffix);
+
+    if (score > bestScore) {
+      best = { start, end };
+      bestScore = score;
+    }
+    if (score === prefix.length + suffix.length) break;
+  }
+
+  return best;
+}
+
+/**
+ * Finds a text quote on the page
+ * @param {Node} root - Element to search
+ * @param {Object} quote - { exact, prefix, suffix }
+ * @returns {Range|null} - Range covering the passage, or null when it is no longer there
+ */
+export function anchorTextQuote(root, quote) {
+  const { text, positions } = indexText(root);
+  const match = findTextQuote(text, quote);
+  if (!match) return null;
+
+  const first = positions[match.start];
+  const last = positions[match.end - 1];
+
+  const range = document.createRange();
+  range.setStart(first.node, first.offset);
+  range.setEnd(last.node, last.offset + 1);
+  return range;
+}
+
+/**
+ * Builds a link that opens a page scrolled to a passage (URL text fragment)
+ * @param {string} url - Page URL
+ * @param {Object} quote - { exact, prefix, suffix }
+ * @returns {string}
+ */
+export function buildTextFragmentUrl(url, quote) {
+  const exact = collapseWhitespace(quote?.exact).trim();
+  if (!exact) return url;
+
+  const encode = text => encodeURIComponent(text).replace(/-/g, '%2D');
+  const words = exact.split(' ');
+
+  const parts = exact.length > MAX_FRAGMENT_TEXT_LENGTH && words.length > FRAGMENT_EDGE_WORDS * 2
+    ? [encode(words.slice(0, FRAGMENT_EDGE_WORDS).join(' ')), encode(words.slice(-FRAGMENT_EDGE_WORDS).join(' '))]
+    : [encode(exact)];
+
+  const prefix = collapseWhitespace(quote.prefix).trim().split(' ').slice(-FRAGMENT_CONTEXT_WORDS).join(' ');
+  const suffix = collapseWhitespace(quote.suffix).trim().split(' ').slice(0, FRAGMENT_CONTEXT_WORDS).join(' ');
+  if (prefix) parts.unshift(`${encode(prefix)}-`);
+  if (suffix) parts.push(`-${encode(suffix)}`);
+
+  const base = url.includes('#') ? url : `${url}#`;
+  return `${base}:~:text=${parts.join(',')}`;
+}
+
+/**
+ * Collects the page's text with whitespace collapsed, remembering which text
+ * node and offset every character came from
+ */
+function indexText(root) {
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+    acceptNode: node => (SKIPPED_ELEMENTS.has(node.parentElement?.tagName)
+      ? NodeFilter.FILTER_REJECT
+      : NodeFilter.FILTER_ACCEPT)
+  });
+
+  let text = '';
+  const positions = [];
+  for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+    const value = node.nodeValue;
+    for (let offset = 0; offset < value.length; offset++) {
+      const isSpace = /\s/.test(value[offset]);
+      if (isSpace && (text.length === 0 || text[text.length - 1] === ' ')) continue;
+      text += isSpace ? ' ' : value[offset];
+      positions.push({ node, offset });
+    }
+  }
+
+  return { text, positions };
+}
+
+function commonPrefixLength(a, b) {
+  let n = 0;
+  while (n < a.length && n < b.length && a[n] === b[n]) n++;
+  return n;
+}
+
+function commonSuffixLength(a, b) {
+  let n = 0;
+  while (n < a.length && n < b.length && a[a.length - 1 - n] === b[b.length - 1 - n]) n++;
+  return n;
+}
@@ -0,0 +1,90 @@
+/**
+ * Text Diff
+ *
+ * Line-based diff used to compare report revisions. Common leading and
+ * trailing lines are matched first; the rest is aligned with a longest
+ * common subsequence, which is plenty for report-sized documents.
+ */
+
+// Above this many changed lines on each side, skip the LCS table and show a replacement
+const MAX_LCS_CELLS = 4_000_000;
+
+/**
+ * Diffs two texts line by line
+ * @param {string} before - Older text
+ * @param {string} after - Newer text
+ * @returns {Array} - [{ type: 'same' | 'added' | 'removed', text }]
+ */
+export function diffLines(before = '', after = '') {
+  const a = before.split('\n');
+  const b = after.split('\n');
+
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start++;
+  }
+
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const same = text => ({ type: 'same', text });
+  const middle = diffMiddle(a.slice(start, endA), b.slice(start, endB));
+
+  return [
+    ...a.slice(0, start).map(same),
+    ...middle,
+    ...a.slice(endA).map(same)
+  ];
+}
+
+/**
+ * Counts added and removed lines in a diff
+ * @param {Array} diff - Result of diffLines()
+ * @returns {Object} - { added, removed }
+ */
+export function summarizeDiff(diff) {
+  return {
+    added: diff.filter(line => line.type === 'added').length,
+    removed: diff.filter(line => line.type === 'removed').length
+  };
+}
+
+function diffMiddle(a, b) {
+  const removed = a.map(text => ({ type: 'removed', text }));
+  const added = b.map(text => ({ type: 'added', text }));
+
+  if (a.length === 0 || b.length === 0 || a.length * b.length > MAX_LCS_CELLS) {
+    return [...removed, ...added];
+  }
+
+  // lengths[i][j] = LCS length of a[i..] and b[j..]
+  const lengths = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const result = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      result.push({ type: 'same', text: a[i] });
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      result.push(removed[i++]);
+    } else {
+      result.push(added[j++]);
+    }
+  }
+
+  return [...result, ...removed.slice(i), ...added.slice(j)];
+}